@@ -0,0 +1,27 @@
+"use strict";
+
+/*
+ * The API behind the command-line tools, for making and reading 4bottle
+ * archives from node:
+ *
+ *     import { pack, list, unpack } from "4bottle";
+ *
+ *     pack([ "myfiles" ], { output: "myfiles.4b" }).then(summary => ...);
+ *     list("myfiles.4b").then(({ entries, archive }) => ...);
+ *     unpack("myfiles.4b", "restored", { force: true }).then(summary => ...);
+ *     cat("myfiles.4b", [ "myfiles/notes.txt" ], process.stdout).then(summary => ...);
+ *     salvage("damaged.4b", "restored").then(({ damaged, unreadable }) => ...);
+ *
+ * Each returns a promise, and takes an optional `events` EventEmitter in
+ * its options, for progress. Failures are rejected with one of the errors
+ * below, never by exiting.
+ */
+
+export { pack } from "./4bottle/pack";
+export { list } from "./4bottle/list";
+export { unpack } from "./4bottle/unpack";
+export { salvage } from "./4bottle/salvage";
+export { cat } from "./4bottle/cat";
+export {
+  ArchiveError, EncryptionError, FileError, NestedError, SignatureError, UsageError
+} from "./4bottle/errors";
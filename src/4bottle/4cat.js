@@ -0,0 +1,100 @@
+"use strict";
+
+import fs from "fs";
+import Gpger from "./gpger";
+import Keybaser from "./keybaser";
+import minimist from "minimist";
+import { clicolor } from "clicolor";
+import { cat } from "./cat";
+import { messageForError, PASSWORD_OPTIONS, promptPassword, readPasswordOption, stderrStatus } from "./helpers";
+
+import "source-map-support/register";
+
+const PACKAGE = require("../../package.json");
+
+const USAGE = `
+usage: 4cat [options] <filename> <path(s)...>
+    writes the contents of files in a 4bottle archive to stdout
+
+    each path (or glob, like "src/**/*.js") names files to write, by
+    their path inside the archive's top folder, or their full path, as
+    "4ls" shows it. every matching file
+    is written, one after the other, in the order they're stored in the
+    archive. once the last one is written, the rest of the archive isn't
+    read (so its hash isn't checked) unless there may be newer copies
+    appended after it. from an archive file made with "4pack --index",
+    each file is read straight from where it is, unless a signer is
+    required.
+
+    use "-" as the filename to read an archive from stdin. for a
+    multi-volume archive, use the first volume (like "backup.4b.001").
+
+options:
+    --help
+    --require-signer <user>
+        refuse to read an archive unless it's signed by this keybase user
+        (may be used multiple times to trust several users)
+    --identity <file>
+        private key (PEM) to decrypt archives encrypted for its public key
+        with "key:" (may be used multiple times)
+    --password-file <file>
+        read the password for an encrypted archive from the first line of a
+        file, instead of asking for it
+    --password-env <var>
+        read the password from an environment variable
+    --password-fd <n>
+        read the password from the first line of an open file descriptor
+    --no-color
+        turn off cool console colors
+`;
+
+export function main() {
+  const cli = clicolor();
+  // stdout is for file contents, so keybase and gpg report on stderr.
+  const keybaser = new Keybaser(stderrStatus());
+  const gpger = new Gpger(stderrStatus());
+
+  const argv = minimist(process.argv.slice(2), {
+    boolean: [ "help", "version", "color", "debug" ],
+    string: [ "require-signer", "identity" ].concat(PASSWORD_OPTIONS),
+    default: { color: true }
+  });
+  if (argv.help || argv._.length == 0) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (argv.version) {
+    console.log(`4cat ${PACKAGE.version}`);
+    process.exit(0);
+  }
+  if (argv._.length < 2) {
+    console.error("required: filename of 4bottle archive file, and the path of a file in it");
+    process.exit(1);
+  }
+  if (!argv.color) cli.useColor(false);
+
+  const output = fs.createWriteStream("", { fd: 1 });
+  output.on("error", error => {
+    // the reader went away (like "head" does), so there's no one left to write for.
+    if (error.code == "EPIPE") process.exit(0);
+    cli.displayError(`Unable to write: ${error.message}`);
+    process.exit(1);
+  });
+
+  const [ filename, ...selected ] = argv._;
+  const options = {
+    identities: [].concat(argv.identity || []),
+    requiredSigners: [].concat(argv["require-signer"] || []),
+    getPassword: () => promptPassword(filename),
+    keybaser,
+    gpger
+  };
+  readPasswordOption(argv).then(password => {
+    options.password = password;
+    return cat(filename, selected, output, options);
+  }).catch(error => {
+    cli.displayError(`Unable to read archive: ${messageForError(error)}`);
+    if (argv.debug) console.error(error.stack);
+    process.exit(1);
+  });
+}
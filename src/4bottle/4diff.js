@@ -0,0 +1,213 @@
+"use strict";
+
+import fs from "fs";
+import Gpger from "./gpger";
+import Keybaser from "./keybaser";
+import minimist from "minimist";
+import path from "path";
+import Promise from "bluebird";
+import { clicolor } from "clicolor";
+import * as helpers from "./helpers";
+import { hashStream, readArchiveEntries } from "./archive_entries";
+
+import "source-map-support/register";
+
+const PACKAGE = require("../../package.json");
+const COLORS = helpers.COLORS;
+
+const lstatPromise = Promise.promisify(fs.lstat);
+const readdirPromise = Promise.promisify(fs.readdir);
+const readlinkPromise = Promise.promisify(fs.readlink);
+
+const USAGE = `
+usage: 4diff [options] <filename> <folder-or-filename>
+    compare the contents of a 4bottle archive with a folder, or with another
+    archive, and display what was added, removed, or modified in the second
+    one
+
+    the top folder of each archive is compared with the top of the other
+    archive, or with the folder itself. exits with 0 if there were no
+    differences, 1 if there were, and 2 on error.
+
+options:
+    --help
+    -c, --checksum
+        compare the contents of files (by SHA-512 hash), not just their size
+        and modification time
+    --identity <file>
+        private key (PEM) to decrypt archives encrypted for its public key
+        with "key:" (may be used multiple times)
+    --password-file <file>
+        read the password for an encrypted archive from the first line of a
+        file, instead of asking for it
+    --password-env <var>
+        read the password from an environment variable
+    --password-fd <n>
+        read the password from the first line of an open file descriptor
+    --json
+        display the differences as JSON
+    -q
+        quiet: display only the summary line at the end
+    --no-color
+        turn off cool console colors
+`;
+
+export function main() {
+  const cli = clicolor();
+  const keybaser = new Keybaser(cli);
+  const gpger = new Gpger(cli);
+
+  const argv = minimist(process.argv.slice(2), {
+    boolean: [ "help", "version", "checksum", "json", "q", "color", "debug" ],
+    string: [ "identity" ].concat(helpers.PASSWORD_OPTIONS),
+    alias: { c: "checksum" },
+    default: { color: true }
+  });
+  if (argv.help || argv._.length == 0) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (argv.version) {
+    console.log(`4diff ${PACKAGE.version}`);
+    process.exit(0);
+  }
+  if (argv._.length != 2) {
+    console.log("required: filename of a 4bottle archive, and a folder or archive to compare it with");
+    process.exit(2);
+  }
+  if (!argv.color) cli.useColor(false);
+  cli.quiet(argv.q);
+
+  const identities = [].concat(argv.identity || []);
+  const options = { checksum: argv.checksum, keybaser, gpger, identities };
+  const [ filename, other ] = argv._;
+  const otherIsFolder = other != "-" && fs.existsSync(other) && fs.statSync(other).isDirectory();
+  const readArchive = name => {
+    const readOptions = Object.assign({ getPassword: () => helpers.promptPassword(name) }, options);
+    return readArchiveEntries(name, readOptions).then(({ entries }) => entries);
+  };
+  helpers.readPasswordOption(argv).then(password => {
+    options.password = password;
+    return readArchive(filename);
+  }).then(before => {
+    return (otherIsFolder ? readFolderEntries(other, options) : readArchive(other)).then(after => {
+      return [ before, after ];
+    });
+  }).then(([ before, after ]) => {
+    const changes = compareEntries(before, after);
+    if (argv.json) {
+      console.log(JSON.stringify(changes, null, 2));
+    } else {
+      displayChanges(cli, changes);
+    }
+    const count = changes.added.length + changes.removed.length + changes.modified.length + changes.permissions.length;
+    process.exit(count > 0 ? 1 : 0);
+  }).catch(error => {
+    cli.displayError(`Unable to compare: ${helpers.messageForError(error)}`);
+    if (argv.debug) console.log(error.stack);
+    process.exit(2);
+  });
+}
+
+/*
+ * Walk a folder (or a single file) into a map of entries like
+ * `readArchiveEntries`.
+ */
+function readFolderEntries(folderName, { checksum }) {
+  const entries = {};
+
+  function visit(filename, relativeName) {
+    return lstatPromise(filename).then(stats => {
+      const entry = {
+        type: stats.isDirectory() ? "folder" : (stats.isSymbolicLink() ? "symlink" : "file"),
+        size: stats.size,
+        mode: stats.mode & 0xfff,
+        mtime: stats.mtime.getTime()
+      };
+      if (relativeName != null) entries[relativeName] = entry;
+      switch (entry.type) {
+        case "folder":
+          return readdirPromise(filename).then(files => {
+            return Promise.map(files.sort(), name => {
+              return visit(path.join(filename, name), relativeName != null ? `${relativeName}/${name}` : name);
+            }, { concurrency: 1 });
+          });
+        case "symlink":
+          return readlinkPromise(filename).then(target => {
+            entry.target = target;
+          });
+        default:
+          if (!checksum) return;
+          return hashStream(fs.createReadStream(filename)).then(hex => {
+            entry.hash = hex;
+          });
+      }
+    });
+  }
+
+  return lstatPromise(folderName).then(stats => {
+    // a lone file is compared with a single-file archive by name.
+    return visit(folderName, stats.isDirectory() ? null : path.basename(folderName));
+  }).then(() => entries);
+}
+
+/*
+ * Compare two maps of entries, and return:
+ *   - `added`, `removed`: lists of paths
+ *   - `modified`: list of `{ path, reasons }`, where reasons are any of
+ *     "type", "size", "mtime", "content", or "target"
+ *   - `permissions`: list of `{ path, before, after }` for changed modes
+ */
+function compareEntries(before, after) {
+  const changes = { added: [], removed: [], modified: [], permissions: [] };
+  const paths = Object.keys(before).concat(Object.keys(after).filter(p => before[p] == null)).sort();
+  paths.forEach(p => {
+    const a = before[p], b = after[p];
+    if (a == null) return changes.added.push(p);
+    if (b == null) return changes.removed.push(p);
+
+    const reasons = [];
+    if (a.type != b.type) {
+      reasons.push("type");
+    } else if (a.type == "symlink") {
+      if (a.target != b.target) reasons.push("target");
+    } else if (a.type == "file") {
+      if (a.size != b.size) reasons.push("size");
+      if (a.mtime != b.mtime) reasons.push("mtime");
+      if (a.hash != null && b.hash != null && a.hash != b.hash) reasons.push("content");
+    }
+    if (reasons.length > 0) changes.modified.push({ path: p, reasons });
+    // node can't change the mode of a symlink, so don't bother comparing them.
+    if (a.type == b.type && a.type != "symlink" && a.mode != b.mode) {
+      changes.permissions.push({ path: p, before: a.mode, after: b.mode });
+    }
+  });
+  return changes;
+}
+
+function displayChanges(cli, changes) {
+  const lines = [];
+  changes.added.forEach(p => lines.push({ path: p, line: cli.paint(cli.color(COLORS.diff_added, "  + "), p) }));
+  changes.removed.forEach(p => lines.push({ path: p, line: cli.paint(cli.color(COLORS.diff_removed, "  - "), p) }));
+  changes.modified.forEach(({ path, reasons }) => {
+    const line = cli.paint(
+      cli.color(COLORS.diff_modified, "  M "), path, cli.color(COLORS.annotations, ` [${reasons.join(", ")}]`)
+    );
+    lines.push({ path, line });
+  });
+  changes.permissions.forEach(({ path, before, after }) => {
+    const modes = `${helpers.modeToWire(before, false).slice(1)} -> ${helpers.modeToWire(after, false).slice(1)}`;
+    const line = cli.paint(cli.color(COLORS.diff_permissions, "  P "), path, cli.color(COLORS.mode, ` [${modes}]`));
+    lines.push({ path, line });
+  });
+  lines.sort((a, b) => a.path < b.path ? -1 : (a.path > b.path ? 1 : 0));
+  lines.forEach(({ line }) => cli.displayVerbose(line));
+
+  const summary = [
+    `${changes.added.length} added`,
+    `${changes.removed.length} removed`,
+    `${changes.modified.length} modified`,
+    `${changes.permissions.length} with new permissions`
+  ];
+  cli.display(summary.join(", "));
+}
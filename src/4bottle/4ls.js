@@ -2,13 +2,15 @@
 
 import crypto from "crypto";
 import fs from "fs";
+import Gpger from "./gpger";
 import Keybaser from "./keybaser";
 import minimist from "minimist";
 import Promise from "bluebird";
-import read from "read";
-import toolkit from "stream-toolkit";
 import { clicolor } from "clicolor";
+import { EventEmitter } from "events";
 import * as helpers from "./helpers";
+import { list } from "./list";
+import { scanSegments } from "./segments";
 import * as lib4bottle from "lib4bottle";
 
 import "source-map-support/register";
@@ -20,12 +22,39 @@ const USAGE = `
 usage: 4ls [options] <filename(s)...>
     displays contents of 4bottle archives
 
+    use "-" as the filename to read an archive from stdin. for a
+    multi-volume archive, use the first volume (like "backup.4b.001").
+
+    an archive file made with "4pack --index" is listed from its index,
+    without reading the rest (or checking its hash), unless a signer is
+    required.
+
 options:
     --help
     -l
         long form: display date/time, user/group, and posix permissions
+        (followed by "@" if extended attributes were stored, or "+" if an
+        ACL was)
     -q
         quiet: display only the summary line at the end
+    --json
+        display the listing as a JSON array of entries, with a summary of
+        each archive (type "archive") after its entries
+    --ndjson
+        like --json, but one object per line, as soon as each is read
+    --require-signer <user>
+        refuse to read an archive unless it's signed by this keybase user
+        (may be used multiple times to trust several users)
+    --identity <file>
+        private key (PEM) to decrypt archives encrypted for its public key
+        with "key:" (may be used multiple times)
+    --password-file <file>
+        read the password for an encrypted archive from the first line of a
+        file, instead of asking for it
+    --password-env <var>
+        read the password from an environment variable
+    --password-fd <n>
+        read the password from the first line of an open file descriptor
     --structure
         show the bottle structure of the archive, instead of the listing
     --no-color
@@ -33,13 +62,14 @@ options:
 `;
 
 let password = null;
+let identities = [];
 
 export function main() {
   const cli = clicolor();
-  const keybaser = new Keybaser(cli);
 
   const argv = minimist(process.argv.slice(2), {
-    boolean: [ "help", "version", "l", "q", "color", "structure", "debug" ],
+    boolean: [ "help", "version", "l", "q", "color", "structure", "json", "ndjson", "debug" ],
+    string: [ "require-signer", "identity" ].concat(helpers.PASSWORD_OPTIONS),
     default: { color: true }
   });
   if (argv.help || argv._.length == 0) {
@@ -57,10 +87,23 @@ export function main() {
   if (!argv.color) cli.useColor(false);
   cli.quiet(argv.q);
 
-  if (argv["password-here"]) password = argv["password-here"];
+  // keep stdout for the JSON.
+  const isJson = argv.json || argv.ndjson;
+  const statusCli = isJson ? helpers.stderrStatus() : cli;
+  const keybaser = new Keybaser(statusCli);
+  const gpger = new Gpger(statusCli);
+
+  identities = [].concat(argv.identity || []);
 
-  const loudness = { isVerbose: argv.l, isQuiet: argv.q, cli, keybaser };
-  (argv.structure ? dumpArchiveStructures(argv._, loudness) : dumpArchiveFiles(argv._, loudness)).catch((error) => {
+  const requiredSigners = [].concat(argv["require-signer"] || []);
+  const loudness = { isVerbose: argv.l, isQuiet: argv.q, cli, keybaser, gpger, requiredSigners };
+  helpers.readPasswordOption(argv).then(p => {
+    password = p;
+    if (isJson) {
+      return jsonArchiveFiles(argv._, Object.assign({ isNewlineDelimited: argv.ndjson }, loudness));
+    }
+    return argv.structure ? dumpArchiveStructures(argv._, loudness) : dumpArchiveFiles(argv._, loudness);
+  }).catch((error) => {
     cli.displayError(`Unable to read archive: ${helpers.messageForError(error)}`);
     if (argv.debug) console.log(error.stack);
     process.exit(1);
@@ -71,7 +114,7 @@ function dumpArchiveStructures(filenames, loudness) {
   return Promise.map(filenames, ((filename) => dumpArchiveStructure(filename, loudness)), { concurrency: 1 });
 }
 
-function dumpArchiveStructure(filename, { isVerbose, isQuiet, cli, keybaser }) {
+function dumpArchiveStructure(filename, { isVerbose, isQuiet, cli, keybaser, gpger, requiredSigners }) {
   let indent = 0;
   const pad = () => {
     let rv = "";
@@ -79,25 +122,17 @@ function dumpArchiveStructure(filename, { isVerbose, isQuiet, cli, keybaser }) {
     return rv;
   };
 
-  function decryptKey(keymap) {
-    return keybaser.check().then(() => {
-      const self = `keybase:${keybaser.identity}`;
-      const allowed = Object.keys(keymap).join(", ");
-      if (!keymap[self]) throw new Error(`No encryption key for ${self} (only: ${allowed})`);
-      return keybaser.decrypt(keymap[self]);
-    });
-  }
-
-  function getPassword() {
-    const readOptions = { prompt: "Password: ", silent: true, replace: "\u2022" };
-    return password ?
-      Promise.resolve(password) :
-      Promise.promisify(read)(readOptions).then(([ password ]) => password);
-  }
-
-  const reader = new lib4bottle.ArchiveReader({ decryptKey, getPassword });
+  const getPassword = helpers.passwordGetter(readerOptions(filename, keybaser, gpger));
+  const reader = new lib4bottle.ArchiveReader({
+    decryptKey: helpers.keyDecrypter({ keybaser, identities, gpger, getPassword }),
+    getPassword,
+    verifier: helpers.signatureVerifier(keybaser)
+  });
+  let isFirst = true;
 
   reader.on("start-bottle", bottle => {
+    if (isFirst) helpers.checkSigner(bottle.header, requiredSigners);
+    isFirst = false;
     const typeName = cli.color("purple", bottle.typeName());
     let extra = "";
     switch (bottle.typeName()) {
@@ -118,109 +153,89 @@ function dumpArchiveStructure(filename, { isVerbose, isQuiet, cli, keybaser }) {
 
   reader.on("hash", (bottle, isValid, hex) => {
     const validString = isValid ? cli.color("green", "valid") : cli.color("red", "INVALID");
-    cli.display(cli.paint(pad(), "[", validString, " hash: ", hex, "]"));
+    const signedBy = bottle.header.signedBy ? ` signed by ${bottle.header.signedBy}` : "";
+    cli.display(cli.paint(pad(), "[", validString, " hash", signedBy, ": ", hex, "]"));
   });
 
   reader.on("encrypt", (bottle) => {
-    cli.display(cli.paint(pad(), "[encrypted for: ", bottle.header.recipients.join(", "), "]"));
+    const recipients = (bottle.header.recipients || []).map(helpers.recipientLabel);
+    cli.display(cli.paint(pad(), "[encrypted for: ", recipients.join(", "), "]"));
   });
 
-  return reader.scanStream(helpers.readStream(cli, filename));
+  return scanSegments(helpers.readStream(cli, filename), segment => {
+    isFirst = true;
+    return reader.scanStream(segment);
+  });
 }
 
 function dumpArchiveFiles(filenames, loudness) {
   return Promise.map(filenames, ((filename) => dumpArchiveFile(filename, loudness)), { concurrency: 1 });
 }
 
-function dumpArchiveFile(filename, { cli, keybaser, isVerbose, isQuiet }) {
-  // count total bytes packed away
-  const state = { totalBytesIn: 0, totalBytes: 0, totalFiles: 0, prefix: [] };
-
-  const countingInStream = toolkit.countingStream();
-  countingInStream.on("count", (n) => {
-    state.totalBytesIn = n;
-  });
-  helpers.readStream(cli, filename).pipe(countingInStream);
-
-  function getPassword() {
-    const readOptions = { prompt: "Password: ", silent: true, replace: "\u2022" };
-    return password ?
-      Promise.resolve(password) :
-      Promise.promisify(read)(readOptions).then(([ password ]) => password);
-  }
-
-  function decryptKey(keymap) {
-    return keybaser.check().then(() => {
-      const self = `keybase:${keybaser.identity}`;
-      const allowed = Object.keys(keymap).join(", ");
-      if (!keymap[self]) throw new Error(`No encryption key for ${self} (only: ${allowed})`);
-      return keybaser.decrypt(keymap[self]);
-    });
-  };
-
-  const reader = new lib4bottle.ArchiveReader({ decryptKey, getPassword });
-
-  reader.on("start-bottle", bottle => {
-    switch (bottle.typeName()) {
-      case "file":
-      case "folder":
-        const nicePrefix = state.prefix.join("/") + (state.prefix.length > 0 ? "/" : "");
-        cli.displayVerbose(helpers.summaryLineForFile(cli, bottle.header, nicePrefix, isVerbose));
-        state.prefix.push(bottle.header.filename);
-        if (!bottle.header.folder) {
-          state.totalFiles += 1;
-          state.totalBytes += bottle.header.size;
-        }
-        break;
+// a single JSON array for all the archives, or one line per object (as soon as it's listed).
+function jsonArchiveFiles(filenames, { isNewlineDelimited, keybaser, gpger, requiredSigners }) {
+  const objects = [];
+  const emit = object => {
+    if (isNewlineDelimited) {
+      console.log(JSON.stringify(object));
+    } else {
+      objects.push(object);
     }
+  };
+  return Promise.map(filenames, filename => {
+    const events = new EventEmitter();
+    events.on("entry", emit);
+    const options = Object.assign(
+      { requiredSigners, events, keepEntries: false },
+      readerOptions(filename, keybaser, gpger)
+    );
+    return list(filename, options).then(({ archive }) => emit(archive));
+  }, { concurrency: 1 }).then(() => {
+    if (!isNewlineDelimited) console.log(JSON.stringify(objects, null, 2));
   });
+}
 
-  reader.on("end-bottle", bottle => {
-    switch (bottle.typeName()) {
-      case "file":
-      case "folder":
-        state.prefix.pop();
-        break;
-    }
-  });
-
-  reader.on("hash", (bottle, isValid, hex) => {
-    // FIXME display something if this is per-file
-    if (!isValid) throw new Error("Invalid hash; archive is probably corrupt.");
-    if (state.prefix.length == 0) state.validHash = bottle.header.hashName;
-  });
-
-  reader.on("compress", bottle => {
-    // FIXME display something if this is per-file
-    if (state.prefix.length == 0) state.compression = bottle.header.compressionName;
-  });
-
-  reader.on("encrypt", bottle => {
-    // FIXME display something if this is per-file
-    if (state.prefix.length == 0) {
-      state.encryption = bottle.header.encryptionName;
-      if (bottle.header.recipients) state.encryptedFor = bottle.header.recipients.join(" & ");
-    }
+function dumpArchiveFile(filename, { cli, keybaser, gpger, isVerbose, requiredSigners }) {
+  // each file is shown as soon as it's listed.
+  const events = new EventEmitter();
+  events.on("entry", entry => {
+    cli.displayVerbose(helpers.summaryLineForFile(cli, entry, isVerbose));
   });
+  const options = Object.assign(
+    { requiredSigners, events, keepEntries: false },
+    readerOptions(filename, keybaser, gpger)
+  );
+  return list(filename, options).then(({ archive }) => {
+    // an incremental archive lists what was deleted since the last one.
+    (archive.deleted || []).forEach(filename => {
+      // line up with the size column.
+      const spacer = isVerbose ? " ".repeat(38) : "  ";
+      cli.displayVerbose(cli.paint(spacer, cli.color(COLORS.annotations, "gone "), "  ", filename));
+    });
 
-  return reader.scanStream(countingInStream).then(() => {
     const annotations = [];
     const importante = [];
-    if (state.encryption != null) {
-      importante.push(state.encryption + (state.encryptedFor != null ? ` for ${state.encryptedFor}` : ""));
+    if (archive.encryption != null) {
+      const recipients = archive.recipients.length > 0 ? ` for ${archive.recipients.join(" & ")}` : "";
+      importante.push(archive.encryption + recipients);
+    }
+    if (archive.signedBy != null) {
+      const validity = archive.validHash == null ? "unchecked" : (archive.validHash ? "valid" : "INVALID");
+      importante.push(`signed by ${archive.signedBy}, ${validity}`);
     }
-    if (state.compression != null) annotations.push(state.compression);
-    if (state.validHash != null) annotations.push(state.validHash);
-    const compressionStatus =
-      state.compression != null ?
-      cli.paint(" -> ", cli.color(COLORS.file_size, cli.toMagnitude(state.totalBytesOut, 1024) + "B")) :
-      "";
-    const sizes = cli.color(COLORS.file_size, `(${state.totalFiles} files, ${cli.toMagnitude(state.totalBytesIn)}B)`);
+    if (archive.compression != null) annotations.push(archive.compression);
+    if (archive.hash) annotations.push(archive.hash);
+    if (archive.deleted != null) annotations.push(`incremental, ${archive.deleted.length} deleted`);
+    if (archive.segments > 1) annotations.push(`${archive.segments} segments`);
+    if (archive.indexed) annotations.push("indexed");
+    const sizes = cli.color(COLORS.file_size, `(${archive.files} files, ${cli.toMagnitude(archive.archiveSize)}B)`);
     let extras = importante.length > 0 ? cli.color(COLORS.importante, ` [${importante.join("; ")}]`) : "";
     extras += annotations.length > 0 ? cli.color(COLORS.annotations, ` [${annotations.join(", ")}]`) : "";
 
     cli.display(`${filename} ${sizes}${extras}`);
-  }).catch(error => {
-    cli.displayError(error.stack);
   });
 }
+
+function readerOptions(filename, keybaser, gpger) {
+  return { keybaser, gpger, password, identities, getPassword: () => helpers.promptPassword(filename) };
+}
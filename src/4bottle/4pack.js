@@ -1,19 +1,17 @@
 "use strict";
 
-import crypto from "crypto";
 import fs from "fs";
+import Gpger from "./gpger";
 import Keybaser from "./keybaser";
 import minimist from "minimist";
-import path from "path";
 import Promise from "bluebird";
-import read from "read";
 import sprintf from "sprintf";
-import stream from "stream";
-import strftime from "strftime";
-import toolkit from "stream-toolkit";
 import { clicolor } from "clicolor";
-import { COLORS, messageForError, SALT } from "./helpers";
-import * as lib4bottle from "lib4bottle";
+import {
+  COLORS, messageForError, parseSize, PASSWORD_OPTIONS, promptPassword, readPasswordOption, stderrStatus
+} from "./helpers";
+import { defaultOutput, pack } from "./pack";
+import { EventEmitter } from "events";
 
 import "source-map-support/register";
 
@@ -23,56 +21,158 @@ const NOW = Date.now();
 const USAGE = `
 usage: 4pack [options] <filename(s)...>
     create a 4bottle archive from a set of files (or folders)
+usage: 4pack [options] --append <archive> <filename(s)...>
+usage: 4pack [options] --update <archive> <folder>
+    add files to the top folder of an existing archive, or add anything
+    that's new or changed in the folder it was made from
 
 options:
     --help
     -o <filename>
-        archive filename to write
+        archive filename to write ("-" to write to stdout, in which case
+        status is displayed on stderr)
+    --volume-size <size>
+        split the archive into volumes of at most <size> (like "2G"), named
+        <filename>.001, <filename>.002, and so on; to read it, give 4ls or
+        4unpack the first volume
     -v, --verbose
         verbose: display files as they're written
     -q, --quiet
         quiet: display nothing unless there's an error
+    -x <glob>, --exclude <glob>
+        skip files matching a glob, relative to the top of the archive (may
+        be used multiple times)
+    -i <glob>, --include <glob>
+        only archive files matching a glob (may be used multiple times)
+    -L, --dereference
+        archive the files that symlinks point to, instead of the links
+    --dedupe
+        store files with the same contents (by SHA-512) once, with the rest
+        as links to the first copy (this reads every file twice); hard links
+        are always stored this way
+    --xattrs
+        store extended attributes (like "user.*" and security labels), if
+        the filesystem has them (needs getfattr, from the attr package);
+        they're kept in one record at the end of the archive's top folder,
+        not in each file's header, so an archive of a single file can't
+        have them
+    --acls
+        store POSIX ACLs, if the filesystem has them (needs getfacl, from the
+        acl package), in the same record
+    --numeric-owner
+        store the user and group as numeric ids instead of names
+    --snapshot <filename>
+        incremental backup: if the snapshot file exists, only archive files
+        that are new or changed since it was written, and record any that
+        were deleted; then save the current state into it for next time
+    --append <archive>
+        add files to the top folder of an existing archive, replacing any
+        with the same name
+    --update <archive>
+        add everything that's new or changed since an archive was made from
+        a folder (deleted files are left in the archive)
     -Z, --no-compress
         do not compress the contents
     -S, --snappy
         use snappy compression instead of LZMA2
+    --per-file-compression
+        compress each file on its own, instead of the whole archive; files
+        that won't shrink (like jpg, zip, or mp4) are stored as they are.
+        "4unpack --salvage" can only get past damage in an archive made
+        this way (and not encrypted): in one compressed as a whole, nothing
+        after the damage can be read
+    --compress-rule <match>=<method>
+        with --per-file-compression, compress files that match a glob (like
+        "*.log") or are over a size (like ">100M") with "snappy", "lzma2",
+        or "none"; checked in order (may be used multiple times)
+    -j <n>, --threads <n>
+        compress on <n> worker threads (implies --per-file-compression);
+        files of up to 16MB are compressed ahead of their turn, so this may
+        use up to 2 x <n> x 16MB of memory
+    --index
+        add an index to the end of the archive, so 4ls, 4cat, and 4unpack
+        (of selected files) can seek straight to what they need instead of
+        reading the whole archive (implies --per-file-compression, unless
+        -Z is used; can't be used with -e, -p, --volume-size, or "-o -")
     -H, --no-hash
         do not compute a check hash (let go and use the force)
+    --sign
+        sign the archive's hash with your keybase identity
     -e <user>, --encrypt <user>
-        encrypt archive for a keybase user (may be used multiple times to
-        send to multiple recipients)
+        encrypt archive for a keybase user, for a key in your gpg keyring
+        with "gpg:<key id or email>", or for the owner of a public key with
+        "key:<file.pem>" (RSA or X25519); may be used multiple times to send
+        to multiple recipients
+    --identity <file>
+        private key (PEM) to decrypt an archive being appended to or updated,
+        if it was encrypted for "key:" recipients
     -p, --password
-        prompt for a password and use it to encrypt (not as good as -e)
+        prompt for a password and use it to encrypt (not as good as -e); with
+        -e, the archive can be opened by any recipient, or the password
+    --password-file <file>
+        encrypt with a password read from the first line of a file, instead
+        of asking for it (also used to read an archive being appended to or
+        updated)
+    --password-env <var>
+        encrypt with a password read from an environment variable
+    --password-fd <n>
+        encrypt with a password read from the first line of an open file
+        descriptor
     --no-color
         turn off cool console colors
+
+A ".4bottleignore" file in any folder lists (in gitignore syntax) files in
+that folder or below to skip. Use -v to see which files were skipped.
+
+When appending or updating, a plain archive (not encrypted, and made with -Z
+or --per-file-compression) just has the new files added to the end, and
+readers use the newest copy of each file. An encrypted or compressed archive
+is rewritten, with the same encryption and compression; the -e, -p, -Z, and
+-S options are ignored. If it was signed, it's signed again with your keybase
+identity, even if someone else signed it. The new files in a plain archive
+are only signed with --sign.
 `;
 
 function main() {
   const cli = clicolor();
-  const keybaser = new Keybaser(cli);
 
   const argv = minimist(process.argv.slice(2), {
     alias: {
       e: "encrypt",
       H: "no-hash",
+      i: "include",
+      L: "dereference",
       P: "password-here",
       p: "password",
       q: "quiet",
+      j: "threads",
       S: "snappy",
       v: "verbose",
+      x: "exclude",
       Z: "no-compress"
     },
     boolean: [
       "color",
       "compress",
+      "acls",
       "debug",
+      "dedupe",
+      "dereference",
       "help",
+      "index",
+      "numeric-owner",
       "password",
+      "per-file-compression",
       "quiet",
+      "sign",
       "snappy",
       "verbose",
-      "version"
+      "version",
+      "xattrs"
     ],
+    string: [
+      "append", "compress-rule", "exclude", "identity", "include", "snapshot", "threads", "update", "volume-size"
+    ].concat(PASSWORD_OPTIONS),
     default: { color: true, compress: true, hash: true }
   });
 
@@ -95,152 +195,36 @@ function main() {
     process.exit(1);
   }
   cli.quiet(argv.q);
-  if (argv.o == null) {
-    if (argv._.length > 1) {
-      argv.o = "archive.4b";
-    } else {
-      let archiveFolder = argv._[0];
-      if (archiveFolder[archiveFolder.length - 1] == "/") {
-        archiveFolder = archiveFolder.slice(0, archiveFolder.length - 1);
-      }
-      argv.o = archiveFolder + ".4b";
-    }
-  }
-
-  // this is kind of just a hack for tests, so undocumented.
-  if (argv["password-here"]) argv.password = argv["password-here"];
-
-  // quick sanity check: do all these files exist?
-  let okay = true;
-  argv._.forEach(filename => {
-    if (!fs.existsSync(filename)) {
-      console.log(`Can't find file: ${filename}`);
-      okay = false;
-    }
-  });
-  if (!okay) process.exit(1);
-
-  function die(error) {
-    cli.displayError(messageForError(error));
-    if (argv.debug) console.log(error.stack);
-    process.exit(1);
-  }
+  if (argv.o == null) argv.o = defaultOutput(argv._);
 
-  if (argv.encrypt && !Array.isArray(argv.encrypt)) argv.encrypt = [ argv.encrypt ];
-  return keybaser.check().catch(error => {
-    throw new NestedError("Keybase error", error);
-  }).then(() => {
-    let fd = null;
-    try {
-      fd = fs.openSync(argv.o, "w");
-    } catch (error) {
-      throw new NestedError(`Unable to write ${argv.o}`, error);
-    }
-    const outStream = fs.createWriteStream("", { fd });
-    toolkit.promisify(outStream);
-
-    const countingOutStream = toolkit.countingStream();
-    countingOutStream.pipe(outStream);
-
-    return assemblePipes(countingOutStream, keybaser, die, {
-      hash: argv.hash ? lib4bottle.HASH_SHA512 : null,
-      recipients: argv.encrypt,
-      password: argv.password,
-      compression: argv.encrypt ? (argv.snappy ? lib4bottle.COMPRESSION_SNAPPY : lib4bottle.COMPRESSION_LZMA2) : null
-    }).then(targetStream => {
-      return writeArchive(cli, countingOutStream, argv._, argv.o, die, { verbose: argv.v }).then(({ bottle, state }) => {
-        bottle.pipe(targetStream);
-        return outStream.finishPromise().then(() => {
-          const compressionStatus = argv.compress ?
-            cli.paint(" -> ", cli.color(COLORS.file_size, cli.toMagnitude(state.totalBytesOut, 1024) + "B")) : "";
-          const inStatus = cli.color(
-            COLORS.file_size,
-            `(${state.fileCount} files, ${cli.toMagnitude(state.totalBytesIn)}B)`
-          );
-          cli.displayVerbose(`${argv.o} ${inStatus}${compressionStatus}`);
-        });
-      });
-    });
-  }).catch(error => {
-    cli.displayError(messageForError(error));
-    if (argv.debug) console.log(error.stack);
+  if (argv.o == "-" && process.stdout.isTTY) {
+    console.log("Refusing to write an archive to a terminal (use -o <filename>)");
     process.exit(1);
-  });
-}
-
-function assemblePipes(stream, keybaser, die, { hash, password, recipients, compression }) {
-  let targetStream = stream;
-
-  if (hash) {
-    const hashBottle = new lib4bottle.HashBottleWriter(hash);
-    hashBottle.pipe(targetStream);
-    targetStream = hashBottle;
   }
+  // claim stdout early, so nothing else is ever written into the archive.
+  const output = argv.o == "-" ? claimStdout() : argv.o;
+  const statusCli = argv.o == "-" ? stderrStatus() : cli;
+  const keybaser = new Keybaser(statusCli);
+  const gpger = new Gpger(statusCli);
+  const existing = argv.append || argv.update;
 
-  return (recipients ?
-    setupKeybaseEncryption(targetStream, keybaser, die, recipients) :
-    (password ? setupPasswordEncryption(targetStream, die, password) : Promise.resolve(targetStream))
-  ).then(targetStream => {
-    if (!compression) return targetStream;
-    const compressedBottle = new lib4bottle.CompressedBottleWriter(compression);
-    compressedBottle.pipe(targetStream);
-    return compressedBottle;
-  });
-}
-
-function setupKeybaseEncryption(stream, keybaser, die, recipients) {
-  const encrypter = (recipient, buffer) => {
-    const [ scheme, name ] = recipient.split(":");
-    if (scheme != "keybase") throw new Error(`Expected keybase scheme, got ${scheme}`);
-    return keybaser.encrypt(buffer, name);
-  };
-
-  // keybase is the only encryption recipient type, so far.
-  return lib4bottle.writeEncryptedBottle(
-    lib4bottle.ENCRYPTION_AES_256_CTR,
-    { recipients: recipients.map(name => `keybase:${name}`), encrypter }
-  ).then(encryptedBottle => {
-    encryptedBottle.pipe(stream);
-    encryptedBottle.on("error", error => die("Encryption error", error));
-    return encryptedBottle;
-  });
-}
-
-function setupPasswordEncryption(stream, die, password) {
-  const readOptions = { prompt: "Password: ", silent: true, replace: "\u2022" };
-  return ((typeof password == "string") ?
-    Promise.resolve(password) :
-    Promise.promisify(read)(readOptions).then(([ password ]) => password)
-  ).then(password => {
-    return lib4bottle.writeEncryptedBottle(
-      lib4bottle.ENCRYPTION_AES_256_CTR,
-      { password }
-    );
-  }).then(encryptedBottle => {
-    encryptedBottle.pipe(stream);
-    encryptedBottle.on("error", error => die("Encryption error", error));
-    return encryptedBottle;
-  });
-}
-
-function writeArchive(cli, countingOutStream, filenames, targetFilename, die, { verbose }) {
   const state = {
     fileCount: 0,
     totalBytesOut: 0,
     totalBytesIn: 0,
     currentFileBytes: 0,
     currentFileTotalBytes: 0,
-    currentFilename: null
+    currentFilename: null,
+    linkTarget: null
   };
-
-  countingOutStream.on("count", n => {
+  const events = new EventEmitter();
+  events.on("written", n => {
     state.totalBytesOut = n;
-    cli.status(statusMessage(cli, state));
+    statusCli.status(statusMessage(cli, state));
   });
-
-  const writer = new lib4bottle.ArchiveWriter();
-  writer.on("filename", (filename, header) => {
-    if (verbose) printFinishedFile(cli, state);
+  events.on("filename", (filename, header) => {
+    if (argv.verbose) printFinishedFile(cli, state);
+    state.linkTarget = null;
     state.currentFileBytes = 0;
     state.currentFileTotalBytes = header.size;
     state.currentFilename = filename;
@@ -249,32 +233,88 @@ function writeArchive(cli, countingOutStream, filenames, targetFilename, die, {
       state.fileCount += 1;
       state.totalBytesIn += header.size;
     }
-    cli.status(statusMessage(cli, state));
+    statusCli.status(statusMessage(cli, state));
   });
-  writer.on("status", (filename, byteCount) => {
+  events.on("status", (filename, byteCount) => {
     state.currentFileBytes = byteCount;
-    cli.status(statusMessage(cli, state));
+    statusCli.status(statusMessage(cli, state));
+  });
+  events.on("skip", filename => {
+    if (argv.verbose) cli.displayVerbose(cli.paint("  ", cli.color(COLORS.annotations, "skip "), "  ", filename));
+  });
+  events.on("delete", filename => {
+    if (argv.verbose) cli.displayVerbose(cli.paint("  ", cli.color(COLORS.annotations, "gone "), "  ", filename));
+  });
+  // shown with the file, once it's finished.
+  events.on("link", (filename, target) => {
+    state.linkTarget = target;
+  });
+  events.on("warning", message => {
+    statusCli.status();
+    cli.display(cli.paint(cli.color(COLORS.importante, "Warning: "), message));
   });
-  writer.on("error", error => die("Error", error));
-
-  let bottlePromise = null;
-  if (filenames.length > 1) {
-    // multiple files: just make a fake folder
-    const folderName = path.basename(targetFilename, ".4b");
-    bottlePromise = writer.archiveFiles(folderName, filenames);
-  } else {
-    bottlePromise = writer.archiveFile(filenames[0]);
-  }
 
-  return bottlePromise.then(bottle => {
-    bottle.finishPromise().then(() => {
-      if (verbose) printFinishedFile(cli, state);
+  // a new archive needs its password up front; an existing one only if it turns out to be encrypted.
+  return readPasswordOption(argv).then(password => {
+    if (password != null || !argv.password || existing) return password;
+    return promptPassword(null, true);
+  }).then(password => {
+    return pack(argv._, {
+      output,
+      volumeSize: argv["volume-size"] != null ? parseSize(argv["volume-size"]) : undefined,
+      hash: argv.hash,
+      sign: argv.sign,
+      recipients: [].concat(argv.encrypt || []),
+      identities: [].concat(argv.identity || []),
+      password,
+      getPassword: () => promptPassword(existing),
+      compression: argv.compress ? (argv.snappy ? "snappy" : "lzma2") : null,
+      perFileCompression: argv["per-file-compression"],
+      compressionRules: [].concat(argv["compress-rule"] || []),
+      threads: argv.threads != null ? Number(argv.threads) : undefined,
+      index: argv.index,
+      exclude: argv.exclude,
+      include: argv.include,
+      dereference: argv.dereference,
+      dedupe: argv.dedupe,
+      xattrs: argv.xattrs,
+      acls: argv.acls,
+      numericOwner: argv["numeric-owner"],
+      snapshot: argv.snapshot,
+      append: argv.append,
+      update: argv.update,
+      keybaser,
+      gpger,
+      events
     });
-
-    return { bottle, state };
+  }).then(summary => {
+    if (argv.verbose) printFinishedFile(cli, state);
+    const annotation = {
+      incremental: "incremental",
+      append: "appended",
+      update: "updated"
+    }[summary.mode];
+    displaySummary(cli, existing || argv.o, summary, annotation);
+  }).catch(error => {
+    cli.displayError(messageForError(error));
+    if (argv.debug) console.log(error.stack);
+    process.exit(1);
   });
 }
 
+function displaySummary(cli, filename, summary, annotation) {
+  const compressionStatus = summary.compression ?
+    cli.paint(" -> ", cli.color(COLORS.file_size, cli.toMagnitude(summary.bytesOut, 1024) + "B")) : "";
+  const inStatus = cli.color(COLORS.file_size, `(${summary.files} files, ${cli.toMagnitude(summary.bytesIn)}B)`);
+  const annotations = [ annotation ].filter(a => a != null);
+  if (summary.compressedFiles > 0) annotations.push(`${summary.compressedFiles} compressed separately`);
+  if (summary.links > 0) annotations.push(`${summary.links} linked`);
+  if (summary.volumes) annotations.push(`${summary.volumes.length} volumes`);
+  if (summary.indexed) annotations.push("indexed");
+  const annotationStatus = annotations.length > 0 ? cli.color(COLORS.annotations, ` [${annotations.join(", ")}]`) : "";
+  cli.displayVerbose(`${filename} ${inStatus}${compressionStatus}${annotationStatus}`);
+}
+
 function statusMessage(cli, state) {
   if (!state.currentFilename) return;
   const count = cli.color(COLORS.status_count, sprintf("%6s", state.fileCount));
@@ -282,30 +322,35 @@ function statusMessage(cli, state) {
     COLORS.status_total_progress,
     sprintf("%5s -> %5s", cli.toMagnitude(state.totalBytesIn, 1024), cli.toMagnitude(state.totalBytesOut, 1024))
   );
+  // throughput since starting, of all the files archived so far.
+  const seconds = Math.max(Date.now() - NOW, 1) / 1000;
+  const rate = cli.color(COLORS.status_total_progress, `${cli.toMagnitude(state.totalBytesIn / seconds, 1024)}B/s`);
   const fileProgress = state.currentFileBytes > 0 && state.currentFileTotalBytes ?
     cli.color(
       COLORS.status_file_progress,
       `(${Math.floor(100 * state.currentFileBytes / state.currentFileTotalBytes)}%)`
     ) :
     "";
-  return cli.paint(count, ": (", totalProgress, ")  ", state.currentFilename, " ", fileProgress);
+  return cli.paint(count, ": (", totalProgress, ", ", rate, ")  ", state.currentFilename, " ", fileProgress);
 }
 
 function printFinishedFile(cli, state) {
   if (!state.currentFilename) return;
   const bytes = state.isFolder ? "     " :
     cli.color(COLORS.file_size, sprintf("%5s", cli.toMagnitude(state.currentFileTotalBytes)));
-  cli.displayVerbose(cli.paint("  ", bytes, "  ", state.currentFilename));
+  const link = state.linkTarget ? cli.color(COLORS.annotations, ` [link to ${state.linkTarget}]`) : "";
+  cli.displayVerbose(cli.paint("  ", bytes, "  ", state.currentFilename, link));
 }
 
-
-class NestedError extends Error {
-  constructor(message, cause) {
-    super(message);
-    this.message = message;
-    this.cause = cause;
-    Error.captureStackTrace(this, this.constructor);
-  }
+/*
+ * Take over stdout for writing an archive: return a stream for it, and send
+ * anything else written to stdout (messages) to stderr instead. Only the
+ * command-line tool can do this, since it owns the whole process.
+ */
+function claimStdout() {
+  const stream = fs.createWriteStream("", { fd: 1 });
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+  return stream;
 }
 
 
@@ -1,18 +1,19 @@
 "use strict";
 
-import crypto from "crypto";
-import fs from "fs";
+import Gpger from "./gpger";
 import Keybaser from "./keybaser";
 import minimist from "minimist";
+import fs from "fs";
 import path from "path";
 import Promise from "bluebird";
-import read from "read";
 import sprintf from "sprintf";
-import strftime from "strftime";
-import toolkit from "stream-toolkit";
 import { clicolor } from "clicolor";
-import { COLORS, messageForError, readStream, SALT } from "./helpers";
-import * as lib4bottle from "lib4bottle";
+import { COLORS, messageForError, PASSWORD_OPTIONS, promptPassword, readPasswordOption } from "./helpers";
+import { EventEmitter } from "events";
+import { MAGIC } from "./segments";
+import { salvage } from "./salvage";
+import { unpack } from "./unpack";
+import { UsageError } from "./errors";
 
 import "source-map-support/register";
 
@@ -20,17 +21,96 @@ const PACKAGE = require("../../package.json");
 const NOW = Date.now();
 const HOURS_20 = 20 * 60 * 60 * 1000;
 const DAYS_250 = 250 * 24 * 60 * 60 * 1000;
+const SALVAGE_REPORT_FILENAME = "4bottle-salvage.txt";
 
 const USAGE = `
-usage: 4unpack [options] <filename(s)...>
-    unpacks contents of 4bottle archives
+usage: 4unpack [options] <filename> [path(s)...]
+       4unpack [options] --incremental <filename> <filename(s)...>
+       4unpack [options] --salvage <filename>
+    unpacks contents of a 4bottle archive
+
+    if any paths (or globs, like "src/**/*.js") are given, only matching
+    files and folders are unpacked: they're matched inside the archive's
+    top folder, like "4pack --exclude", or by their full path, as "4ls"
+    shows it. it's an error if one doesn't match anything. from an archive
+    file made with "4pack --index", they're read straight from where they
+    are, without reading the rest of the archive (or checking its hash),
+    unless a signer is required.
+
+    with --incremental, unpack a full archive, then apply each incremental
+    archive (made by "4pack --snapshot") on top of it, in order: files are
+    overwritten, and files that were deleted are removed.
+
+    for a multi-volume archive, use the first volume (like
+    "backup.4b.001"); the rest are read in order.
+
+    with --salvage, unpack whatever can still be read from a damaged
+    archive: when a bottle can't be read, skip ahead to the next one that
+    can, and carry on. every intact file is unpacked, and a report of the
+    files that are damaged or missing is written to the output folder (or
+    to --report). only an archive that isn't compressed or encrypted as a
+    whole can be salvaged file by file.
+
+    use "-" as the filename to read an archive from stdin.
 
 options:
     --help
     -f, --force
         overwrite any existing files when unpacking
+    -I, --incremental
+        treat every filename as an archive, and apply them in order
     -o <folder>
         unpack files into a target folder instead of the current folder
+    --salvage
+        keep going past damage, unpacking every file that's intact, and
+        exit with an error if anything was damaged or missing
+    --report <file>
+        where to write the report from --salvage (default:
+        "4bottle-salvage.txt" in the output folder)
+    --no-owner
+        don't restore the original user and group (only done when running
+        as root)
+    --no-perms
+        don't restore the original permissions, only those allowed by your
+        umask
+    --no-times
+        don't restore the original modification times
+    --no-xattrs
+        don't restore extended attributes stored by "4pack --xattrs" (the
+        ones named "user.*" are restored with setfattr, where the filesystem
+        allows)
+    --all-xattrs
+        restore every extended attribute, not just "user.*" (security labels
+        and the like usually need root)
+    --no-acls
+        don't restore ACLs stored by "4pack --acls" (they're restored with
+        setfacl, where the filesystem allows)
+    --no-hardlinks
+        unpack files that were hard links as separate copies, instead of
+        linking them again (files stored once by "4pack --dedupe" are always
+        unpacked as copies)
+    --identity <file>
+        private key (PEM) to decrypt archives encrypted for its public key
+        with "key:" (may be used multiple times)
+    --numeric-owner
+        don't look up user and group names; use them only if they're
+        numeric ids
+    --require-signer <user>
+        refuse to unpack an archive unless it's signed by this keybase user
+        (may be used multiple times to trust several users); an invalid
+        signature is only found at the end, after the files are unpacked,
+        so unpack into an empty folder and discard it if that fails
+    --password-file <file>
+        read the password for an encrypted archive from the first line of a
+        file, instead of asking for it
+    --password-env <var>
+        read the password from an environment variable
+    --password-fd <n>
+        read the password from the first line of an open file descriptor
+    -t, --test
+        verify the archive without writing anything: check every hash,
+        then display a summary as JSON, and exit with an error if any were
+        invalid
     -v
         verbose: display files as they're written
     -q
@@ -42,11 +122,18 @@ options:
 function main() {
   const cli = clicolor();
   const keybaser = new Keybaser(cli);
+  const gpger = new Gpger(cli);
 
   const argv = minimist(process.argv.slice(2), {
-    boolean: [ "help", "version", "q", "v", "color", "debug", "force" ],
-    alias: { "f": "force" },
-    default: { color: true, force: false }
+    boolean: [
+      "help", "version", "q", "v", "color", "debug", "force", "owner", "perms", "times", "numeric-owner", "test",
+      "incremental", "salvage", "hardlinks", "xattrs", "all-xattrs", "acls"
+    ],
+    string: [ "require-signer", "identity", "report" ].concat(PASSWORD_OPTIONS),
+    alias: { "f": "force", "I": "incremental", "t": "test" },
+    default: {
+      color: true, force: false, owner: true, perms: true, times: true, hardlinks: true, xattrs: true, acls: true
+    }
   });
   if (argv.help || argv._.length == 0) {
     console.log(USAGE);
@@ -57,204 +144,212 @@ function main() {
     process.exit(0);
   }
   if (argv._.length == 0) {
-    console.log("required: filename of 4bottle archive file(s)");
+    console.log("required: filename of 4bottle archive file");
     process.exit(1);
   }
   if (!argv.color) cli.useColor(false);
   cli.quiet(argv.q);
   if (!argv.o) argv.o = process.cwd();
 
-  const outputFolder = argv.o;
-  if (!fs.existsSync(outputFolder)) {
-    try {
-      fs.mkdirSync(outputFolder);
-    } catch (error) {
-      cli.displayError(`Can't create folder ${outputFolder}: ${messageForError(error)}`);
-      if (argv.debug) console.log(error.stack);
-      process.exit(1);
-    }
-  }
-  if (!fs.statSync(outputFolder).isDirectory) {
-    cli.displayError(`Not a folder: ${outputFolder}`)
-    process.exit(1);
-  }
-
   const options = {
-    isQuiet: argv.q,
     isVerbose: argv.v,
-    debug: argv.debug,
     force: argv.force,
-    password: argv["password-here"],
+    test: argv.test,
+    incremental: argv.incremental,
+    salvage: argv.salvage,
+    report: argv.report,
+    owner: argv.owner && process.getuid && process.getuid() == 0,
+    perms: argv.perms,
+    times: argv.times,
+    xattrs: argv.xattrs,
+    allXattrs: argv["all-xattrs"],
+    acls: argv.acls,
+    hardlinks: argv.hardlinks,
+    numericOwner: argv["numeric-owner"],
+    identities: [].concat(argv.identity || []),
+    selected: argv.incremental ? [] : argv._.slice(1),
+    requiredSigners: [].concat(argv["require-signer"] || []),
     keybaser,
-    cli
+    gpger
   };
-  unpackArchiveFiles(argv._, outputFolder, options).catch((error) => {
+  const archives = argv.incremental ? argv._ : [ argv._[0] ];
+  // older versions unpacked every archive named, so this is probably a mistake.
+  options.selected.filter(isArchiveFile).forEach(filename => {
+    cli.display(cli.paint(
+      cli.color(COLORS.importante, "Warning: "),
+      `${filename} is an archive, but only ${argv._[0]} is unpacked (use --incremental to unpack several)`
+    ));
+  });
+  readPasswordOption(argv).then(password => {
+    options.password = password;
+    if (argv.salvage && (argv.incremental || argv.test || argv._.length > 1)) {
+      throw new UsageError("--salvage unpacks everything from one archive (no --incremental, --test, or paths)");
+    }
+    if (argv.salvage) return salvageArchiveFile(cli, argv._[0], argv.o, options);
+    return Promise.each(archives, (filename, i) => {
+      // each incremental archive replaces whatever the previous ones left.
+      return unpackArchiveFile(cli, filename, argv.o, i > 0 ? Object.assign({}, options, { force: true }) : options);
+    });
+  }).catch((error) => {
     cli.displayError(`Unable to unpack archive: ${messageForError(error)}`);
+    const code = error.code || (error.cause || {}).code;
+    if (code == "EEXIST") cli.displayError("Use -f or --force to overwrite existing files.");
     if (argv.debug) console.log(error.stack);
     process.exit(1);
   });
 }
 
-function unpackArchiveFiles(filenames, outputFolder, options) {
-  return Promise.map(filenames, (filename) => unpackArchiveFile(filename, outputFolder, options), { concurrency: 1 });
+// does this name an existing file that starts like a 4bottle archive?
+function isArchiveFile(filename) {
+  let fd = null;
+  try {
+    fd = fs.openSync(filename, "r");
+    const buffer = Buffer.alloc(MAGIC.length);
+    return fs.readSync(fd, buffer, 0, MAGIC.length, 0) == MAGIC.length && buffer.equals(MAGIC);
+  } catch (error) {
+    return false;
+  } finally {
+    if (fd != null) fs.closeSync(fd);
+  }
 }
 
-function unpackArchiveFile(filename, outputFolder, options) {
+// update the status line as files are unpacked, and list them if verbose.
+function progressEvents(cli, options) {
   const state = {
     totalFiles: 0,
     totalBytesOut: 0,
     totalBytesIn: 0,
     currentFileBytes: 0,
     currentFileTotalBytes: 0,
-    currentFilename: null,
-    currentDestFilename: null,
-    prefix: [ ],
-    validHash: null,
-    compression: null
+    currentFilename: null
   };
 
-  const countingInStream = toolkit.countingStream();
-  countingInStream.on("count", n => {
+  const events = new EventEmitter();
+  events.on("read", n => {
     state.totalBytesIn = n;
-    displayStatus(options.cli, state);
+    displayStatus(cli, state);
   });
-  readStream(options.cli, filename, options.debug).pipe(countingInStream);
-  let ultimateOutputFolder = outputFolder;
-
-  function decryptKey(keymap) {
-    return options.keybaser.check().then(() => {
-      const self = `keybase:${options.keybaser.identity}`;
-      const allowed = Object.keys(keymap).join(", ");
-      if (!keymap[self]) throw new Error(`No encryption key for ${self} (only: ${allowed})`);
-      return options.keybaser.decrypt(keymap[self]);
-    });
-  }
-
-  function getPassword() {
-    const readOptions = { prompt: "Password: ", silent: true, replace: "\u2022" };
-    return options.password ?
-      Promise.resolve(options.password) :
-      Promise.promisify(read)(readOptions).then(([ password ]) => password);
-  }
-
-  function processFile(dataStream) {
-    const countingOutStream = new toolkit.countingStream();
-    countingOutStream.on("count", (n) => {
-      state.currentFileBytes = n;
-      displayStatus(options.cli, state);
-    });
-
-    const realFilename = path.join(outputFolder, state.currentFilename);
-
-    const access = options.force ? "w" : "wx";
-    return Promise.promisify(fs.open)(realFilename, access, state.mode || parseInt("666", 8)).then(fd => {
-      const outStream = fs.createWriteStream(realFilename, { fd });
-      toolkit.promisify(outStream);
-      outStream.on("error", error => reader.emit("error", error));
-      dataStream.pipe(countingOutStream).pipe(outStream);
-      return outStream.finishPromise();
-    }).catch(error => {
-      reader.emit("error", error);
-    });
-  };
-
-  function ensureFolder(realFilename) {
-    if (!(fs.existsSync(realFilename) && fs.statSync(realFilename).isDirectory())) {
-      fs.mkdirSync(realFilename);
-    }
-  };
-
-  const reader = new lib4bottle.ArchiveReader({ decryptKey, getPassword, processFile });
-
-  reader.on("start-bottle", (bottle) => {
-    switch (bottle.typeName()) {
-      case "file":
-      case "folder":
-        const nicePrefix = state.prefix.join("/") + (state.prefix.length > 0 ? "/" : "");
-        const niceFilename = nicePrefix + bottle.header.filename;
-        state.currentFileBytes = 0;
-        state.currentFileTotalBytes = bottle.header.size;
-        state.currentFilename = niceFilename;
-        state.currentDestFilename = path.join(outputFolder, niceFilename);
-        state.isFolder = bottle.header.folder;
-        state.mode = bottle.header.mode;
-        if (state.isFolder && !ultimateOutputFolder) ultimateOutputFolder = state.currentDestFilename;
-        if (!state.isFolder) state.totalFiles += 1;
-        displayStatus(options.cli, state);
-        if (state.isFolder) ensureFolder(state.currentDestFilename);
-        state.prefix.push(bottle.header.filename);
-    }
+  events.on("filename", (filename, header) => {
+    state.currentFileBytes = 0;
+    state.currentFileTotalBytes = header.size;
+    state.currentFilename = filename;
+    if (!header.folder) state.totalFiles += 1;
+    displayStatus(cli, state);
   });
-
-  reader.on("end-bottle", (bottle) => {
-    switch (bottle.typeName()) {
-      case "file":
-      case "folder":
-        if (options.isVerbose) {
-          options.cli.status();
-          if (bottle.typeName() == "file") printFinishedFile(options.cli, state);
-        }
-        if (bottle.typeName() == "file") state.totalBytesOut += state.currentFileTotalBytes;
-        state.currentFileBytes = 0;
-        state.currentFileTotalBytes = 0;
-        state.prefix.pop();
-    }
+  events.on("status", (filename, byteCount) => {
+    state.currentFileBytes = byteCount;
+    displayStatus(cli, state);
   });
-
-  reader.on("hash", (bottle, isValid, hex) => {
-    // FIXME display something if this is per-file
-    if (!isValid) throw new Error("Invalid hash; archive is probably corrupt.");
-    if (state.prefix.length == 0) state.validHash = bottle.header.hashName;
+  events.on("finish", (filename, header) => {
+    if (!header.folder) state.totalBytesOut += header.size;
+    state.currentFileBytes = 0;
+    state.currentFileTotalBytes = 0;
+    if (options.isVerbose && !header.folder) {
+      cli.status();
+      printFinishedFile(cli, filename, header);
+    }
   });
-
-  reader.on("compress", (bottle) => {
-    // FIXME display something if this is per-file.
-    if (state.prefix.length == 0) state.compression = bottle.header.compressionName;
+  events.on("delete", filename => {
+    if (!options.isVerbose) return;
+    cli.status();
+    cli.display(cli.paint("  ", cli.color(COLORS.annotations, "gone "), "  ", filename));
   });
-
-  reader.on("encrypt", (bottle) => {
-    if (state.prefix.length == 0) {
-      state.encryption = bottle.header.encryptionName;
-      if (bottle.header.recipients) state.encryptedFor = bottle.header.recipients.join(" & ");
-    }
+  events.on("warning", (filename, message) => {
+    cli.status();
+    cli.display(cli.paint(cli.color(COLORS.importante, "Warning: "), `${filename}: ${message}`));
   });
-
-  reader.on("error", error => {
-    options.cli.displayError(`Can't write ${state.currentDestFilename || '?'}: ${messageForError(error)}`);
-    const code = error.code || (error.cause || {}).code;
-    if (code == "EEXIST") options.cli.displayError("Use -f or --force to overwrite existing files.");
-    if (options.debug) console.log(error.stack);
-    process.exit(1);
+  events.on("hash", hash => {
+    const validString = hash.valid ? cli.color("green", "  valid") : cli.color("red", "INVALID");
+    cli.status();
+    cli.display(cli.paint(validString, "  ", hash.hash, "  ", hash.filename || "?"));
   });
+  return events;
+}
 
-  return reader.scanStream(countingInStream).then(() => {
-    const bytesInHuman = options.cli.toMagnitude(state.totalBytesIn, 1024);
-    const bytesOutHuman = options.cli.toMagnitude(state.totalBytesOut, 1024);
-    const byteTraffic = `${bytesInHuman} -> ${bytesOutHuman} bytes`;
+function unpackArchiveFile(cli, filename, outputFolder, options) {
+  const events = progressEvents(cli, options);
+  const unpackOptions = Object.assign({ events, getPassword: () => promptPassword(filename) }, options);
+  return unpack(filename, outputFolder, unpackOptions).then(summary => {
+    if (options.test) return displayTestSummary(cli, summary);
     const annotations = [];
     const importante = [];
-    if (state.encryption) {
-      importante.push(state.encryption + (state.encryptedFor ? ` for ${state.encryptedFor}` : ""));
+    if (summary.encryption) {
+      const recipients = summary.recipients.length > 0 ? ` for ${summary.recipients.join(" & ")}` : "";
+      importante.push(summary.encryption + recipients);
     }
-    if (state.compression) annotations.push(state.compression);
-    if (state.validHash) annotations.push(state.validHash);
-    let extras = importante.length > 0 && options.isVerbose ?
-      options.cli.color(COLORS.importante, ` [${importante.join("; ")}]`) : "";
+    if (summary.compression) annotations.push(summary.compression);
+    if (summary.hash) annotations.push(summary.hash);
+    if (summary.deleted > 0) annotations.push(`${summary.deleted} deleted`);
+    // always mention a signature, since it's the only way to know it was checked.
+    let extras = summary.signedBy ? cli.color(COLORS.importante, ` [signed by ${summary.signedBy}, valid]`) : "";
+    extras += importante.length > 0 && options.isVerbose ?
+      cli.color(COLORS.importante, ` [${importante.join("; ")}]`) : "";
     extras += annotations.length > 0 && options.isVerbose ?
-      options.cli.color(COLORS.annotations, ` [${annotations.join(", ")}]`) : "";
-    const inStatus = options.cli.paint(filename, " ",
-      options.cli.color(COLORS.file_size, `(${options.cli.toMagnitude(state.totalBytesIn, 1024)})`));
-    const outStatus = options.cli.paint(ultimateOutputFolder, " ",
-      options.cli.color(
-        COLORS.file_size,
-        `(${state.totalFiles} files, ${options.cli.toMagnitude(state.totalBytesOut, 1024)}B)`
-      )
+      cli.color(COLORS.annotations, ` [${annotations.join(", ")}]`) : "";
+    const outStatus = cli.paint(summary.folder, " ",
+      cli.color(COLORS.file_size, `(${summary.files} files, ${cli.toMagnitude(summary.bytesOut, 1024)}B)`)
     );
-    options.cli.status();
-    options.cli.display(`${filename} -> ${outStatus}${extras}`);
+    cli.status();
+    cli.display(`${filename} -> ${outStatus}${extras}`);
   });
 }
 
+function salvageArchiveFile(cli, filename, outputFolder, options) {
+  const events = progressEvents(cli, options);
+  const salvageOptions = Object.assign({ events, getPassword: () => promptPassword(filename) }, options);
+  return salvage(filename, outputFolder, salvageOptions).then(summary => {
+    const reportFilename = options.report || path.join(outputFolder, SALVAGE_REPORT_FILENAME);
+    fs.writeFileSync(reportFilename, salvageReport(summary));
+    const isDamaged = summary.damaged.length > 0 || summary.unreadable.length > 0 ||
+      summary.missingVolumes.length > 0 || summary.hashes.some(hash => hash.valid === false);
+    const outStatus = cli.paint(summary.folder, " ",
+      cli.color(COLORS.file_size, `(${summary.files} files, ${cli.toMagnitude(summary.bytesOut, 1024)}B)`)
+    );
+    const extras = isDamaged ?
+      cli.color(COLORS.importante, ` [damaged: see ${reportFilename}]`) :
+      cli.color(COLORS.annotations, " [no damage found]");
+    cli.status();
+    cli.display(`${filename} -> ${outStatus}${extras}`);
+    if (isDamaged) process.exit(1);
+  });
+}
+
+// what --salvage found, for a person to read.
+function salvageReport(summary) {
+  const lines = [
+    `salvaged ${summary.files} files (${summary.bytesOut} bytes) from ${summary.filename} into ${summary.folder}`
+  ];
+  if (summary.damaged.length > 0) {
+    lines.push("", "damaged (not unpacked, or only partly):");
+    summary.damaged.forEach(({ filename, reason }) => lines.push(`  ${filename}: ${reason}`));
+  }
+  if (summary.unreadable.length > 0) {
+    lines.push("", "unreadable (any files stored here are missing):");
+    summary.unreadable.forEach(({ start, end, folder }) => {
+      lines.push(`  bytes ${start}-${end - 1}, probably in ${folder || "the top folder"}`);
+    });
+  }
+  if (summary.missingVolumes.length > 0) {
+    lines.push("", "missing volumes:");
+    summary.missingVolumes.forEach(filename => lines.push(`  ${filename}`));
+  }
+  summary.hashes.forEach(hash => {
+    if (hash.valid === false) {
+      lines.push("", `${hash.hash} hash is INVALID: some file's contents are damaged, but there's no telling which.`);
+    } else if (hash.valid == null) {
+      lines.push("", `${hash.hash} hash is signed by ${hash.signedBy}, and wasn't checked.`);
+    }
+  });
+  return lines.join("\n") + "\n";
+}
+
+// for scripts: one line of JSON, and an exit code.
+function displayTestSummary(cli, summary) {
+  const { filename, valid, files, bytesIn, bytesOut, hashes } = summary;
+  cli.status();
+  console.log(JSON.stringify({ filename, valid, files, bytesIn, bytesOut, hashes }));
+  if (!valid) process.exit(1);
+}
 
 function displayStatus(cli, state) {
   if (!state.currentFilename) return;
@@ -276,16 +371,9 @@ function displayStatus(cli, state) {
   cli.status(cli.paint(count, ": (", totalProgress, ")  ", state.currentFilename, " ", fileProgress));
 }
 
-function printFinishedFile(cli, state) {
-  if (!state.currentFilename) return;
-  const bytes = state.isFolder ?
-    "     " :
-    cli.color(
-      COLORS.file_size,
-      sprintf("%5s", cli.toMagnitude(state.currentFileTotalBytes)
-    )
-  );
-  cli.display(cli.paint("  ", bytes, "  ", state.currentFilename));
+function printFinishedFile(cli, filename, header) {
+  const bytes = cli.color(COLORS.file_size, sprintf("%5s", cli.toMagnitude(header.size)));
+  cli.display(cli.paint("  ", bytes, "  ", filename));
 }
 
 
@@ -0,0 +1,174 @@
+"use strict";
+
+import crypto from "crypto";
+import Keybaser from "./keybaser";
+import Promise from "bluebird";
+import toolkit from "stream-toolkit";
+import { ArchiveError } from "./errors";
+import { hasExtendedHeader, readExtendedHeader } from "./extended_header";
+import { isAttributesRecord } from "./attributes";
+import { isCompressionRecord } from "./compression";
+import { isDeletionRecord } from "./snapshot";
+import { isLink } from "./links";
+import { isSymlink, keyDecrypter, openSource, passwordGetter } from "./helpers";
+import { scanSegments } from "./segments";
+import { isSparse } from "./sparse";
+import * as lib4bottle from "lib4bottle";
+
+// read the entries of an archive into a map, to compare it with a folder
+// or another archive, or to find out what needs updating.
+
+const ZERO_BUFFER = Buffer.alloc(64 * 1024);
+
+/*
+ * Read an archive into a map of entries, by path relative to its top
+ * folder, and return a promise for `{ entries, top }`, where `top` is the
+ * header of the top folder (or null if the archive is a single file).
+ * Each entry has:
+ *   - `type`: "file", "folder", or "symlink"
+ *   - `size`, `mode`, `mtime` (in milliseconds)
+ *   - `target`: for symlinks
+ *   - `hash`: SHA-512 of the contents (in hex), if `checksum` was set
+ *
+ * An encrypted archive is decrypted with `identities`, `gpger`, or
+ * `keybaser`, or `password` (or `getPassword`), as in `list`.
+ */
+export function readArchiveEntries(filename, options = {}) {
+  const { checksum = false, keybaser = new Keybaser() } = options;
+  const entries = {};
+  const state = { prefix: [], current: {}, top: null };
+
+  function processFile(dataStream) {
+    const { header, entry } = state.current;
+    state.current = {};
+    if (!entry) return drain(dataStream);
+
+    return (hasExtendedHeader(header) ? readExtendedHeader(header, dataStream) : Promise.resolve()).then(() => {
+      if (isSparse(header)) entry.size = header.extended.sparse.size;
+      if (isLink(header)) {
+        // the contents are the first copy's, which was read already.
+        entry.size = header.extended.link.size;
+        const target = entries[header.extended.link.target.split("/").slice(state.top ? 1 : 0).join("/")];
+        if (checksum && target) entry.hash = target.hash;
+        return drain(dataStream);
+      }
+      if (entry.type == "symlink") {
+        return toolkit.pipeToBuffer(dataStream).then(buffer => {
+          entry.target = buffer.toString("utf8");
+        });
+      }
+      if (!checksum) return drain(dataStream);
+      return hashStream(dataStream, isSparse(header) ? header.extended.sparse : null).then(hex => {
+        entry.hash = hex;
+      });
+    });
+  }
+
+  const getPassword = passwordGetter(options);
+  const reader = new lib4bottle.ArchiveReader({
+    decryptKey: keyDecrypter({ keybaser, identities: options.identities, gpger: options.gpger, getPassword }),
+    getPassword,
+    processFile
+  });
+
+  reader.on("start-bottle", bottle => {
+    switch (bottle.typeName()) {
+      case "file":
+      case "folder":
+        const header = bottle.header;
+        const isTop = state.prefix.length == 0;
+        const isRecord = state.prefix.length == 1 &&
+          (isDeletionRecord(header) || isCompressionRecord(header) || isAttributesRecord(header));
+        state.prefix.push(header.filename);
+        state.current = { header };
+        // paths are relative to the top folder.
+        if (isTop && header.folder) {
+          state.top = header;
+          break;
+        }
+        if (isRecord) break;
+        const entry = entryFromHeader(header);
+        entries[state.prefix.slice(state.top ? 1 : 0).join("/")] = entry;
+        state.current.entry = entry;
+        break;
+    }
+  });
+
+  reader.on("end-bottle", bottle => {
+    switch (bottle.typeName()) {
+      case "file":
+      case "folder":
+        state.prefix.pop();
+        break;
+    }
+  });
+
+  reader.on("hash", (bottle, isValid) => {
+    if (!isValid) throw new ArchiveError(`Invalid hash in ${filename}; archive is probably corrupt.`);
+  });
+
+  // later segments (appended files) replace earlier entries.
+  return Promise.try(() => openSource(filename)).then(inStream => {
+    return scanSegments(inStream, segment => {
+      state.prefix = [];
+      return reader.scanStream(segment);
+    });
+  }).then(() => ({ entries, top: state.top }));
+}
+
+function entryFromHeader(header) {
+  const type = header.folder ? "folder" : (isSymlink(header) ? "symlink" : "file");
+  return {
+    type,
+    size: header.folder ? 0 : header.size,
+    mode: (header.mode || 0) & 0xfff,
+    mtime: Math.floor((header.modifiedNanos || 0) / Math.pow(10, 6))
+  };
+}
+
+function drain(dataStream) {
+  const sink = toolkit.nullSinkStream();
+  dataStream.pipe(sink);
+  return sink.finishPromise();
+}
+
+// hash a file's contents; for a sparse file, the holes are hashed as the zeros they stand for.
+export function hashStream(dataStream, sparseMap = null) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha512");
+    const segments = sparseMap ? sparseMap.segments.slice() : null;
+    let position = 0;
+    let remaining = 0;
+
+    const hashZeros = count => {
+      while (count > 0) {
+        const n = Math.min(count, ZERO_BUFFER.length);
+        hash.update(ZERO_BUFFER.slice(0, n));
+        count -= n;
+      }
+    };
+
+    dataStream.on("data", data => {
+      if (!segments) return hash.update(data);
+      while (data.length > 0) {
+        if (remaining == 0) {
+          if (segments.length == 0) return reject(new Error("Sparse file has more data than its map"));
+          const [ offset, length ] = segments.shift();
+          hashZeros(offset - position);
+          position = offset;
+          remaining = length;
+        }
+        const n = Math.min(remaining, data.length);
+        hash.update(data.slice(0, n));
+        position += n;
+        remaining -= n;
+        data = data.slice(n);
+      }
+    });
+    dataStream.on("error", reject);
+    dataStream.on("end", () => {
+      if (segments) hashZeros(sparseMap.size - position);
+      resolve(hash.digest("hex"));
+    });
+  });
+}
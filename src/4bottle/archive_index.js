@@ -0,0 +1,400 @@
+"use strict";
+
+import fs from "fs";
+import stream from "stream";
+import { ArchiveError } from "./errors";
+import { isAttributesRecord } from "./attributes";
+import { isCompressionRecord } from "./compression";
+import { isDeletionRecord } from "./snapshot";
+import {
+  BOTTLE_END, decodeBottleStart, decodeHeader, decodeLength, encodeLength, INDEX_FOOTER_LENGTH,
+  INDEX_FOOTER_MAGIC, isIndexFooter, lengthLength, MAGIC, TYPE_FILE, TYPE_HASHED, TYPE_INDEX
+} from "./segments";
+import { volumeBase } from "./volumes";
+import * as lib4bottle from "lib4bottle";
+
+// an index lets a reader go straight to a file in an archive, instead of
+// reading everything in front of it. it's a top-level bottle of its own
+// type (which readers going from the start skip), at the end of the
+// archive, with one data stream of JSON:
+//   - `archive`: the summary from `list`
+//   - `entries`: each entry from `list`, plus where its bottle is:
+//     `offset`, the position of its first byte in the archive, and
+//     `frames`, how many bytes were left in the current frame of each data
+//     stream it's nested in (outermost first), as of that byte. a bottle
+//     that isn't in any stream has a `length` instead.
+// then a fixed-size footer, so the index can be found from the end:
+//   - magic "4bix" (4 bytes), version, 3 reserved
+//   - position of the index bottle (8 bytes, big-endian)
+//
+// only an archive that isn't compressed or encrypted as a whole can be
+// indexed, since the positions are in the archive file itself.
+
+const INDEX_VERSION = 0;
+const CHUNK_SIZE = 64 * 1024;
+
+/*
+ * Read the index at the end of an archive file: `{ archive, entries }`.
+ * If there isn't one (or the archive isn't a file that can seek, like
+ * stdin or a multi-volume archive), return null: the archive has to be
+ * read from the start. Appending to an archive leaves its index behind,
+ * so only one at the very end counts.
+ */
+export function readIndex(source) {
+  if (typeof source != "string" || source == "-" || volumeBase(source)) return null;
+  let fd = null;
+  try {
+    fd = fs.openSync(source, "r");
+  } catch (error) {
+    return null;
+  }
+  try {
+    const size = fs.fstatSync(fd).size;
+    if (!fs.fstatSync(fd).isFile() || size < INDEX_FOOTER_LENGTH) return null;
+    const footer = new FileReader(fd, size - INDEX_FOOTER_LENGTH, size).read(INDEX_FOOTER_LENGTH);
+    if (!isIndexFooter(footer)) return null;
+    if (footer[4] != INDEX_VERSION) throw new ArchiveError(`Incompatible index version: ${footer[4].toString(16)}`);
+    const offset = footer.readUInt32BE(8) * Math.pow(2, 32) + footer.readUInt32BE(12);
+
+    const reader = new FileReader(fd, offset, size - INDEX_FOOTER_LENGTH);
+    if (readBottleStart(reader).type != TYPE_INDEX) throw new ArchiveError("Damaged index");
+    const data = nextStream(reader);
+    if (data == null) throw new ArchiveError("Damaged index");
+    const index = JSON.parse(data.read(Infinity).toString("utf8"));
+    index.archive.archiveSize = size;
+    return index;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/*
+ * Append an index (`{ archive, entries }`) and its footer to an archive
+ * file.
+ */
+export function writeIndex(filename, index) {
+  const offset = fs.statSync(filename).size;
+  const data = Buffer.from(JSON.stringify(index), "utf8");
+  const buffers = [ MAGIC, Buffer.from([ 0, 0, TYPE_INDEX << 4, 0 ]) ];
+  for (let i = 0; i < data.length; i += CHUNK_SIZE) {
+    const frame = data.slice(i, i + CHUNK_SIZE);
+    buffers.push(encodeLength(frame.length), frame);
+  }
+  buffers.push(Buffer.from([ 0, BOTTLE_END ]));
+
+  const footer = Buffer.alloc(INDEX_FOOTER_LENGTH);
+  footer.fill(0);
+  INDEX_FOOTER_MAGIC.copy(footer, 0);
+  footer[4] = INDEX_VERSION;
+  footer.writeUInt32BE(Math.floor(offset / Math.pow(2, 32)), 8);
+  footer.writeUInt32BE(offset % Math.pow(2, 32), 12);
+  buffers.push(footer);
+  fs.appendFileSync(filename, Buffer.concat(buffers));
+}
+
+/*
+ * Walk the framing of an archive file, without decoding any data, and
+ * return where each file and folder's bottle is (`{ offset, frames }` or
+ * `{ offset, length }`), in the order `list` finds them. Deletion,
+ * compression, and attributes records are left out, as `list` does.
+ * Anything inside a file (like per-file compression) stays opaque.
+ */
+export function locateEntries(filename) {
+  const fd = fs.openSync(filename, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    const reader = new FileReader(fd, 0, size);
+    const locations = [];
+    while (reader.position < size) {
+      if (isIndexFooter(reader.peek(INDEX_FOOTER_MAGIC.length))) {
+        reader.skip(INDEX_FOOTER_LENGTH);
+        continue;
+      }
+      const location = { offset: reader.position };
+      const bottle = readBottleStart(reader);
+      if (bottle.type == TYPE_INDEX) {
+        skipStreams(reader);
+        continue;
+      }
+      if (bottle.type != TYPE_HASHED) locations.push(location);
+      walkBottle(reader, [], bottle, 0, locations);
+      location.length = reader.position - location.offset;
+    }
+    return locations;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/*
+ * Walk the framing of an archive file, like `locateEntries`, and return the
+ * paths in each segment, as `{ path: true }`, in order. Files compressed on
+ * their own are opaque, so they're found in the segment's compression
+ * record instead.
+ */
+export function segmentPaths(filename) {
+  const fd = fs.openSync(filename, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    const reader = new FileReader(fd, 0, size);
+    const segments = [];
+    while (reader.position < size) {
+      if (isIndexFooter(reader.peek(INDEX_FOOTER_MAGIC.length))) {
+        reader.skip(INDEX_FOOTER_LENGTH);
+        continue;
+      }
+      const bottle = readBottleStart(reader);
+      if (bottle.type == TYPE_INDEX) {
+        skipStreams(reader);
+        continue;
+      }
+      const paths = {};
+      walkPaths(reader, bottle, "", 0, paths);
+      segments.push(paths);
+    }
+    return segments;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/*
+ * Count the segments (top-level bottles, other than an index) in an archive
+ * file, by skipping from one to the next, without reading their contents.
+ */
+export function countSegments(filename) {
+  const fd = fs.openSync(filename, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    const reader = new FileReader(fd, 0, size);
+    let count = 0;
+    while (reader.position < size) {
+      if (isIndexFooter(reader.peek(INDEX_FOOTER_MAGIC.length))) {
+        reader.skip(INDEX_FOOTER_LENGTH);
+        continue;
+      }
+      if (readBottleStart(reader).type != TYPE_INDEX) count += 1;
+      skipStreams(reader);
+    }
+    return count;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/*
+ * Stream the bottle of one entry from an indexed archive file, as if it
+ * were an archive of its own.
+ */
+export function entryStream(filename, entry) {
+  if (entry.frames == null) {
+    return fs.createReadStream(filename, { start: entry.offset, end: entry.offset + entry.length - 1 });
+  }
+  const fileStream = fs.createReadStream(filename, { start: entry.offset });
+  return entry.frames.reduce((inStream, remaining, i) => {
+    // once the innermost stream ends, nothing more is needed from the file.
+    const onEnd = i == entry.frames.length - 1 ? () => fileStream.destroy() : null;
+    return inStream.pipe(unframingStream(remaining, onEnd));
+  }, fileStream);
+}
+
+// `streams` are the data streams this bottle is nested in, outermost first. only folders are looked into.
+function walkBottle(reader, streams, { type, header }, depth, locations) {
+  // the top file or folder is the first thing in the top hash bottle.
+  const isTopHash = depth == 0 && type == TYPE_HASHED;
+  if (!isTopHash && !(type == TYPE_FILE && header.folder)) return skipStreams(reader);
+
+  for (let child = nextStream(reader); child != null; child = nextStream(reader)) {
+    const inner = streams.concat(child);
+    if (!child.ended) {
+      const location = locate(inner);
+      const bottle = readBottleStart(child);
+      const isRecord = depth == 0 && !isTopHash && bottle.type == TYPE_FILE &&
+        (isDeletionRecord(bottle.header) || isCompressionRecord(bottle.header) || isAttributesRecord(bottle.header));
+      if (!isRecord) locations.push(location);
+      walkBottle(child, inner, bottle, isTopHash ? 0 : depth + 1, locations);
+    }
+    child.finish();
+    // the rest of a hash bottle is the hash.
+    if (isTopHash) return skipStreams(reader);
+  }
+}
+
+// like `walkBottle`, but collecting the path of each file and folder.
+function walkPaths(reader, { type, header }, prefix, depth, paths) {
+  const isTopHash = depth == 0 && type == TYPE_HASHED;
+  if (type == TYPE_FILE && !isTopHash) {
+    if (depth == 1 && isCompressionRecord(header)) {
+      const data = nextStream(reader);
+      const json = data.read(data.read(4).readUInt32BE(0));
+      data.finish();
+      Object.keys(JSON.parse(json.toString("utf8")).compressed || {}).forEach(p => paths[p] = true);
+      return skipStreams(reader);
+    }
+    if (!(depth == 1 && (isDeletionRecord(header) || isAttributesRecord(header)))) {
+      paths[prefix + header.filename] = true;
+    }
+  }
+  if (!isTopHash && !(type == TYPE_FILE && header.folder)) return skipStreams(reader);
+
+  const childPrefix = isTopHash ? prefix : `${prefix}${header.filename}/`;
+  for (let child = nextStream(reader); child != null; child = nextStream(reader)) {
+    if (!child.ended) walkPaths(child, readBottleStart(child), childPrefix, isTopHash ? 0 : depth + 1, paths);
+    child.finish();
+    // the rest of a hash bottle is the hash.
+    if (isTopHash) return skipStreams(reader);
+  }
+}
+
+// make sure none of the streams is at the end of a frame, so the next byte's position (and what's left of each
+// frame) is known.
+function locate(streams) {
+  for (let i = streams.length - 1; i >= 0; i--) streams[i].prime();
+  return { offset: streams[0].file().position, frames: streams.map(s => s.remaining) };
+}
+
+function readBottleStart(reader) {
+  const { type, headerLength } = decodeBottleStart(reader.read(8));
+  const fields = decodeHeader(reader.read(headerLength));
+  if (type == TYPE_FILE) return { type, header: lib4bottle.decodeFileHeader(fields) };
+  if (type == TYPE_HASHED) return { type, header: lib4bottle.decodeHashHeader(fields) };
+  return { type, header: {} };
+}
+
+// the next data stream of a bottle, or null at the end of the bottle.
+function nextStream(reader) {
+  const byte = reader.read(1)[0];
+  return byte == BOTTLE_END ? null : new StreamReader(reader, byte);
+}
+
+function skipStreams(reader) {
+  for (let s = nextStream(reader); s != null; s = nextStream(reader)) s.finish();
+}
+
+// reads an archive file between two positions, a chunk at a time.
+class FileReader {
+  constructor(fd, position, end) {
+    this.fd = fd;
+    this.position = position;
+    this.end = end;
+    this.buffer = Buffer.alloc(0);
+    this.bufferStart = 0;
+  }
+
+  file() {
+    return this;
+  }
+
+  peek(n) {
+    n = Math.min(n, this.end - this.position);
+    const offset = this.position - this.bufferStart;
+    if (offset < 0 || offset + n > this.buffer.length) {
+      this.buffer = Buffer.alloc(Math.max(n, CHUNK_SIZE));
+      this.bufferStart = this.position;
+      const count = fs.readSync(this.fd, this.buffer, 0, Math.min(this.buffer.length, this.end - this.position),
+        this.position);
+      this.buffer = this.buffer.slice(0, count);
+      return this.buffer.slice(0, Math.min(n, count));
+    }
+    return this.buffer.slice(offset, offset + n);
+  }
+
+  read(n) {
+    const data = this.peek(n);
+    if (data.length < n) throw new ArchiveError("Truncated bottle");
+    this.position += n;
+    return data;
+  }
+
+  skip(n) {
+    if (this.position + n > this.end) throw new ArchiveError("Truncated bottle");
+    this.position += n;
+  }
+}
+
+// reads the contents of one data stream of a bottle, leaving out the frame lengths.
+class StreamReader {
+  constructor(parent, firstByte) {
+    this.parent = parent;
+    this.remaining = 0;
+    this.ended = false;
+    this._startFrame(firstByte);
+  }
+
+  file() {
+    return this.parent.file();
+  }
+
+  // read up to `n` bytes (all that's left, for `Infinity`).
+  read(n) {
+    const buffers = [];
+    this._take(n, count => buffers.push(this.parent.read(count)));
+    return Buffer.concat(buffers);
+  }
+
+  skip(n) {
+    this._take(n, count => this.parent.skip(count));
+  }
+
+  // skip to the end of the stream.
+  finish() {
+    this.skip(Infinity);
+  }
+
+  prime() {
+    if (this.remaining == 0 && !this.ended) this._startFrame(this.parent.read(1)[0]);
+  }
+
+  _take(n, take) {
+    while (n > 0) {
+      this.prime();
+      if (this.ended) {
+        if (n == Infinity) return;
+        throw new ArchiveError("Truncated bottle");
+      }
+      const count = Math.min(n, this.remaining);
+      take(count);
+      this.remaining -= count;
+      n -= count;
+    }
+  }
+
+  _startFrame(byte) {
+    const rest = lengthLength(byte) > 1 ? this.parent.read(lengthLength(byte) - 1) : Buffer.alloc(0);
+    const length = decodeLength(Buffer.concat([ Buffer.from([ byte ]), rest ]));
+    if (length < 0) throw new ArchiveError("Bottle ended in the middle of a stream");
+    if (length == 0) this.ended = true;
+    this.remaining = length;
+  }
+}
+
+// the contents of a data stream, starting `remaining` bytes before the end of a frame.
+function unframingStream(remaining, onEnd) {
+  let header = null;
+  let ended = false;
+  const transform = new stream.Transform();
+  transform._transform = (data, _, callback) => {
+    let i = 0;
+    while (i < data.length && !ended) {
+      if (remaining > 0) {
+        const n = Math.min(remaining, data.length - i);
+        transform.push(data.slice(i, i + n));
+        remaining -= n;
+        i += n;
+        continue;
+      }
+      header = header ? Buffer.concat([ header, data.slice(i, i + 1) ]) : data.slice(i, i + 1);
+      i += 1;
+      if (header.length < lengthLength(header[0])) continue;
+      remaining = decodeLength(header);
+      header = null;
+      if (remaining <= 0) {
+        ended = true;
+        transform.push(null);
+        if (onEnd) onEnd();
+      }
+    }
+    callback();
+  };
+  return transform;
+}
@@ -0,0 +1,175 @@
+"use strict";
+
+import ArchiveWriter from "./archive_writer";
+import fs from "fs";
+import path from "path";
+import Promise from "bluebird";
+import toolkit from "stream-toolkit";
+import { hasExtendedHeader, hasRecords, MODE_RECORDS } from "./extended_header";
+import { isCompressionRecord } from "./compression";
+import { isUnchanged, snapshotEntry } from "./snapshot";
+import * as lib4bottle from "lib4bottle";
+
+const readdirPromise = Promise.promisify(fs.readdir);
+const lstatPromise = Promise.promisify(fs.lstat);
+
+/*
+ * Copy the entries of an existing archive, as they're read by an
+ * ArchiveReader, into a new tree of file and folder bottles, adding or
+ * replacing files on the way through. This is how files are added to an
+ * encrypted or compressed archive, without unpacking it first.
+ *
+ * Either:
+ *   - `appending`: a list of files to add to the top folder, replacing any
+ *     with the same name; or
+ *   - `updating`: the folder the archive was made from; anything in it
+ *     that's new, or changed since it was archived, is added (in the same
+ *     place in the tree) and replaces the archived copy.
+ *
+ * An old compression record is dropped, since copied files aren't
+ * compressed again; with a `compression` policy, a new one covers the
+ * files added. An old attributes record is kept, and with `xattrs` or
+ * `acls`, a new one after it covers the files added.
+ *
+ * The other options are passed to ArchiveWriter. Feed it the reader's
+ * events with `startEntry`, `processFile`, and `endEntry`. `topBottle` is a
+ * promise for the new top-level bottle.
+ */
+export default class ArchiveRewriter extends ArchiveWriter {
+  constructor(options) {
+    super(options);
+    this.appending = options.appending;
+    this.updating = options.updating;
+    // folders in progress, from the top down.
+    this.stack = [];
+    this.current = null;
+    this.topBottle = new Promise(resolve => {
+      this.resolveTop = resolve;
+    });
+  }
+
+  startEntry(header) {
+    const parent = this.stack[this.stack.length - 1];
+    const archivePath = parent ? `${parent.archivePath}/${header.filename}` : header.filename;
+    if (!parent && !header.folder) throw new Error("Can't add files to an archive of a single file");
+    const isOldRecord = parent != null && parent.parent == null && isCompressionRecord(header);
+    const skipped = parent != null && (parent.skipped || isOldRecord || this._isReplaced(archivePath, header, parent));
+    if (parent && !skipped) parent.kept[header.filename] = true;
+    if (!skipped) this.emit("filename", archivePath + (header.folder ? "/" : ""), header);
+
+    if (!header.folder) {
+      this.current = { header, archivePath, parent, skipped };
+      return;
+    }
+    const frame = { header, archivePath, parent, skipped, kept: {} };
+    // new records are added to the end of the top folder.
+    if (!parent && (this.compression || this.xattrs || this.acls)) header.mode = (header.mode || 0) | MODE_RECORDS;
+    if (!skipped && hasRecords(header)) this.isExtended = true;
+    if (!skipped) {
+      frame.bottle = new lib4bottle.FolderBottleWriter(header);
+      // this finishes only when the folder does, so don't wait for it.
+      this._addBottle(parent, frame.bottle).catch(error => this.emit("error", error));
+    }
+    this.stack.push(frame);
+  }
+
+  processFile(dataStream) {
+    const { header, archivePath, parent, skipped } = this.current;
+    this.current = null;
+    if (skipped) {
+      const sink = toolkit.nullSinkStream();
+      dataStream.pipe(sink);
+      return sink.finishPromise();
+    }
+    if (hasExtendedHeader(header)) this.isExtended = true;
+
+    const countingFileStream = toolkit.countingStream();
+    countingFileStream.on("count", n => {
+      this.emit("status", archivePath, n);
+    });
+    const fileBottle = new lib4bottle.FileBottleWriter(header);
+    dataStream.pipe(countingFileStream);
+    countingFileStream.pipe(fileBottle);
+    return this._addBottle(parent, fileBottle);
+  }
+
+  // new files are added at the end of their folder, once the archived ones have been copied.
+  endEntry(header) {
+    if (!header.folder) return;
+    const frame = this.stack.pop();
+    if (frame.skipped) return;
+    this._additions(frame).then(filenames => {
+      return Promise.map(filenames, filename => {
+        return this._processFile(filename, frame.archivePath + "/").then(bottle => frame.bottle.writePromise(bottle));
+      }, { concurrency: 1 });
+    }).then(() => {
+      if (frame.parent != null || !this.compression) return;
+      return this._processCompressionRecord().then(bottle => frame.bottle.writePromise(bottle));
+    }).then(() => {
+      if (frame.parent != null || (!this.xattrs && !this.acls)) return;
+      return this._processAttributesRecord().then(bottle => frame.bottle.writePromise(bottle));
+    }).then(() => {
+      frame.bottle.end();
+    }).catch(error => {
+      this.emit("error", error);
+    });
+  }
+
+  _addBottle(parent, bottle) {
+    if (parent) return parent.bottle.writePromise(bottle);
+    this.resolveTop(bottle);
+    return Promise.resolve();
+  }
+
+  _isReplaced(archivePath, header, parent) {
+    if (this.appending) {
+      // only entries at the top can be replaced by appended files.
+      return parent.parent == null && this.appending.some(filename => path.basename(filename) == header.filename);
+    }
+    let stats = null;
+    try {
+      stats = fs.lstatSync(this._diskPath(archivePath));
+    } catch (error) {
+      // gone from disk: keep the archived copy.
+      return false;
+    }
+    if (stats.isDirectory() != !!header.folder) return true;
+    if (header.folder) return false;
+    // the size of a file with an extended header isn't its real size, so just replace it.
+    if (hasExtendedHeader(header)) return true;
+    const archived = { size: header.size, mtime: Math.floor((header.modifiedNanos || 0) / Math.pow(10, 6)) };
+    return !isUnchanged(archived, snapshotEntry(stats));
+  }
+
+  // files on disk that belong at the end of this folder.
+  _additions(frame) {
+    if (this.appending) return Promise.resolve(frame.parent == null ? this.appending : []);
+
+    const folderName = this._diskPath(frame.archivePath);
+    const parentRules = this.folderRules[path.dirname(folderName)] || [];
+    return this.filter.rulesForFolder(folderName, parentRules).then(rules => {
+      this.folderRules[folderName] = rules;
+      return readdirPromise(folderName).then(files => {
+        return Promise.filter(files.filter(name => !frame.kept[name]), name => {
+          const fullPath = path.join(folderName, name);
+          return lstatPromise(fullPath).then(stats => {
+            const archivePath = frame.archivePath.split("/").slice(1).concat(name).join("/");
+            if (!this.filter.isSkipped(fullPath, archivePath, stats.isDirectory(), rules)) return true;
+            this.emit("skip", `${frame.archivePath}/${name}` + (stats.isDirectory() ? "/" : ""));
+            return false;
+          });
+        }, { concurrency: 1 }).map(name => path.join(folderName, name));
+      });
+    }).catch(error => {
+      // the folder is gone from disk.
+      const code = error.code || (error.cause || {}).code;
+      if (code == "ENOENT") return [];
+      throw error;
+    });
+  }
+
+  // "top/src/main.js" -> "<updating>/src/main.js"
+  _diskPath(archivePath) {
+    return path.join(this.updating, archivePath.split("/").slice(1).join("/"));
+  }
+}
@@ -0,0 +1,445 @@
+"use strict";
+
+import fs from "fs";
+import LinkTracker from "./links";
+import path from "path";
+import Promise from "bluebird";
+import toolkit from "stream-toolkit";
+import { ATTRIBUTES_RECORD_FILENAME, readTreeAttributes } from "./attributes";
+import { COMPRESSION_RECORD_FILENAME, COMPRESSION_TYPES } from "./compression";
+import { encodeExtendedHeader, MODE_RECORD, MODE_RECORDS } from "./extended_header";
+import { S_IFLNK } from "./helpers";
+import { scanSparseFile, sparseDataSize, sparseReadStream } from "./sparse";
+import {
+  DELETION_RECORD_FILENAME, deletedPaths, isUnchanged, snapshotEntry
+} from "./snapshot";
+import * as lib4bottle from "lib4bottle";
+
+const lstatPromise = Promise.promisify(fs.lstat);
+const openPromise = Promise.promisify(fs.open);
+const readdirPromise = Promise.promisify(fs.readdir);
+const readlinkPromise = Promise.promisify(fs.readlink);
+const statPromise = Promise.promisify(fs.stat);
+
+const BUFFER_SIZE = Math.pow(10, 6);
+// files bigger than this are compressed as a stream on the main thread, instead of in memory on a worker.
+const MAX_WORKER_FILE_SIZE = 16 * 1024 * 1024;
+
+/*
+ * lib4bottle's ArchiveWriter, but consulting a `FileFilter` before each
+ * file or folder is added, and storing symlinks as links (with their target
+ * as the file contents) unless `dereference` is set. With `numericOwner`,
+ * the user and group are stored as numeric ids instead of names. Sparse
+ * files are stored as their data segments plus a map of the holes.
+ *
+ * If a `snapshot` is given, everything archived is recorded in it. If a
+ * `previousSnapshot` is given, files that haven't changed since then are
+ * left out, and (if there's a `snapshot` too) a deletion record is added to
+ * the end of the top folder.
+ *
+ * If a `compression` policy is given, each file is compressed on its own
+ * (or not), as the policy decides, and a compression record is added to
+ * the end of the top folder. With a `pool` of compression workers too, the
+ * next few files in each folder are read and compressed on the workers
+ * while the current one is written, so the archive is still written in
+ * order.
+ *
+ * A file that's a hard link to one archived earlier is stored as a link to
+ * it (see links.js), and so is one with the same contents, if `dedupe` is
+ * set.
+ *
+ * With `xattrs` or `acls`, the extended attributes or ACL of each file and
+ * folder are collected, and written in an attributes record at the end of
+ * the top folder (see attributes.js). They're read a whole tree at a time,
+ * when the first file or folder in it is reached.
+ *
+ * Additional events:
+ *   - `skip`
+ *     - `(filename)` - a file or folder was left out by the filter
+ *   - `delete`
+ *     - `(filename)` - a file or folder in the previous snapshot is gone
+ *   - `compress`
+ *     - `(filename, method)` - a file is being compressed on its own
+ *   - `link`
+ *     - `(filename, target, hard)` - a file is stored as a link to an earlier
+ *       one
+ *   - `warning`
+ *     - `(message)` - something couldn't be stored, like attributes without
+ *       the tools to read them (each message is only sent once)
+ */
+export default class ArchiveWriter extends lib4bottle.ArchiveWriter {
+  constructor({
+    filter, dereference = false, numericOwner = false, snapshot = null, previousSnapshot = null, compression = null,
+    pool = null, dedupe = false, xattrs = false, acls = false
+  }) {
+    super();
+    this.filter = filter;
+    this.dereference = dereference;
+    this.numericOwner = numericOwner;
+    this.snapshot = snapshot;
+    this.previousSnapshot = previousSnapshot;
+    this.compression = compression;
+    // compressed size of each file compressed on its own, by display name.
+    this.compressedSizes = {};
+    this.pool = pool;
+    this.links = new LinkTracker({ dedupe });
+    this.xattrs = xattrs;
+    this.acls = acls;
+    // extended attributes and ACLs of each file and folder that has any, by path in the archive.
+    this.attributes = {};
+    // the trees whose attributes have been read (by absolute path), and what was found that isn't used yet.
+    this.attributeTrees = [];
+    this.treeAttributes = {};
+    this.warnings = {};
+    // promises for files being compressed ahead of their turn, and which files to start next, by path on disk.
+    this.prefetched = {};
+    this.upcoming = {};
+    // where the deletion, compression, and attributes records go, once the top folder is known.
+    this.deletionRecordPath = null;
+    this.compressionRecordPath = null;
+    this.attributesRecordPath = null;
+    this.foundTopFolder = false;
+    // set once anything is written that needs archive format version 1 (see segments.js).
+    this.isExtended = false;
+    // ignore-file rules in effect for each folder visited so far, by path on disk.
+    this.folderRules = {};
+  }
+
+  /*
+   * Archive a list of files into a folder with an existing header, like
+   * `archiveFiles`. This is used to add files to the top folder of an
+   * existing archive.
+   */
+  appendFiles(header, filenames) {
+    const prefix = header.filename + "/";
+    this.emit("filename", prefix, header);
+    return this._processFolder(null, prefix, header, filenames);
+  }
+
+  /*
+   * Archive a folder as if it had a different name, like `archiveFile`.
+   * This is used to update an archive from the folder it was made from.
+   */
+  archiveFolderAs(folderName, name) {
+    return statPromise(folderName).then(stats => {
+      const header = this._makeHeader(name, stats);
+      const prefix = name + "/";
+      this.emit("filename", prefix, header);
+      return this._readAttributes(folderName, name).then(() => this._processFolder(folderName, prefix, header));
+    });
+  }
+
+  _processFile(filename, prefix) {
+    if (filename === this.deletionRecordPath) return this._processDeletionRecord();
+    if (filename === this.compressionRecordPath) return this._processCompressionRecord();
+    if (filename === this.attributesRecordPath) return this._processAttributesRecord();
+    this._prefetchAfter(filename);
+    const basename = path.basename(filename);
+    return (this.dereference ? statPromise : lstatPromise)(filename).then(stats => {
+      // check before building the header: fileHeaderFromStats mangles the stats object.
+      const isSymlink = stats.isSymbolicLink();
+      // a single file archived on its own has no folder to record it in.
+      if (prefix == null && this.snapshot && !stats.isDirectory()) {
+        this.snapshot.files[basename] = snapshotEntry(stats);
+      }
+      const header = this._makeHeader(basename, stats);
+      const displayName = (prefix ? path.join(prefix, basename) : basename) + (header.folder ? "/" : "");
+      if (isSymlink) return this._processSymlink(filename, displayName, header);
+      return this._readAttributes(filename, displayName).then(() => {
+        if (!header.folder) return this._processData(filename, displayName, header, stats);
+        this.emit("filename", displayName, header);
+        return this._processFolder(filename, displayName, header);
+      });
+    });
+  }
+
+  _readAttributes(filename, displayName) {
+    if (!this.xattrs && !this.acls) return Promise.resolve();
+    const fullPath = path.resolve(filename);
+    const isRead = this.attributeTrees.some(top => !path.relative(top, fullPath).startsWith(".."));
+    return (isRead ? Promise.resolve() : this._readAttributeTree(fullPath)).then(() => {
+      const attributes = this.treeAttributes[fullPath];
+      delete this.treeAttributes[fullPath];
+      if (attributes) this.attributes[displayName.replace(/\/$/, "")] = attributes;
+    });
+  }
+
+  _readAttributeTree(fullPath) {
+    this.attributeTrees.push(fullPath);
+    const options = { xattrs: this.xattrs, acls: this.acls, dereference: this.dereference };
+    return readTreeAttributes(fullPath, options).then(({ attributes, warnings }) => {
+      Object.assign(this.treeAttributes, attributes);
+      warnings.forEach(message => {
+        // several trees would each say the same thing.
+        if (this.warnings[message]) return;
+        this.warnings[message] = true;
+        this.emit("warning", message);
+      });
+    });
+  }
+
+  _processData(filename, displayName, header, stats) {
+    const prefetched = this.prefetched[filename];
+    delete this.prefetched[filename];
+
+    return this.links.find(filename, displayName, stats).then(link => {
+      if (link) return this._linkBottle(displayName, header, link);
+      return (prefetched || Promise.resolve(null)).then(layout => {
+        if (layout && layout.compressed) return this._prefetchedBottle(displayName, layout);
+        return (layout ? Promise.resolve(layout) : this._layout(filename, displayName, header, stats)).then(layout => {
+          return this._openData(filename, layout).then(dataStream => {
+            // file -> countingStream -> fileBottle
+            const countingFileStream = toolkit.countingStream();
+            countingFileStream.on("count", n => {
+              this.emit("status", displayName, n);
+            });
+            this.emit("filename", displayName, layout.header);
+            const fileBottle = new lib4bottle.FileBottleWriter(layout.header);
+            dataStream.pipe(countingFileStream);
+            countingFileStream.pipe(fileBottle);
+            return layout.method ? this._compressBottle(displayName, layout.method, fileBottle) : fileBottle;
+          });
+        });
+      });
+    });
+  }
+
+  // decide how to store a file: `{ header, sparseMap, method }`.
+  _layout(filename, displayName, header, stats) {
+    // compression rules match paths inside the top folder, like --exclude.
+    const archivePath = displayName.indexOf("/") >= 0 ? stripTopFolder(displayName) : displayName;
+    const methodPromise = this.compression ?
+      this.compression.choose(filename, archivePath, stats.size) :
+      Promise.resolve(null);
+
+    return Promise.all([ scanSparseFile(filename, stats), methodPromise ]).then(([ sparseMap, method ]) => {
+      if (sparseMap) header.size = sparseDataSize(sparseMap);
+      return { header, sparseMap, method };
+    });
+  }
+
+  // the data for a file bottle: the file contents (or just its data segments), after any extended header.
+  _openData(filename, { header, sparseMap }) {
+    const extended = {};
+    if (sparseMap) extended.sparse = sparseMap;
+    const extendedHeader = Object.keys(extended).length > 0 ? this._encodeExtendedHeader(header, extended) : null;
+
+    const dataPromise = sparseMap ?
+      Promise.resolve(sparseReadStream(filename, sparseMap)) :
+      openPromise(filename, "r").then(fd => fs.createReadStream(filename, { fd, highWaterMark: BUFFER_SIZE }));
+
+    return dataPromise.then(dataStream => {
+      if (!extendedHeader) return dataStream;
+      return toolkit.compoundStream([ toolkit.sourceStream(extendedHeader), dataStream ]);
+    });
+  }
+
+  // remember the files in a folder, so they can be compressed a few at a time ahead of their turn.
+  _queueAhead(prefix, filenames) {
+    if (!this.pool) return;
+    const queue = { prefix, filenames };
+    filenames.forEach((filename, index) => {
+      this.upcoming[filename] = { queue, index };
+    });
+    filenames.slice(0, this.pool.size * 2).forEach(filename => this._prefetch(filename, prefix));
+  }
+
+  // a file's turn has come, so start on the ones after it.
+  _prefetchAfter(filename) {
+    const upcoming = this.upcoming[filename];
+    if (!upcoming) return;
+    delete this.upcoming[filename];
+    const { queue, index } = upcoming;
+    queue.filenames.slice(index + 1, index + 1 + this.pool.size * 2).forEach(filename => {
+      this._prefetch(filename, queue.prefix);
+    });
+  }
+
+  /*
+   * Read a file and compress it on a worker, returning a promise for its
+   * layout, with the `compressed` bottle. Anything that won't be compressed
+   * this way (a folder, a big file, a link, or one that won't shrink) is
+   * left for its turn.
+   */
+  _prefetch(filename, prefix) {
+    const records = [ this.deletionRecordPath, this.compressionRecordPath, this.attributesRecordPath ];
+    if (this.prefetched[filename] || records.indexOf(filename) >= 0) {
+      return;
+    }
+    this.prefetched[filename] = (this.dereference ? statPromise : lstatPromise)(filename).then(stats => {
+      if (!stats.isFile() || stats.size > MAX_WORKER_FILE_SIZE) return null;
+      // a hard link or duplicate is stored as a link, so compressing it would be wasted.
+      return this.links.isLikelyCopy(filename, stats).then(isCopy => isCopy ? null : stats);
+    }).then(stats => {
+      if (stats == null) return null;
+      const basename = path.basename(filename);
+      const header = this._makeHeader(basename, stats);
+      return this._layout(filename, path.join(prefix, basename), header, stats).then(layout => {
+        if (!layout.method) return layout;
+        return this._openData(filename, layout).then(dataStream => {
+          const fileBottle = new lib4bottle.FileBottleWriter(layout.header);
+          dataStream.pipe(fileBottle);
+          return toolkit.pipeToBuffer(fileBottle);
+        }).then(data => {
+          return this.pool.run({ method: layout.method, data });
+        }).then(compressed => {
+          layout.compressed = Buffer.from(compressed);
+          return layout;
+        });
+      });
+    }).catch(() => {
+      // try again when its turn comes, to report the error in order.
+      return null;
+    });
+  }
+
+  _prefetchedBottle(displayName, { header, method, compressed }) {
+    this.emit("filename", displayName, header);
+    this.emit("status", displayName, header.size);
+    this.emit("compress", displayName, method);
+    this.compressedSizes[displayName] = compressed.length;
+    return toolkit.sourceStream(compressed);
+  }
+
+  // fileBottle -> compressedBottle -> countingStream
+  _compressBottle(displayName, method, fileBottle) {
+    const compressedBottle = new lib4bottle.CompressedBottleWriter(COMPRESSION_TYPES[method]);
+    const countingStream = toolkit.countingStream();
+    countingStream.on("count", n => {
+      this.compressedSizes[displayName] = n;
+    });
+    this.emit("compress", displayName, method);
+    fileBottle.pipe(compressedBottle);
+    compressedBottle.pipe(countingStream);
+    return countingStream;
+  }
+
+  _processSymlink(filename, displayName, header) {
+    return readlinkPromise(filename).then(target => {
+      const data = Buffer.from(target, "utf8");
+      header.mode = S_IFLNK | 0x1ff;
+      header.size = data.length;
+      this.emit("filename", displayName, header);
+      const fileBottle = new lib4bottle.FileBottleWriter(header);
+      toolkit.sourceStream(data).pipe(fileBottle);
+      return fileBottle;
+    });
+  }
+
+  // an empty file entry, with the link to the first copy in its extended header.
+  _linkBottle(displayName, header, link) {
+    this.emit("filename", displayName, header);
+    this.emit("link", displayName, link.target, link.hard);
+    header.size = 0;
+    const data = this._encodeExtendedHeader(header, { link });
+    const fileBottle = new lib4bottle.FileBottleWriter(header);
+    toolkit.sourceStream(data).pipe(fileBottle);
+    return fileBottle;
+  }
+
+  _processDeletionRecord() {
+    const deleted = deletedPaths(this.previousSnapshot, this.snapshot);
+    deleted.forEach(filename => this.emit("delete", filename));
+    return this._processRecord(DELETION_RECORD_FILENAME, { deleted });
+  }
+
+  // every file before this one has been written, so the compressed sizes are all known.
+  _processCompressionRecord() {
+    return this._processRecord(COMPRESSION_RECORD_FILENAME, { compressed: this.compressedSizes });
+  }
+
+  // every file and folder before this one has been seen, so the attributes are all known.
+  _processAttributesRecord() {
+    return this._processRecord(ATTRIBUTES_RECORD_FILENAME, { attributes: this.attributes });
+  }
+
+  // an empty file entry, with an extended header of `fields`.
+  _processRecord(filename, fields) {
+    const nowNanos = Date.now() * Math.pow(10, 6);
+    const header = {
+      filename,
+      mode: 0x100 | MODE_RECORD,
+      size: 0,
+      createdNanos: nowNanos,
+      modifiedNanos: nowNanos,
+      accessedNanos: nowNanos
+    };
+    const data = this._encodeExtendedHeader(header, fields);
+    const fileBottle = new lib4bottle.FileBottleWriter(header);
+    toolkit.sourceStream(data).pipe(fileBottle);
+    return Promise.resolve(fileBottle);
+  }
+
+  _encodeExtendedHeader(header, fields) {
+    this.isExtended = true;
+    return encodeExtendedHeader(header, fields);
+  }
+
+  _makeHeader(basename, stats) {
+    const { uid, gid } = stats;
+    const header = lib4bottle.fileHeaderFromStats(basename, stats);
+    if (this.numericOwner) {
+      header.username = uid.toString();
+      header.groupname = gid.toString();
+    }
+    return header;
+  }
+
+  _processFolder(folderName, prefix, header, files = null) {
+    const parentRules = folderName ? (this.folderRules[path.dirname(folderName)] || []) : [];
+    const rulesPromise = folderName ? this.filter.rulesForFolder(folderName, parentRules) : Promise.resolve([]);
+
+    return rulesPromise.then(rules => {
+      if (folderName) this.folderRules[folderName] = rules;
+      return (files ? Promise.resolve(files) : readdirPromise(folderName)).then(files => {
+        return Promise.filter(files, filename => {
+          const fullPath = folderName ? path.join(folderName, filename) : filename;
+          const basename = path.basename(fullPath);
+          return (this.dereference ? statPromise : lstatPromise)(fullPath).then(stats => {
+            const archivePath = stripTopFolder(prefix) + basename;
+            if (this.filter.isSkipped(fullPath, archivePath, stats.isDirectory(), rules)) {
+              this.emit("skip", path.join(prefix, basename) + (stats.isDirectory() ? "/" : ""));
+              return false;
+            }
+            if (!this.snapshot && !this.previousSnapshot) return true;
+            const entry = snapshotEntry(stats);
+            const snapshotPath = path.join(prefix, basename);
+            if (this.snapshot) this.snapshot.files[snapshotPath] = entry;
+            return !(this.previousSnapshot && isUnchanged(this.previousSnapshot.files[snapshotPath], entry));
+          });
+        }, { concurrency: 1 });
+      });
+    }).then(files => {
+      // files are archived in order, so the deletion record is only written after everything else is seen.
+      if (!this.foundTopFolder && this.snapshot && this.previousSnapshot) {
+        this.deletionRecordPath = recordPath(folderName, DELETION_RECORD_FILENAME);
+        files = files.concat(path.basename(this.deletionRecordPath));
+      }
+      if (!this.foundTopFolder && this.compression) {
+        this.compressionRecordPath = recordPath(folderName, COMPRESSION_RECORD_FILENAME);
+        files = files.concat(path.basename(this.compressionRecordPath));
+      }
+      if (!this.foundTopFolder && (this.xattrs || this.acls)) {
+        this.attributesRecordPath = recordPath(folderName, ATTRIBUTES_RECORD_FILENAME);
+        files = files.concat(path.basename(this.attributesRecordPath));
+      }
+      // a reader holds back the top folder's entries until it sees these records.
+      if (!this.foundTopFolder && (this.compressionRecordPath || this.attributesRecordPath)) {
+        header.mode = (header.mode || 0) | MODE_RECORDS;
+      }
+      this.foundTopFolder = true;
+      this._queueAhead(prefix, files.map(filename => folderName ? path.join(folderName, filename) : filename));
+      return super._processFolder(folderName, prefix, header, files);
+    });
+  }
+}
+
+// a path no real file can have (it has a NUL), so a user's file with a record's name is archived as usual.
+function recordPath(folderName, filename) {
+  return folderName ? path.join(folderName, "\u0000" + filename) : "\u0000" + filename;
+}
+
+// "top/src/" -> "src/"
+function stripTopFolder(prefix) {
+  return prefix.split("/").slice(1).join("/");
+}
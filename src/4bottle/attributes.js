@@ -0,0 +1,178 @@
+"use strict";
+
+import child_process from "child_process";
+import path from "path";
+import Promise from "bluebird";
+import toolkit from "stream-toolkit";
+import { isRecord } from "./extended_header";
+import { waitForProcess } from "./keybaser";
+
+// extended attributes and POSIX ACLs: folders have no data stream to hold
+// an extended header, so the top folder ends with an "attributes record":
+// an empty file entry whose extended header has them for every file and
+// folder that has any, by path in the archive:
+//   { attributes: { "<path>": { xattrs: { "<name>": "<base64>" }, acl: "<text>" } } }
+// where `acl` is in the format of getfacl (access entries, plus default
+// entries for a folder). each appended segment has its own record.
+//
+// they're read and written with the getfattr/setfattr and getfacl/setfacl
+// tools, since node can't reach them. reading goes a whole tree at a time,
+// so it's one run of each tool, not one for every file.
+
+export const ATTRIBUTES_RECORD_FILENAME = ".4bottle-attributes";
+
+const GETFATTR_BINARY = "getfattr";
+const SETFATTR_BINARY = "setfattr";
+const GETFACL_BINARY = "getfacl";
+const SETFACL_BINARY = "setfacl";
+
+export function isAttributesRecord(header) {
+  return isRecord(header, ATTRIBUTES_RECORD_FILENAME);
+}
+
+/*
+ * Return a promise for the extended attributes (with `xattrs`) and ACLs
+ * (with `acls`) of a file or folder and everything inside it (following
+ * symlinks, with `dereference`): `{ attributes, warnings }`, where
+ * `attributes` has `{ xattrs, acl }` for each one that has either, by
+ * absolute path. A filesystem that doesn't support them has none. A
+ * missing tool is a warning, and the files are read without it.
+ */
+export function readTreeAttributes(filename, { xattrs = false, acls = false, dereference = false }) {
+  const attributes = {};
+  const warnings = [];
+  // a physical walk skips symlinks, which have no attributes of their own to store.
+  const walk = dereference ? "--logical" : "--physical";
+
+  // a file the tool can't read is left out, but the rest are still listed.
+  const read = (binary, args, what, store) => {
+    return run(binary, args).then(({ stdout }) => {
+      parseListing(stdout.toString("utf8")).forEach(({ name, lines }) => {
+        const fullPath = path.resolve(name);
+        attributes[fullPath] = attributes[fullPath] || {};
+        store(attributes[fullPath], lines);
+      });
+    }).catch(error => {
+      if (!error.binary) throw error;
+      warnings.push(`${error.message} No ${what} were stored.`);
+    });
+  };
+
+  return Promise.try(() => {
+    if (!xattrs) return;
+    const args = [ "--absolute-names", "--recursive", walk, "--dump", "--match=-", "--encoding=base64", filename ];
+    return read(GETFATTR_BINARY, args, "extended attributes", (entry, lines) => {
+      const values = parseXattrs(lines);
+      if (Object.keys(values).length > 0) entry.xattrs = values;
+    });
+  }).then(() => {
+    if (!acls) return;
+    const args = [ "--absolute-names", "--recursive", walk, "--skip-base", filename ];
+    return read(GETFACL_BINARY, args, "ACLs", (entry, lines) => {
+      if (lines.length > 0) entry.acl = lines.join("\n") + "\n";
+    });
+  }).then(() => {
+    Object.keys(attributes).forEach(fullPath => {
+      if (Object.keys(attributes[fullPath]).length == 0) delete attributes[fullPath];
+    });
+    return { attributes, warnings };
+  });
+}
+
+// only the "user.*" namespace is meant to be moved between files (and machines); the rest usually need root.
+export function userXattrs(xattrs) {
+  const values = {};
+  Object.keys(xattrs).filter(name => name.startsWith("user.")).forEach(name => {
+    values[name] = xattrs[name];
+  });
+  return values;
+}
+
+/*
+ * Restore the extended attributes and ACL (as from `readAttributes`) of a
+ * file or folder, as far as the filesystem allows. Return a promise for a
+ * list of warnings about the ones that couldn't be restored.
+ */
+export function writeAttributes(filename, { xattrs = {}, acl = null }) {
+  const warnings = [];
+  let missing = false;
+  return Promise.map(Object.keys(xattrs), name => {
+    // no point trying the rest without the binary.
+    if (missing) return;
+    const args = [ "--no-dereference", "--name=" + name, "--value=0s" + xattrs[name], filename ];
+    return run(SETFATTR_BINARY, args).then(checkExit).catch(error => {
+      if (error.binary) missing = true;
+      warnings.push(`Can't restore extended attribute ${name}: ${error.message}`);
+    });
+  }, { concurrency: 1 }).then(() => {
+    if (acl == null) return;
+    return run(SETFACL_BINARY, [ "--set-file=-", filename ], Buffer.from(acl, "utf8")).then(checkExit).catch(error => {
+      warnings.push(`Can't restore ACL: ${error.message}`);
+    });
+  }).then(() => warnings);
+}
+
+// the way getfattr and getfacl list a tree: "# file: <name>", then (with more comments) lines about it.
+function parseListing(text) {
+  const files = [];
+  text.split("\n").forEach(line => {
+    if (line.startsWith("# file: ")) {
+      files.push({ name: unescapeName(line.slice(8)), lines: [] });
+    } else if (files.length > 0 && line.length > 0 && line[0] != "#") {
+      files[files.length - 1].lines.push(line);
+    }
+  });
+  return files;
+}
+
+// getfattr's --dump format: "name=0s<base64>" (or "0x<hex>", or a quoted string), one per line.
+function parseXattrs(lines) {
+  const xattrs = {};
+  lines.forEach(line => {
+    const i = line.indexOf("=");
+    const name = unescapeName(i < 0 ? line : line.slice(0, i));
+    // ACLs are stored separately, in a form that doesn't depend on numeric user ids.
+    if (name.startsWith("system.")) return;
+    const value = i < 0 ? "" : line.slice(i + 1);
+    if (value.startsWith("0s")) {
+      xattrs[name] = value.slice(2);
+    } else if (value.startsWith("0x")) {
+      xattrs[name] = Buffer.from(value.slice(2), "hex").toString("base64");
+    } else {
+      xattrs[name] = Buffer.from(unescapeName(value.replace(/^"(.*)"$/, "$1")), "binary").toString("base64");
+    }
+  });
+  return xattrs;
+}
+
+// getfattr escapes odd characters as octal: "\012".
+function unescapeName(name) {
+  return name.replace(/\\([0-7]{3})/g, (_, octal) => String.fromCharCode(parseInt(octal, 8)));
+}
+
+// fail with the tool's complaint if it didn't work.
+function checkExit({ binary, code, stderr }) {
+  if (code == 0) return;
+  const message = stderr.toString("utf8").trim().split("\n")[0] || `${binary} exit code ${code}`;
+  throw new Error(message.split(": ").slice(-1)[0]);
+}
+
+// run a tool, with an optional buffer as stdin, and return `{ binary, code, stdout, stderr }`.
+function run(binary, args, input = Buffer.alloc(0)) {
+  const p = child_process.spawn(binary, args, { stdio: [ "pipe", "pipe", "pipe" ] });
+  toolkit.pipeFromBuffer(input, p.stdin);
+  return Promise.all([
+    toolkit.pipeToBuffer(p.stdout),
+    toolkit.pipeToBuffer(p.stderr),
+    waitForProcess(p)
+  ]).then(([ stdout, stderr, code ]) => {
+    return { binary, code, stdout, stderr };
+  }).catch(error => {
+    if (error.code == "ENOENT" && String(error.syscall).startsWith("spawn")) {
+      const missing = new Error(`Can't find ${binary} binary.`);
+      missing.binary = binary;
+      throw missing;
+    }
+    throw error;
+  });
+}
@@ -0,0 +1,353 @@
+"use strict";
+
+import fs from "fs";
+import Keybaser from "./keybaser";
+import Promise from "bluebird";
+import toolkit from "stream-toolkit";
+import { ArchiveError, FileError, SignatureError, UsageError } from "./errors";
+import { EventEmitter } from "events";
+import { checkSigner, isSymlink, keyDecrypter, openSource, passwordGetter, signatureVerifier } from "./helpers";
+import { hasExtendedHeader, readExtendedHeader } from "./extended_header";
+import { isAttributesRecord } from "./attributes";
+import { isCompressionRecord } from "./compression";
+import { isDeletionRecord } from "./snapshot";
+import { countSegments, entryStream, readIndex } from "./archive_index";
+import { isLink } from "./links";
+import { isSparse } from "./sparse";
+import { matchesPath, selectableNames } from "./file_filter";
+import { peekBottleTypes, scanSegments, TYPE_COMPRESSED, TYPE_ENCRYPTED } from "./segments";
+import * as lib4bottle from "lib4bottle";
+
+const CHUNK_SIZE = 64 * 1024;
+const ZERO_BUFFER = Buffer.alloc(CHUNK_SIZE);
+
+/*
+ * Write the contents of each file in an archive (a filename, "-" for stdin,
+ * or a readable stream) that matches `selected` (paths or globs, as in
+ * `unpack`) to `outStream`, one after the other, in the order they're
+ * stored. Return a promise for a summary:
+ *   - `filename`
+ *   - `files`: how many files were written
+ *   - `bytesOut`: how many bytes were written
+ *   - `bytesIn`: how much of the archive was read
+ *   - `stoppedEarly`: true if the rest of the archive was skipped, since
+ *     nothing else in it was wanted (its hash isn't checked, then)
+ *
+ * A path that matches nothing is a FileError, once everything else is
+ * written.
+ *
+ * A plain archive that's been appended to may have several copies of a
+ * file, and only the newest is written, so a plain archive file is read
+ * twice: once to find them. (Encrypted or compressed archives are
+ * rewritten instead of appended to.) From a stream, a second copy is an
+ * error, since the first has already been written.
+ *
+ * A hard link or duplicate (see links.js) is written from its first copy,
+ * which is read again for it, so it can't be read from a stream.
+ *
+ * From an archive file with an index, each file is read straight from
+ * where it is, and nothing else is read (so `stoppedEarly` is true),
+ * unless `requiredSigners` is set.
+ *
+ * Options:
+ *   - `requiredSigners`, `password`, `getPassword`, `identities`,
+ *     `keybaser`, `gpger`: as in `list`
+ *   - `events`: an EventEmitter for progress:
+ *       - `filename` (filename, header): started writing a file
+ *       - `status` (filename, byteCount): bytes of it written so far
+ *       - `finish` (filename, header): finished a file
+ *       - `read` (byteCount): bytes of the archive read so far
+ */
+export function cat(source, selected, outStream, options = {}) {
+  const events = options.events || new EventEmitter();
+  const filename = typeof source == "string" ? source : null;
+  if (selected.length == 0) return Promise.reject(new UsageError("Nothing to read: give a path or glob"));
+  // a plain archive may be read twice, but a password is only asked for once.
+  const getPassword = passwordGetter(options);
+  let password = null;
+  options = Object.assign({}, options, { password: null, getPassword: () => password || (password = getPassword()) });
+
+  const written = {};
+  let totalBytesOut = 0;
+  let newest = null;
+  let index = null;
+
+  const copyData = (niceFilename, header, dataStream) => {
+    const sparseMap = isSparse(header) ? header.extended.sparse : null;
+    return copyFileData(dataStream, outStream, sparseMap, n => events.emit("status", niceFilename, n));
+  };
+
+  // a hard link or duplicate has no contents of its own: they're read from the first copy, in a pass of their own.
+  const copyLinked = (niceFilename, { target }, segment) => {
+    if (filename == null || filename == "-") {
+      throw new ArchiveError(`${niceFilename} is a link to ${target}; read it from a file`);
+    }
+    return readFirstCopy(filename, target, segment, options, (header, dataStream) => {
+      return copyData(niceFilename, header, dataStream);
+    }).then(count => {
+      if (count == null) throw new ArchiveError(`${niceFilename} is a link to ${target}, which isn't in the archive`);
+      return count;
+    });
+  };
+
+  const writeFile = (niceFilename, header, dataStream, segment) => {
+    if (newest && newest[niceFilename] != segment) return drain(dataStream);
+    if (written[niceFilename]) {
+      const message = `${niceFilename} was appended to the archive again; read it from a file for the newest copy`;
+      throw new ArchiveError(message);
+    }
+    written[niceFilename] = true;
+    events.emit("filename", niceFilename, header);
+    const copied = isLink(header) ?
+      drain(dataStream).then(() => copyLinked(niceFilename, header.extended.link, segment)) :
+      copyData(niceFilename, header, dataStream);
+    return copied.then(n => {
+      totalBytesOut += n;
+      events.emit("finish", niceFilename, header);
+    });
+  };
+
+  // stop as soon as everything wanted has been written: that's known if the newest copies were found first, or
+  // if every path was a plain filename.
+  const isFinished = () => {
+    if (newest) return Object.keys(newest).every(name => written[name]);
+    const names = Object.keys(written).map(selectableNames);
+    return selected.every(path => !path.match(/[*?\[{]/) && names.some(list => list.indexOf(path) >= 0));
+  };
+
+  return Promise.try(() => {
+    index = (options.requiredSigners || []).length == 0 ? readIndex(source) : null;
+    if (index) return readFromIndex(filename, index, selected, options, writeFile);
+    return findNewestCopies(filename, selected, options).then(found => {
+      newest = found;
+      return readMatches(source, selected, options, writeFile, isFinished);
+    });
+  }).then(({ bytesIn, stoppedEarly }) => {
+    const missing = selected.filter(glob => !Object.keys(written).some(name => matchesPath(name, [ glob ])));
+    if (missing.length > 0) {
+      throw new FileError(`Not in ${filename || "archive"}: ${missing.join(", ")}`, null, missing[0]);
+    }
+    return { filename, files: Object.keys(written).length, bytesOut: totalBytesOut, bytesIn, stoppedEarly };
+  });
+}
+
+/*
+ * Find the first copy of a hard link or duplicate (the file at `target`, in
+ * the same `segment` of an archive file, or anywhere, if the archive has an
+ * index) and pass its data to `copy(header, dataStream)`, which returns a
+ * promise for how many bytes it wrote. Returns a promise for that count,
+ * or null if there's no such file. `options` are as in `cat`.
+ */
+export function readFirstCopy(filename, target, segment, options, copy) {
+  const index = (options.requiredSigners || []).length == 0 ? readIndex(filename) : null;
+  let count = null;
+  const handler = (name, header, dataStream, targetSegment) => {
+    if (count != null || name != target || (!index && targetSegment != segment)) return drain(dataStream);
+    return copy(header, dataStream).then(n => count = n);
+  };
+  const linkOptions = Object.assign({}, options, { events: null });
+  const read = index ?
+    readFromIndex(filename, { entries: index.entries.filter(entry => entry.path == target) }, [ target ],
+      linkOptions, handler) :
+    readMatches(filename, [ target ], linkOptions, handler, () => count != null);
+  return read.then(() => count);
+}
+
+// for a plain archive file, which segment has the newest copy of each file that's wanted? (null if there's no need
+// to check, because the archive is a stream, or only has one segment.)
+function findNewestCopies(filename, selected, options) {
+  if (filename == null || filename == "-") return Promise.resolve(null);
+  return peekBottleTypes(filename).then(types => {
+    if (types.indexOf(TYPE_ENCRYPTED) >= 0 || types.indexOf(TYPE_COMPRESSED) >= 0) return false;
+    return countSegments(filename) > 1;
+  }).catch(error => true).then(isAppended => {
+    if (!isAppended) return null;
+    const newest = {};
+    const findOptions = Object.assign({}, options, { events: null });
+    return readMatches(filename, selected, findOptions, (niceFilename, header, dataStream, segment) => {
+      newest[niceFilename] = segment;
+      return drain(dataStream);
+    }).then(() => newest);
+  });
+}
+
+// with an index, each file's bottle is read on its own, as if it were in the folder it's listed in.
+function readFromIndex(filename, index, selected, options, handler) {
+  const entries = index.entries.filter(entry => entry.type == "file" && matchesPath(entry.path, selected));
+  let bytesIn = 0;
+  return Promise.each(entries, entry => {
+    const prefix = entry.path.split("/").slice(0, -1);
+    return readMatches(entryStream(filename, entry), selected, options, handler, undefined, prefix).then(result => {
+      bytesIn += result.bytesIn;
+    });
+  }).then(() => ({ bytesIn, stoppedEarly: true }));
+}
+
+/*
+ * Read an archive, passing the data of each file that matches `selected` to
+ * `handler(filename, header, dataStream, segment)`, which returns a promise
+ * for when it's done with the data. Once `isFinished()`, the rest of the
+ * archive is skipped. Returns a promise for `{ bytesIn, stoppedEarly }`.
+ * Paths are relative to the folders in `prefix`, for a bottle read from
+ * inside an archive.
+ */
+function readMatches(source, selected, options, handler, isFinished = () => false, prefix = []) {
+  const events = options.events || new EventEmitter();
+  const keybaser = options.keybaser || new Keybaser();
+  const requiredSigners = options.requiredSigners || [];
+  const filename = typeof source == "string" ? source : null;
+  const state = { prefix: prefix.slice(), segment: 0, current: null, totalBytesIn: 0 };
+
+  let fail = null;
+  let finish = null;
+  const finished = new Promise((resolve, reject) => {
+    finish = resolve;
+    fail = reject;
+  });
+
+  const countingInStream = toolkit.countingStream();
+  countingInStream.on("count", n => {
+    state.totalBytesIn = n;
+    events.emit("read", n);
+  });
+
+  function processFile(dataStream) {
+    const current = state.current;
+    state.current = null;
+    if (!current) return drain(dataStream);
+
+    const { niceFilename, header } = current;
+    return (hasExtendedHeader(header) ? readExtendedHeader(header, dataStream) : Promise.resolve()).then(() => {
+      return handler(niceFilename, header, dataStream, state.segment);
+    }).then(() => {
+      if (isFinished()) finish(true);
+    }).catch(fail);
+  }
+
+  const getPassword = passwordGetter(options);
+  const reader = new lib4bottle.ArchiveReader({
+    decryptKey: keyDecrypter({ keybaser, identities: options.identities, gpger: options.gpger, getPassword }),
+    getPassword,
+    processFile,
+    verifier: signatureVerifier(keybaser)
+  });
+  let isFirst = true;
+
+  reader.on("start-bottle", bottle => {
+    if (isFirst) checkSigner(bottle.header, requiredSigners);
+    isFirst = false;
+    switch (bottle.typeName()) {
+      case "file":
+      case "folder":
+        const header = bottle.header;
+        const niceFilename = state.prefix.concat(header.filename).join("/");
+        const isRecord = state.prefix.length == 1 &&
+          (isDeletionRecord(header) || isCompressionRecord(header) || isAttributesRecord(header));
+        state.prefix.push(header.filename);
+        state.current = null;
+        // folders and symlinks have no contents to write.
+        if (header.folder || isSymlink(header) || isRecord || !matchesPath(niceFilename, selected)) break;
+        state.current = { niceFilename, header };
+        break;
+    }
+  });
+
+  reader.on("end-bottle", bottle => {
+    switch (bottle.typeName()) {
+      case "file":
+      case "folder":
+        state.prefix.pop();
+        break;
+    }
+  });
+
+  reader.on("hash", (bottle, isValid) => {
+    if (state.prefix.length == 0 && bottle.header.signedBy && !isValid) {
+      const signedBy = bottle.header.signedBy;
+      throw new SignatureError(`Signature by ${signedBy} is INVALID; archive may have been tampered with.`);
+    }
+    if (!isValid) throw new ArchiveError("Invalid hash; archive is probably corrupt.");
+  });
+
+  reader.on("error", fail);
+
+  let inStream = null;
+  return Promise.try(() => {
+    inStream = openSource(source);
+    inStream.on("error", error => fail(new FileError(`Can't read ${filename || "archive"}`, error, filename)));
+    inStream.pipe(countingInStream);
+    const scanned = scanSegments(countingInStream, (segment, index) => {
+      isFirst = true;
+      state.segment = index;
+      state.prefix = prefix.slice();
+      return reader.scanStream(segment);
+    }).then(() => false);
+    return Promise.race([ scanned, finished ]);
+  }).then(stoppedEarly => {
+    if (stoppedEarly) {
+      // leave the rest unread. only a file opened here can be closed.
+      inStream.unpipe(countingInStream);
+      if (inStream instanceof fs.ReadStream && inStream !== source && inStream !== process.stdin) {
+        inStream.destroy();
+      } else {
+        inStream.pause();
+      }
+    }
+    return { bytesIn: state.totalBytesIn, stoppedEarly };
+  });
+}
+
+// copy a file's data to a stream, with zeros for the holes if it's sparse, and return a promise for the byte count.
+function copyFileData(dataStream, outStream, sparseMap, onCount) {
+  const inStream = toolkit.promisify(dataStream);
+  const segments = sparseMap ? sparseMap.segments.slice() : [ [ 0, Infinity ] ];
+  let position = 0;
+
+  const write = data => {
+    position += data.length;
+    onCount(position);
+    return writeTo(outStream, data);
+  };
+
+  const writeZeros = count => {
+    if (count <= 0) return Promise.resolve();
+    const n = Math.min(count, ZERO_BUFFER.length);
+    return write(ZERO_BUFFER.slice(0, n)).then(() => writeZeros(count - n));
+  };
+
+  const copy = count => {
+    if (count == 0) return Promise.resolve();
+    return inStream.readPromise(Math.min(count, CHUNK_SIZE)).then(data => {
+      if (data == null || data.length == 0) {
+        if (count == Infinity) return;
+        throw new ArchiveError("Sparse file has less data than its map");
+      }
+      return write(data).then(() => copy(count - data.length));
+    });
+  };
+
+  const next = () => {
+    if (segments.length > 0) {
+      const [ offset, length ] = segments.shift();
+      return writeZeros(offset - position).then(() => copy(length)).then(next);
+    }
+    if (!sparseMap) return Promise.resolve();
+    return inStream.readPromise(1).then(data => {
+      if (data != null && data.length > 0) throw new ArchiveError("Sparse file has more data than its map");
+      return writeZeros(sparseMap.size - position);
+    });
+  };
+
+  return next().then(() => position);
+}
+
+function writeTo(outStream, data) {
+  if (outStream.write(data)) return Promise.resolve();
+  return new Promise(resolve => outStream.once("drain", resolve));
+}
+
+function drain(dataStream) {
+  const sink = toolkit.nullSinkStream();
+  dataStream.pipe(sink);
+  return sink.finishPromise();
+}
@@ -0,0 +1,101 @@
+"use strict";
+
+import fs from "fs";
+import minimatch from "minimatch";
+import path from "path";
+import Promise from "bluebird";
+import zlib from "zlib";
+import { isRecord } from "./extended_header";
+import { parseSize } from "./helpers";
+import { UsageError } from "./errors";
+import * as lib4bottle from "lib4bottle";
+
+// per-file compression: each file is compressed in its own bottle, with
+// snappy or LZMA2, or not at all if it won't shrink. the top folder ends
+// with a "compression record": an empty file entry whose extended header
+// has the compressed size of each file, since a reader can't tell them
+// from the archive.
+
+export const COMPRESSION_RECORD_FILENAME = ".4bottle-compressed";
+
+export const COMPRESSION_TYPES = {
+  lzma2: lib4bottle.COMPRESSION_LZMA2,
+  snappy: lib4bottle.COMPRESSION_SNAPPY
+};
+
+const METHODS = Object.keys(COMPRESSION_TYPES);
+
+// already compressed, so not worth trying.
+const COMPRESSED_EXTENSIONS = [
+  "4b", "7z", "aac", "avi", "bz2", "docx", "flac", "gif", "gz", "heic", "jar", "jpeg", "jpg", "m4a", "m4v", "mkv",
+  "mov", "mp3", "mp4", "odt", "ogg", "png", "pptx", "rar", "tbz", "tgz", "txz", "webm", "webp", "xlsx", "xz", "zip",
+  "zst"
+];
+
+// too small to be worth a bottle of its own.
+const MIN_SIZE = 256;
+// how much of a file to try compressing, to see if it will shrink.
+const SAMPLE_SIZE = 64 * 1024;
+// if the sample doesn't shrink by at least this much, store the file as is.
+const MIN_SAVINGS = 0.05;
+
+const closePromise = Promise.promisify(fs.close);
+const openPromise = Promise.promisify(fs.open);
+const readPromise = Promise.promisify(fs.read);
+
+/*
+ * Decide how each file should be compressed: "lzma2", "snappy", or null.
+ *   - `method`: the default, for files that will shrink
+ *   - `rules`: checked first, in order, each "<match>=<method>", where
+ *     `match` is a glob (like "*.log", as in --exclude) or a minimum size
+ *     (like ">100M"), and `method` is "lzma2", "snappy", or "none"
+ *
+ * Otherwise, tiny files and files with the extension of a compressed
+ * format are stored as they are, and anything else is given a trial run
+ * (with deflate, which is fast) to see if it shrinks.
+ */
+export default class CompressionPolicy {
+  constructor({ method = "lzma2", rules = [] } = {}) {
+    this.method = method;
+    this.rules = rules.map(parseRule);
+  }
+
+  choose(filename, archivePath, size) {
+    const rule = this.rules.filter(rule => rule.matches(archivePath, size))[0];
+    if (rule) return Promise.resolve(rule.method);
+    if (size < MIN_SIZE) return Promise.resolve(null);
+    if (COMPRESSED_EXTENSIONS.indexOf(path.extname(filename).slice(1).toLowerCase()) >= 0) {
+      return Promise.resolve(null);
+    }
+    return isCompressible(filename).then(compressible => compressible ? this.method : null);
+  }
+}
+
+export function isCompressionRecord(header) {
+  return isRecord(header, COMPRESSION_RECORD_FILENAME);
+}
+
+function parseRule(rule) {
+  const match = rule.match(/^(.+)=(\w+)$/);
+  if (!match || (match[2] != "none" && METHODS.indexOf(match[2]) < 0)) {
+    throw new UsageError(`Compression rule should be <glob or >size>=<${METHODS.join("|")}|none>: ${rule}`);
+  }
+  const method = match[2] == "none" ? null : match[2];
+  if (match[1][0] == ">") {
+    const minSize = parseSize(match[1].slice(1));
+    return { method, matches: (archivePath, size) => size > minSize };
+  }
+  const glob = match[1];
+  const globOptions = { dot: true, matchBase: glob.indexOf("/") < 0 };
+  return { method, matches: archivePath => minimatch(archivePath, glob, globOptions) };
+}
+
+function isCompressible(filename) {
+  return openPromise(filename, "r").then(fd => {
+    const buffer = Buffer.alloc(SAMPLE_SIZE);
+    return readPromise(fd, buffer, 0, SAMPLE_SIZE, 0).then(([ bytesRead ]) => {
+      const sample = buffer.slice(0, bytesRead);
+      return zlib.deflateRawSync(sample, { level: 1 }).length <= sample.length * (1 - MIN_SAVINGS);
+    }).finally(() => closePromise(fd));
+  });
+}
@@ -0,0 +1,17 @@
+"use strict";
+
+import toolkit from "stream-toolkit";
+import { COMPRESSION_TYPES } from "./compression";
+import { parentPort } from "worker_threads";
+import * as lib4bottle from "lib4bottle";
+
+// runs on a worker thread (see WorkerPool): compress a file bottle, and post back the compressed bottle.
+parentPort.on("message", ({ method, data }) => {
+  const compressedBottle = new lib4bottle.CompressedBottleWriter(COMPRESSION_TYPES[method]);
+  toolkit.sourceStream(Buffer.from(data)).pipe(compressedBottle);
+  toolkit.pipeToBuffer(compressedBottle).then(result => {
+    parentPort.postMessage({ result });
+  }, error => {
+    parentPort.postMessage({ error: error.message });
+  });
+});
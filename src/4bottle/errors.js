@@ -0,0 +1,34 @@
+"use strict";
+
+// errors from the 4bottle API. each may have a `cause`: the lower-level
+// error that set it off.
+
+export class NestedError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = this.constructor.name;
+    this.message = message;
+    this.cause = cause;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+// the options given don't make sense (together).
+export class UsageError extends NestedError {}
+
+// a file couldn't be read or written. `filename` is the one that failed.
+export class FileError extends NestedError {
+  constructor(message, cause, filename) {
+    super(message, cause);
+    this.filename = filename;
+  }
+}
+
+// the archive is damaged, or isn't an archive at all.
+export class ArchiveError extends NestedError {}
+
+// the archive isn't signed by anyone trusted, or the signature is invalid.
+export class SignatureError extends NestedError {}
+
+// a key couldn't be encrypted or decrypted: no key for this identity, a bad password, or keybase trouble.
+export class EncryptionError extends NestedError {}
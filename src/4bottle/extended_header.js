@@ -0,0 +1,67 @@
+"use strict";
+
+import Promise from "bluebird";
+import toolkit from "stream-toolkit";
+
+// metadata that the file bottle header has no field for (like the map of a
+// sparse file) is stored as an "extended header": a length-prefixed blob of
+// JSON at the front of the file's data, flagged by a bit above the posix
+// mode bits.
+
+export const MODE_EXTENDED = 0x10000;
+
+// a "record" (an empty file entry that holds archive metadata in its
+// extended header) is flagged by another bit, so a user's file with the
+// same name is never mistaken for one.
+export const MODE_RECORD = 0x20000;
+
+// a top folder that ends with records of its files' compressed sizes or
+// attributes is flagged too, so a reader knows to wait for them.
+export const MODE_RECORDS = 0x40000;
+
+export function hasExtendedHeader(header) {
+  return ((header.mode || 0) & MODE_EXTENDED) != 0;
+}
+
+export function isRecord(header, filename) {
+  return header.filename == filename && !header.folder && hasExtendedHeader(header) &&
+    ((header.mode || 0) & MODE_RECORD) != 0;
+}
+
+export function hasRecords(header) {
+  return ((header.mode || 0) & MODE_RECORDS) != 0;
+}
+
+/*
+ * Flag a file header as having an extended header, and return the encoded
+ * extended header, which must be written in front of the file's data.
+ * The header's size is adjusted to include it.
+ */
+export function encodeExtendedHeader(header, fields) {
+  const json = Buffer.from(JSON.stringify(fields), "utf8");
+  const buffer = Buffer.alloc(4 + json.length);
+  buffer.writeUInt32BE(json.length, 0);
+  json.copy(buffer, 4);
+  header.mode = (header.mode || 0) | MODE_EXTENDED;
+  header.size = (header.size || 0) + buffer.length;
+  return buffer;
+}
+
+/*
+ * Read the extended header off the front of a file's data stream, and store
+ * its fields in `header.extended`. The header's size is corrected to be the
+ * size of the data remaining in the stream.
+ */
+export function readExtendedHeader(header, dataStream) {
+  toolkit.promisify(dataStream);
+  return dataStream.readPromise(4).then(lengthBuffer => {
+    if (lengthBuffer == null || lengthBuffer.length < 4) throw new Error("Truncated extended header");
+    const length = lengthBuffer.readUInt32BE(0);
+    return (length > 0 ? dataStream.readPromise(length) : Promise.resolve(Buffer.alloc(0))).then(json => {
+      if (json == null || json.length < length) throw new Error("Truncated extended header");
+      header.extended = JSON.parse(json.toString("utf8"));
+      header.size -= 4 + length;
+      return header;
+    });
+  });
+}
@@ -0,0 +1,112 @@
+"use strict";
+
+import fs from "fs";
+import minimatch from "minimatch";
+import path from "path";
+import Promise from "bluebird";
+
+// decide which files get packed, using --exclude/--include globs and any
+// ".4bottleignore" files (gitignore syntax) found along the way.
+
+export const IGNORE_FILENAME = ".4bottleignore";
+
+const readFilePromise = Promise.promisify(fs.readFile);
+
+export default class FileFilter {
+  constructor({ excludes = [], includes = [] } = {}) {
+    this.excludes = excludes;
+    this.includes = includes;
+  }
+
+  /*
+   * Read the ignore file (if any) in a folder, and return the rule list for
+   * that folder: the parent's rules, followed by this folder's own.
+   */
+  rulesForFolder(folderName, parentRules = []) {
+    return readFilePromise(path.join(folderName, IGNORE_FILENAME)).then(data => {
+      return parentRules.concat(parseIgnoreFile(folderName, data.toString("utf8")));
+    }, error => {
+      const code = error.code || (error.cause || {}).code;
+      if (code == "ENOENT") return parentRules;
+      throw error;
+    });
+  }
+
+  /*
+   * Should this file be left out?
+   *   - `filename`: path on disk
+   *   - `archivePath`: path relative to the top of the archive
+   *   - `isFolder`: folders are only subject to excludes, so that their
+   *     contents can still be matched against `--include`
+   *   - `rules`: ignore rules in effect for the containing folder
+   */
+  isSkipped(filename, archivePath, isFolder, rules = []) {
+    if (this.excludes.some(glob => matchGlob(archivePath, glob))) return true;
+    if (isIgnored(filename, isFolder, rules)) return true;
+    if (!isFolder && this.includes.length > 0) return !this.includes.some(glob => matchGlob(archivePath, glob));
+    return false;
+  }
+}
+
+// globs without a slash match the basename at any depth, like tar and rsync.
+function matchGlob(filename, glob) {
+  return minimatch(filename, glob, { dot: true, matchBase: glob.indexOf("/") < 0 });
+}
+
+function parseIgnoreFile(folderName, text) {
+  return text.split(/\r?\n/).map(line => {
+    line = line.replace(/\s+$/, "");
+    if (line.length == 0 || line[0] == "#") return null;
+    const rule = { base: folderName, negate: false, folderOnly: false };
+    if (line[0] == "!") {
+      rule.negate = true;
+      line = line.slice(1);
+    } else if (line[0] == "\\") {
+      line = line.slice(1);
+    }
+    if (line[line.length - 1] == "/") {
+      rule.folderOnly = true;
+      line = line.slice(0, line.length - 1);
+    }
+    // a slash anywhere but the end anchors the pattern to this folder.
+    rule.anchored = line.indexOf("/") >= 0;
+    if (line[0] == "/") line = line.slice(1);
+    rule.glob = line;
+    return line.length > 0 ? rule : null;
+  }).filter(rule => rule != null);
+}
+
+// as in gitignore, the last matching rule wins.
+function isIgnored(filename, isFolder, rules) {
+  let ignored = false;
+  rules.forEach(rule => {
+    if (rule.folderOnly && !isFolder) return;
+    const relativeName = path.relative(rule.base, filename);
+    if (minimatch(relativeName, rule.glob, { dot: true, matchBase: !rule.anchored })) ignored = !rule.negate;
+  });
+  return ignored;
+}
+
+/*
+ * The names a path in an archive can be selected by: inside the top folder
+ * (like --exclude and --compress-rule), or in full, as 4ls shows it.
+ */
+export function selectableNames(filename) {
+  const slash = filename.indexOf("/");
+  return slash >= 0 ? [ filename.slice(slash + 1), filename ] : [ filename ];
+}
+
+/*
+ * Does this path in an archive, or any folder containing it, match one of
+ * these globs (by either of its `selectableNames`)?
+ */
+export function matchesPath(filename, globs) {
+  return selectableNames(filename).some(name => {
+    const segments = name.split("/");
+    for (let i = segments.length; i > 0; i--) {
+      const partial = segments.slice(0, i).join("/");
+      if (globs.some(glob => minimatch(partial, glob, { dot: true }))) return true;
+    }
+    return false;
+  });
+}
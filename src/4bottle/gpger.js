@@ -0,0 +1,110 @@
+"use strict";
+
+import child_process from "child_process";
+import Promise from "bluebird";
+import toolkit from "stream-toolkit";
+import { waitForProcess } from "./keybaser";
+
+// gpg support, using the local keyring.
+
+const GPG_BINARY = "gpg";
+
+export default class Gpger {
+  // status messages go to the `cli`, if there is one.
+  constructor(cli = null) {
+    this.cli = cli;
+    this.secretKeys = null;
+  }
+
+  encrypt(key, target) {
+    this.status(`Encrypting key for ${target} ...`);
+    return this.run([ "--batch", "--quiet", "--encrypt", "--recipient", target ], key);
+  }
+
+  decrypt(encrypted, target) {
+    this.status(`Decrypting key as ${target} ...`);
+    return this.run([ "--quiet", "--decrypt" ], encrypted);
+  }
+
+  /*
+   * Return a promise for the secret keys in the local keyring, as a list of
+   * `{ ids, uids }`: the fingerprints and key ids of a key and its subkeys,
+   * and its user ids ("Name <email>"). No gpg means no keys.
+   */
+  listSecretKeys() {
+    if (this.secretKeys != null) return Promise.resolve(this.secretKeys);
+    return this.run([ "--batch", "--list-secret-keys", "--with-colons" ], Buffer.alloc(0)).then(stdout => {
+      this.secretKeys = parseSecretKeys(stdout.toString("utf8"));
+      return this.secretKeys;
+    }).catch(() => {
+      this.secretKeys = [];
+      return this.secretKeys;
+    });
+  }
+
+  /*
+   * Return a promise for the first of these targets (key ids, fingerprints,
+   * or emails, as they were given to `gpg --recipient`) that one of our
+   * secret keys can decrypt, or null.
+   */
+  findSecretKey(targets) {
+    return this.listSecretKeys().then(keys => {
+      return targets.filter(target => keys.some(key => matches(key, target)))[0] || null;
+    });
+  }
+
+  status(message) {
+    if (this.cli) this.cli.status(message);
+  }
+
+  // run gpg with a buffer as stdin, and return stdout as a buffer.
+  run(args, input) {
+    const p = child_process.spawn(GPG_BINARY, args, { stdio: [ "pipe", "pipe", process.stderr ] });
+    toolkit.pipeFromBuffer(input, p.stdin);
+    return Promise.all([
+      toolkit.pipeToBuffer(p.stdout),
+      waitForProcess(p)
+    ]).then(([ stdout, code ]) => {
+      this.status();
+      if (code != 0) throw new Error(`gpg exit code ${code}`);
+      return stdout;
+    }).catch(error => {
+      if (error.code == "ENOENT" && error.syscall == "spawn") throw new Error("Can't find gpg binary.");
+      throw error;
+    });
+  }
+}
+
+/*
+ * Parse the secret keys out of `gpg --list-secret-keys --with-colons`, as
+ * a list of `{ ids, uids }`.
+ */
+export function parseSecretKeys(text) {
+  const keys = [];
+  text.split("\n").forEach(line => {
+    const fields = line.split(":");
+    switch (fields[0]) {
+      case "sec":
+        keys.push({ ids: [ fields[4] ], uids: [] });
+        break;
+      case "ssb":
+        if (keys.length > 0) keys[keys.length - 1].ids.push(fields[4]);
+        break;
+      case "fpr":
+        if (keys.length > 0) keys[keys.length - 1].ids.push(fields[9]);
+        break;
+      case "uid":
+        if (keys.length > 0) keys[keys.length - 1].uids.push(fields[9]);
+        break;
+    }
+  });
+  return keys;
+}
+
+// same rules as gpg: a (short or long) key id or fingerprint, or part of a user id.
+export function matches(key, target) {
+  const id = target.replace(/^0x/i, "").toUpperCase();
+  if (/^[0-9A-F]{8,}$/.test(id) && key.ids.some(keyId => keyId.toUpperCase().endsWith(id))) return true;
+  const lowered = target.replace(/^<(.*)>$/, "$1").toLowerCase();
+  return key.uids.some(uid => uid.toLowerCase().indexOf(lowered) >= 0);
+}
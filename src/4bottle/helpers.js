@@ -2,14 +2,27 @@
 
 import errno from "errno";
 import fs from "fs";
+import Gpger from "./gpger";
+import path from "path";
 import Promise from "bluebird";
+import read from "read";
 import sprintf from "sprintf";
 import strftime from "strftime";
+import { decryptWithKey, readIdentity } from "./public_keys";
+import { decryptWithPassword, isPasswordRecipient, PASSWORD_SCHEME } from "./password_recipient";
+import { ArchiveError, EncryptionError, FileError, SignatureError, UsageError } from "./errors";
+import { volumeBase, volumeReadStream } from "./volumes";
 
-// some helpers for the command-line tools.
+// some helpers for the command-line tools, and the API behind them.
+
+export const PASSWORD_OPTIONS = [ "password-file", "password-env", "password-fd", "password-here" ];
 
 export const COLORS = {
   annotations: "99c",
+  diff_added: "0c0",
+  diff_modified: "cc0",
+  diff_permissions: "0cc",
+  diff_removed: "c00",
   executable: "red",
   file_size: "green",
   importante: "c92",
@@ -17,22 +30,65 @@ export const COLORS = {
   status_count: "0c8",
   status_file_progress: "0af",
   status_total_progress: "0c8",
+  symlink: "c6c",
   timestamp: "blue",
   user_group: "088"
 };
 
-// read a file into a stream, bailing with sys.exit(1) on errors.
+// posix file types, stored in the high bits of a file's mode.
+export const S_IFMT = 0xf000;
+export const S_IFLNK = 0xa000;
+
+// symlinks are stored as a file whose contents are the link target.
+export function isSymlink(stats) {
+  return ((stats.mode || 0) & S_IFMT) == S_IFLNK;
+}
+
+/*
+ * Make sure a path from an archive stays inside `folder`: it can't be
+ * absolute, or have "..", or be under a symlink that's already there
+ * (which an earlier entry in the archive could have made). A folder can't
+ * be a symlink itself either, since its contents and attributes would go
+ * through it.
+ */
+export function checkSafePath(folder, filename, isFolder = false) {
+  const segments = filename.split("/").filter(segment => segment.length > 0);
+  if (path.isAbsolute(filename) || segments.indexOf("..") >= 0) {
+    throw new ArchiveError(`Refusing to unpack an unsafe path: ${filename}`);
+  }
+  const count = isFolder ? segments.length : segments.length - 1;
+  for (let i = 1; i <= count; i++) {
+    let stats = null;
+    try {
+      stats = fs.lstatSync(path.join(folder, segments.slice(0, i).join("/")));
+    } catch (error) {
+      // nothing there yet, so nothing under it either.
+      return;
+    }
+    if (stats.isSymbolicLink()) throw new ArchiveError(`Refusing to unpack through a symlink: ${filename}`);
+  }
+}
+
+// read a file (or stdin, for "-") into a stream, bailing with sys.exit(1) on errors.
 export function readStream(cli, filename, showStack = false) {
-  let fd = null;
+  if (filename == "-") {
+    process.stdin.on("error", (error) => {
+      cli.displayError(`Can't read stdin: ${messageForError(error)}`);
+      if (showStack) console.log(error.stack);
+      process.exit(1);
+    });
+    return process.stdin;
+  }
+
+  let stream = null;
   try {
-    fd = fs.openSync(filename, "r");
+    stream = openSource(filename);
   } catch (error) {
-    console.log(`ERROR reading ${filename}: ${messageForError(error)}`);
+    console.log(`ERROR reading ${filename}: ${messageForError(error.cause || error)}`);
     if (showStack) console.log(error.stack);
     process.exit(1);
   }
 
-  const stream = fs.createReadStream(filename, { fd });
   stream.on("error", (error) => {
     cli.displayError(`Can't read ${filename}: ${messageForError(error)}`);
     if (showStack) console.log(error.stack);
@@ -41,6 +97,205 @@ export function readStream(cli, filename, showStack = false) {
   return stream;
 }
 
+/*
+ * Open an archive for reading: a filename, "-" for stdin, or a stream
+ * that's already open. A multi-volume archive (named by its first volume,
+ * or by its name without the volume number) is read as one stream. Throws
+ * a FileError if the file can't be opened.
+ */
+export function openSource(source) {
+  if (typeof source != "string") return source;
+  if (source == "-") return process.stdin;
+  const base = volumeBase(source);
+  if (base) return volumeReadStream(base);
+  let fd = null;
+  try {
+    fd = fs.openSync(source, "r");
+  } catch (error) {
+    throw new FileError(`Can't read ${source}`, error, source);
+  }
+  return fs.createReadStream(source, { fd });
+}
+
+/*
+ * A status line on stderr, for a tool whose stdout is carrying data (JSON,
+ * or an archive): it can stand in for the `cli` of Keybaser or Gpger, or
+ * take over `status` from a clicolor. Like clicolor, it only draws on a
+ * terminal, and `status()` erases the line.
+ */
+export function stderrStatus() {
+  let width = 0;
+  return {
+    status: message => {
+      if (!process.stderr.isTTY) return;
+      const line = message == null ? "" : String(message).slice(0, (process.stderr.columns || 80) - 1);
+      process.stderr.write("\r" + " ".repeat(width) + "\r" + line);
+      width = line.length;
+    }
+  };
+}
+
+/*
+ * Build a `verifier` for ArchiveReader, which checks a signed hash with
+ * keybase. Only keybase signatures are supported so far.
+ */
+export function signatureVerifier(keybaser) {
+  return (signed, signedBy) => {
+    const [ scheme, name ] = signedBy.split(":");
+    if (scheme != "keybase") return Promise.reject(new Error(`Unknown signature scheme: ${scheme}`));
+    return keybaser.verify(signed, name);
+  };
+}
+
+/*
+ * Build a `decryptKey` for ArchiveReader, which decrypts an archive's key
+ * with any identity we have: one of the `identities` (private key files),
+ * a secret key in the local gpg keyring, or your keybase identity. Each is
+ * only checked if the archive has a recipient of that kind, and each is
+ * tried in turn if the one before it fails. If none of them work, and the
+ * archive has a password recipient too, fall back to `getPassword`.
+ */
+export function keyDecrypter({ keybaser, identities = [], gpger = new Gpger(), getPassword = passwordGetter({}) }) {
+  return keymap => {
+    const recipients = Object.keys(keymap);
+    const allowed = recipients.map(recipientLabel).join(", ");
+    const namesFor = scheme => recipients.filter(r => r.split(":")[0] == scheme).map(r => r.slice(scheme.length + 1));
+    const passwordRecipient = recipients.filter(isPasswordRecipient)[0];
+    const withPassword = () => getPassword().then(password => {
+      return decryptWithPassword(passwordRecipient, password, keymap[passwordRecipient]);
+    });
+    const withKeybase = () => {
+      if (namesFor("keybase").length == 0) {
+        if (passwordRecipient) return withPassword();
+        throw new EncryptionError(`No identity for any of: ${allowed} (use --identity, or a gpg or keybase key)`);
+      }
+
+      return keybaser.check().then(() => {
+        const self = `keybase:${keybaser.identity}`;
+        if (!keymap[self]) throw new EncryptionError(`No encryption key for ${self} (only: ${allowed})`);
+        return keybaser.decrypt(keymap[self]);
+      }).catch(error => {
+        if (passwordRecipient) return withPassword();
+        throw error;
+      });
+    };
+
+    return Promise.try(() => {
+      const identity = identities.map(readIdentity).filter(identity => keymap[identity.recipient])[0];
+      if (identity) return decryptWithKey(identity, keymap[identity.recipient]);
+
+      return (namesFor("gpg").length > 0 ? gpger.findSecretKey(namesFor("gpg")) : Promise.resolve(null)).then(name => {
+        if (name == null) return withKeybase();
+        return gpger.decrypt(keymap[`gpg:${name}`], name).catch(error => {
+          // the key might need a passphrase we don't have, or a smartcard that isn't there.
+          if (namesFor("keybase").length > 0 || passwordRecipient) return withKeybase();
+          throw error;
+        });
+      });
+    });
+  };
+}
+
+// how to display a recipient: a password recipient's name is mostly scrypt parameters.
+export function recipientLabel(recipient) {
+  return isPasswordRecipient(recipient) ? PASSWORD_SCHEME : recipient;
+}
+
+/*
+ * Build a `getPassword` for ArchiveReader from either a `password`, or a
+ * `getPassword` function that returns a promise for one (by prompting for
+ * it, for example).
+ */
+export function passwordGetter({ password, getPassword }) {
+  return () => {
+    if (password != null) return Promise.resolve(password);
+    if (getPassword) return Promise.resolve(getPassword());
+    return Promise.reject(new EncryptionError("The archive is encrypted with a password, but none was given"));
+  };
+}
+
+/*
+ * Ask for a password on the terminal, unless that's where the archive is
+ * coming from. With `confirm`, ask twice, for a new password.
+ */
+export function promptPassword(filename, confirm = false) {
+  const readOptions = { prompt: "Password: ", silent: true, replace: "\u2022" };
+  if (filename == "-") return Promise.reject(new Error("Can't prompt for a password while reading stdin"));
+  const prompt = Promise.promisify(read);
+  return prompt(readOptions).then(([ password ]) => {
+    if (!confirm) return password;
+    return prompt(Object.assign({}, readOptions, { prompt: "Confirm password: " })).then(([ again ]) => {
+      if (again != password) throw new UsageError("Passwords don't match");
+      return password;
+    });
+  });
+}
+
+// parse a size like "512K" or "2G" (in powers of 1024) into a byte count.
+export function parseSize(size) {
+  const match = String(size).match(/^(\d+(?:\.\d+)?)([kmgt]?)b?$/i);
+  if (!match) throw new UsageError(`Not a size: ${size}`);
+  return Math.floor(parseFloat(match[1]) * Math.pow(1024, " kmgt".indexOf(match[2].toLowerCase() || " ")));
+}
+
+/*
+ * Read a password from wherever the command line said to, so scripts and
+ * cron jobs don't need a terminal: `--password-file <path>`,
+ * `--password-env <var>`, or `--password-fd <n>`. Only the first line of a
+ * file or fd is used. Resolves to null if none was given.
+ */
+export function readPasswordOption(argv) {
+  return Promise.try(() => {
+    const sources = PASSWORD_OPTIONS.filter(name => argv[name] != null);
+    if (sources.length > 1) {
+      throw new UsageError(`Only one password source may be used (${sources.map(name => "--" + name).join(", ")})`);
+    }
+
+    // this is kind of just a hack for tests, so undocumented.
+    if (argv["password-here"] != null) return String(argv["password-here"]);
+    if (argv["password-env"] != null) {
+      const password = process.env[argv["password-env"]];
+      if (password == null) throw new UsageError(`Environment variable ${argv["password-env"]} isn't set`);
+      return password;
+    }
+    if (argv["password-file"] != null) {
+      const filename = argv["password-file"];
+      try {
+        return firstLine(fs.readFileSync(filename));
+      } catch (error) {
+        throw new FileError(`Can't read password file ${filename}`, error, filename);
+      }
+    }
+    if (argv["password-fd"] != null) {
+      const fd = parseInt(argv["password-fd"], 10);
+      if (isNaN(fd)) throw new UsageError(`Not a file descriptor: ${argv["password-fd"]}`);
+      try {
+        return firstLine(fs.readFileSync(fd));
+      } catch (error) {
+        throw new FileError(`Can't read password from file descriptor ${fd}`, error);
+      }
+    }
+    return null;
+  });
+}
+
+function firstLine(buffer) {
+  return buffer.toString("utf8").split(/\r?\n/)[0];
+}
+
+/*
+ * If any signers are required (by keybase username), throw an error unless
+ * this hash bottle header says it was signed by one of them.
+ */
+export function checkSigner(header, requiredSigners) {
+  if (requiredSigners.length == 0) return;
+  const trusted = requiredSigners.map(name => name.indexOf(":") >= 0 ? name : `keybase:${name}`);
+  if (!header || !header.signedBy) throw new SignatureError(`Archive isn't signed (required: ${trusted.join(", ")})`);
+  if (trusted.indexOf(header.signedBy) < 0) {
+    throw new SignatureError(`Archive is signed by ${header.signedBy}, not ${trusted.join(" or ")}`);
+  }
+}
+
 export function messageForError(error) {
   if (error.cause) return error.message + ": " + messageForError(error.cause);
   if (error.code) return (errno.code[error.code] || {}).description || error.message;
@@ -68,7 +323,8 @@ function fullDate(nanos) {
 }
 
 // convert a numeric mode into the "-rw----" wire
-function modeToWire(mode, isFolder) {
+// like ls, "@" marks extended attributes, and "+" an ACL.
+export function modeToWire(mode, isFolder, { xattrs = false, acl = false } = {}) {
   const octize = (n) => {
     return [
       (n & 4) != 0 ? "r" : "-",
@@ -76,27 +332,53 @@ function modeToWire(mode, isFolder) {
       (n & 1) != 0 ? "x" : "-"
     ].join("");
   }
-  const d = isFolder ? "d" : "-";
-  return d + octize((mode >> 6) & 7) + octize((mode >> 3) & 7) + octize(mode & 7);
-}
-
-export function summaryLineForFile(cli, stats, prefix, isVerbose) {
-  const username = (stats.username || "nobody").slice(0, 8);
-  const groupname = (stats.groupname || "nobody").slice(0, 8);
-  const size = stats.size != null ? cli.toMagnitude(stats.size, 1024) : "     ";
-  const time = fullDate(stats.modifiedNanos);
-  const filename = stats.folder ?
-    prefix + stats.filename + "/" : (
-      (stats.mode & 0x40) != 0 ?
-      cli.paint(cli.color(COLORS.executable, prefix + stats.filename + "*")) :
-      prefix + stats.filename
-    );
-  const mode = cli.color(COLORS.mode, modeToWire(stats.mode || 0, stats.folder));
+  const d = isFolder ? "d" : ((mode & S_IFMT) == S_IFLNK ? "l" : "-");
+  const marker = xattrs ? "@" : (acl ? "+" : "");
+  return d + octize((mode >> 6) & 7) + octize((mode >> 3) & 7) + octize(mode & 7) + marker;
+}
+
+function displayFilename(cli, entry, isVerbose) {
+  const name = entry.path;
+  if (entry.type == "folder") return name + "/";
+  if (entry.type == "symlink") {
+    if (!isVerbose || entry.target == null) return name;
+    return cli.paint(name, " -> ", cli.color(COLORS.symlink, entry.target));
+  }
+  if ((entry.mode & 0x40) != 0) return cli.paint(cli.color(COLORS.executable, name + "*"));
+  return name;
+}
+
+// one line of "4ls" for an entry from `list`.
+export function summaryLineForFile(cli, entry, isVerbose) {
+  const username = (entry.username || "nobody").slice(0, 8);
+  const groupname = (entry.groupname || "nobody").slice(0, 8);
+  const size = entry.size != null ? cli.toMagnitude(entry.size, 1024) : "     ";
+  const time = fullDate(entry.modifiedNanos);
+  const filename = displayFilename(cli, entry, isVerbose);
+  const fileType = entry.type == "symlink" ? S_IFLNK : 0;
+  const wire = modeToWire(entry.mode | fileType, entry.type == "folder", {
+    xattrs: entry.xattrs != null,
+    acl: entry.acl != null
+  });
+  // a marker takes up one of the spaces after the mode.
+  const mode = cli.color(COLORS.mode, sprintf("%-11s", wire));
   const userdata = cli.color(COLORS.user_group, sprintf("%-8s %-8s", username, groupname));
   const colortime = cli.color(COLORS.timestamp, sprintf("%6s", time));
   const colorsize = cli.color(COLORS.file_size, sprintf("%5s", size));
+  const annotations = [];
+  // for sparse files, the size stored in the archive is smaller.
+  if (entry.storedSize != null) annotations.push(`sparse, ${cli.toMagnitude(entry.storedSize, 1024)}B stored`);
+  // hard links and duplicates are stored once, with the first copy.
+  if (entry.link) annotations.push(`${entry.link.hard ? "link to" : "same as"} ${entry.link.target}`);
+  // for files compressed on their own, how well it worked.
+  if (entry.compression) {
+    const ratio = entry.compressedSize != null && entry.size > 0 ?
+      ` ${Math.round(100 * entry.compressedSize / entry.size)}%` : "";
+    annotations.push(entry.compression + ratio);
+  }
+  const extras = annotations.length > 0 ? cli.color(COLORS.annotations, ` [${annotations.join("; ")}]`) : "";
   if (isVerbose) {
-    return cli.paint(mode, "  ", userdata, " ", colortime, "  ", colorsize, "  ", filename);
+    return cli.paint(mode, " ", userdata, " ", colortime, "  ", colorsize, "  ", filename, extras);
   } else {
     return cli.paint("  ", colorsize, "  ", filename);
   }
@@ -10,7 +10,8 @@ import toolkit from "stream-toolkit";
 const KEYBASE_BINARY = "keybase";
 
 export default class Keybaser {
-  constructor(cli) {
+  // status messages go to the `cli`, if there is one.
+  constructor(cli = null) {
     this.cli = cli;
     this.identity = null;
   }
@@ -21,7 +22,7 @@ export default class Keybaser {
     this.identity = this.findIdentityFromKeybaseConfig();
     if (this.identity != null) return Promise.resolve();
 
-    this.cli.status("Checking keybase...");
+    this.status("Checking keybase...");
     const p = child_process.spawn(KEYBASE_BINARY, [ "status" ], { stdio: [ "ignore", "pipe", "pipe" ] });
     // in io.js, the pipe must happen concurrently with the process, or the data will be thrown away. :(
     return Promise.all([
@@ -33,7 +34,7 @@ export default class Keybaser {
       if (!status || !status.status || !status.status.configured) throw new Error("Keybase is not configured.");
       if (!status.status.logged_in) throw new Error("You aren't currently logged in to keybase.");
       if (!status.user || !status.user.name) throw new Error("Can't determine your keybase username.");
-      this.cli.status();
+      this.status();
       this.identity = status.user.name;
     }).catch((error) => {
       // translate a particularly odd error.
@@ -71,38 +72,48 @@ export default class Keybaser {
     const args = [ "encrypt", "-b" ];
     if (options.sign) args.push("--sign");
     args.push(target);
-    this.cli.status(`Encrypting key for ${target} ...`);
-    // can't just send 'spawn' a stream, because it counts on having an underlying file descriptor.
-    const p = child_process.spawn(KEYBASE_BINARY, args, { stdio: [ "pipe", "pipe", process.stderr ] });
-    toolkit.pipeFromBuffer(key, p.stdin);
-    return Promise.all([
-      toolkit.pipeToBuffer(p.stdout),
-      waitForProcess(p)
-    ]).then(([ stdout, code ]) => {
-      this.cli.status();
-      if (code != 0) throw new Error(`Keybase exit code ${code}`);
-      return stdout;
-    });
+    this.status(`Encrypting key for ${target} ...`);
+    return this.run(args, key);
   }
 
   decrypt(encrypted) {
-    const args = [ "decrypt" ];
-    this.cli.status(`Decrypting key as ${this.identity} ...`);
+    this.status(`Decrypting key as ${this.identity} ...`);
+    return this.run([ "decrypt" ], encrypted);
+  }
+
+  // returns the data with an attached signature.
+  sign(data) {
+    this.status(`Signing as ${this.identity} ...`);
+    return this.run([ "sign", "-b" ], data);
+  }
+
+  // returns the signed data, or fails if it wasn't validly signed by `signer`.
+  verify(signed, signer) {
+    this.status(`Verifying signature from ${signer} ...`);
+    return this.run([ "verify", "--signed-by", signer ], signed);
+  }
+
+  status(message) {
+    if (this.cli) this.cli.status(message);
+  }
+
+  // run keybase with a buffer as stdin, and return stdout as a buffer.
+  run(args, input) {
+    // can't just send 'spawn' a stream, because it counts on having an underlying file descriptor.
     const p = child_process.spawn(KEYBASE_BINARY, args, { stdio: [ "pipe", "pipe", process.stderr ] });
-    toolkit.pipeFromBuffer(encrypted, p.stdin);
+    toolkit.pipeFromBuffer(input, p.stdin);
     return Promise.all([
       toolkit.pipeToBuffer(p.stdout),
       waitForProcess(p)
     ]).then(([ stdout, code ]) => {
-      this.cli.status();
+      this.status();
       if (code != 0) throw new Error(`Keybase exit code ${code}`);
       return stdout;
     });
   }
 }
 
-
-function waitForProcess(p) {
+export function waitForProcess(p) {
   return new Promise((resolve, reject) => {
     p.on("error", (error) => {
       try {
@@ -0,0 +1,96 @@
+"use strict";
+
+import crypto from "crypto";
+import fs from "fs";
+import Promise from "bluebird";
+
+// hard links and duplicates: a file that's a hard link to one already in
+// the archive (the same device and inode), or, when deduplicating, has the
+// same contents (by SHA-512), is stored as an empty file entry whose
+// extended header points to the first copy:
+//   { link: { target, hard, size } }
+// where `target` is the first copy's path in the archive (like
+// "myfiles/src/a.txt"), `hard` is true for a hard link (false for a
+// duplicate), and `size` is the size of the contents.
+//
+// on unpack, a hard link is made again as a hard link to the first copy
+// (unless asked for copies), and a duplicate as a copy of it.
+
+export function isLink(header) {
+  return header.extended != null && header.extended.link != null;
+}
+
+/*
+ * Keep track of the files archived so far, to find the ones that are
+ * hard links or duplicates of an earlier one. With `dedupe`, every file is
+ * read an extra time, to hash it.
+ */
+export default class LinkTracker {
+  constructor({ dedupe = false }) {
+    this.dedupe = dedupe;
+    // path in the archive of the first copy, by "device:inode", and by "size:hash".
+    this.inodes = {};
+    this.contents = {};
+    // the same, for files that `isLikelyCopy` has looked at ahead of their turn.
+    this.upcomingInodes = {};
+    this.upcomingContents = {};
+    // hashes from `isLikelyCopy`, so the file isn't read again when its turn comes.
+    this.hashes = {};
+  }
+
+  /*
+   * Return a promise for the link (`{ target, hard, size }`) to store in
+   * place of this file, if it's a copy of one seen already. Otherwise,
+   * remember it as `displayName`, and return a promise for null.
+   */
+  find(filename, displayName, stats) {
+    const inode = `${stats.dev}:${stats.ino}`;
+    if (stats.nlink > 1 && this.inodes[inode]) {
+      return Promise.resolve({ target: this.inodes[inode], hard: true, size: stats.size });
+    }
+    if (stats.nlink > 1) this.inodes[inode] = displayName;
+    // an empty file is no smaller as a link.
+    if (!this.dedupe || stats.size == 0) return Promise.resolve(null);
+
+    const hashed = this.hashes[filename] || hashFile(filename);
+    delete this.hashes[filename];
+    return hashed.then(hex => {
+      const key = `${stats.size}:${hex}`;
+      if (this.contents[key]) return { target: this.contents[key], hard: false, size: stats.size };
+      this.contents[key] = displayName;
+      return null;
+    });
+  }
+
+  /*
+   * Return a promise for whether a file, before its turn, looks like it'll
+   * be stored as a link: a copy of one seen already, or of one looked at
+   * here earlier. It isn't remembered as the first copy until `find`.
+   */
+  isLikelyCopy(filename, stats) {
+    const inode = `${stats.dev}:${stats.ino}`;
+    if (stats.nlink > 1) {
+      if (this.inodes[inode] || this.upcomingInodes[inode]) return Promise.resolve(true);
+      this.upcomingInodes[inode] = true;
+    }
+    if (!this.dedupe || stats.size == 0) return Promise.resolve(false);
+
+    this.hashes[filename] = hashFile(filename);
+    return this.hashes[filename].then(hex => {
+      const key = `${stats.size}:${hex}`;
+      if (this.contents[key] || this.upcomingContents[key]) return true;
+      this.upcomingContents[key] = true;
+      return false;
+    });
+  }
+}
+
+function hashFile(filename) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha512");
+    const inStream = fs.createReadStream(filename);
+    inStream.on("data", data => hash.update(data));
+    inStream.on("error", reject);
+    inStream.on("end", () => resolve(hash.digest("hex")));
+  });
+}
@@ -0,0 +1,380 @@
+"use strict";
+
+import Keybaser from "./keybaser";
+import Promise from "bluebird";
+import toolkit from "stream-toolkit";
+import { ArchiveError, FileError, SignatureError } from "./errors";
+import { EventEmitter } from "events";
+import {
+  checkSigner, isSymlink, keyDecrypter, openSource, passwordGetter, recipientLabel, signatureVerifier
+} from "./helpers";
+import { hasExtendedHeader, hasRecords, readExtendedHeader } from "./extended_header";
+import { isAppended, scanSegments } from "./segments";
+import { isAttributesRecord } from "./attributes";
+import { isCompressionRecord } from "./compression";
+import { isDeletionRecord } from "./snapshot";
+import { isLink } from "./links";
+import { isSparse } from "./sparse";
+import { readIndex, segmentPaths } from "./archive_index";
+import { volumeBase } from "./volumes";
+import * as lib4bottle from "lib4bottle";
+
+/*
+ * Read the contents of an archive (a filename, "-" for stdin, or a
+ * readable stream) and return a promise for `{ entries, archive }`.
+ *
+ * Each entry has:
+ *   - `path`: full path, including the top folder
+ *   - `type`: "file", "folder", or "symlink"
+ *   - `size`: for files, the original size (even if sparse)
+ *   - `storedSize`: for sparse files, the size stored in the archive
+ *   - `mode`: posix permissions
+ *   - `username`, `groupname`, `createdNanos`, `modifiedNanos`
+ *   - `target`: for symlinks
+ *   - `link`: for a hard link, or a duplicate stored once, `{ target, hard }`
+ *     where `target` is the path of the first copy, which holds the contents
+ *   - `hash`, `compression`, `encryption`: if the entry has its own
+ *   - `compressedSize`: for files compressed on their own, the size after
+ *     compression
+ *   - `xattrs`: extended attributes, if any were stored, as
+ *     `{ name: base64 value }`
+ *   - `acl`: the POSIX ACL, if one was stored, as text (like getfacl)
+ *
+ * The `archive` summary has:
+ *   - `filename`, `files`, `size` (of all the files), `archiveSize`
+ *   - `segments`: how many times it's been appended to, plus one
+ *   - `encryption`, `recipients`, `compression`, `hash`: if any
+ *   - `validHash`: false if the signature was invalid, or null if it
+ *     wasn't checked
+ *   - `signedBy`: if signed
+ *   - `deleted`: paths deleted, if it's an incremental archive
+ *   - `indexed`: true if the list came from the index at the end of the
+ *     archive, without reading the rest (so no hashes were checked)
+ *
+ * An archive file with an index is listed from the index, unless
+ * `requiredSigners` is set, since checking a signature means reading the
+ * whole archive.
+ *
+ * Entries are passed to the `entry` event as soon as they're known, so a
+ * big archive can be shown as it's read. An entry is held back until the
+ * end of its segment if the segment ends with records of compressed sizes
+ * or attributes, or if a signer is required. One that a later segment
+ * replaces is left out: for an archive file, those are found first, by
+ * skipping through the segments; from a stream, every entry of an appended
+ * archive is held until the end.
+ *
+ * Options:
+ *   - `password`, or `getPassword`: a function that returns a promise for
+ *     the password, if the archive turns out to need one
+ *   - `requiredSigners`: keybase users to trust; if set, the archive must
+ *     be signed by one of them, with a valid signature
+ *   - `identities`: private key files, to decrypt an archive encrypted for
+ *     their public keys ("key:" recipients)
+ *   - `keybaser`: the Keybaser to use for decryption and signatures
+ *   - `gpger`: the Gpger to use for decryption with the local gpg keyring
+ *   - `keepEntries`: return the entries when done (default: true); without
+ *     it, they're only passed to the `entry` event, and `entries` is null
+ *   - `events`: an EventEmitter for progress:
+ *       - `filename` (filename, header): read the header of a file or folder
+ *       - `entry` (entry): an entry of the listing, as described above
+ *       - `read` (byteCount): bytes of the archive read so far
+ */
+export function list(source, options = {}) {
+  const events = options.events || new EventEmitter();
+  const keybaser = options.keybaser || new Keybaser();
+  const requiredSigners = options.requiredSigners || [];
+  const keepEntries = options.keepEntries !== false;
+  const filename = typeof source == "string" ? source : null;
+
+  const state = {
+    totalBytesIn: 0, totalBytes: 0, totalFiles: 0, prefix: [], segments: 0, compressedSizes: {}, attributes: {}
+  };
+  // entries listed so far, by path: if files were appended to the archive, the newest one wins.
+  const listed = {};
+  // the size of each file listed so far (null for a folder), to keep the totals right if it's listed again.
+  const sizes = {};
+  // entries waiting for the end of their segment (or of the archive).
+  let held = [];
+  let holdSegment = false;
+  let holdAll = false;
+  // for an archive file that's been appended to: the last segment with each path.
+  let lastSegment = null;
+  // per-file hashes, compression, and encryption are wrapped around a file, so they're collected on the way in.
+  let layers = {};
+  const hashStack = [];
+
+  const countingInStream = toolkit.countingStream();
+  countingInStream.on("count", n => {
+    state.totalBytesIn = n;
+    events.emit("read", n);
+  });
+
+  // files with an extended header, and symlinks, need their data read.
+  function processFile(dataStream) {
+    const pending = state.pending;
+    state.pending = null;
+    if (!pending) return drain(dataStream);
+
+    const { header } = pending;
+    return (hasExtendedHeader(header) ? readExtendedHeader(header, dataStream) : Promise.resolve()).then(() => {
+      if (pending.isRecord || !isSymlink(header)) return drain(dataStream);
+      return toolkit.pipeToBuffer(dataStream).then(buffer => {
+        header.symlinkTarget = buffer.toString("utf8");
+      });
+    }).then(() => {
+      if (pending.isDeletionRecord) state.deleted = header.extended.deleted || [];
+      // each appended segment has its own record.
+      if (pending.isCompressionRecord) Object.assign(state.compressedSizes, header.extended.compressed || {});
+      if (pending.isAttributesRecord) Object.assign(state.attributes, header.extended.attributes || {});
+    });
+  }
+
+  const getPassword = passwordGetter(options);
+  const reader = new lib4bottle.ArchiveReader({
+    decryptKey: keyDecrypter({ keybaser, identities: options.identities, gpger: options.gpger, getPassword }),
+    getPassword,
+    processFile,
+    verifier: signatureVerifier(keybaser)
+  });
+  let isFirst = true;
+
+  reader.on("start-bottle", bottle => {
+    // a signature has to be on the outermost bottle, covering everything.
+    if (isFirst) checkSigner(bottle.header, requiredSigners);
+    isFirst = false;
+    switch (bottle.typeName()) {
+      case "hashed":
+        if (state.prefix.length > 0) hashStack.push({ entry: null });
+        break;
+      case "file":
+      case "folder":
+        const nicePrefix = state.prefix.join("/") + (state.prefix.length > 0 ? "/" : "");
+        const isRecord = isDeletionRecord(bottle.header) || isCompressionRecord(bottle.header) ||
+          isAttributesRecord(bottle.header);
+        if (state.prefix.length == 1 && isRecord) {
+          state.pending = {
+            header: bottle.header,
+            isRecord: true,
+            isDeletionRecord: isDeletionRecord(bottle.header),
+            isCompressionRecord: isCompressionRecord(bottle.header),
+            isAttributesRecord: isAttributesRecord(bottle.header)
+          };
+          state.prefix.push(bottle.header.filename);
+          break;
+        }
+        const entry = { header: bottle.header, prefix: nicePrefix, layers, segment: state.segments - 1 };
+        layers = {};
+        // the top folder says if its segment ends with records.
+        if (state.prefix.length == 0) holdSegment = bottle.header.folder && hasRecords(bottle.header);
+        const hashFrame = hashStack[hashStack.length - 1];
+        if (hashFrame && hashFrame.entry == null) hashFrame.entry = entry;
+        if (hasExtendedHeader(bottle.header) || isSymlink(bottle.header)) state.pending = entry;
+        events.emit("filename", nicePrefix + bottle.header.filename, bottle.header);
+        state.prefix.push(bottle.header.filename);
+        // a folder is done now, and a file at its end (or after its hash).
+        if (bottle.header.folder && hashFrame == null) finish(entry);
+        if (!bottle.header.folder) state.current = hashFrame ? null : entry;
+        break;
+    }
+  });
+
+  reader.on("end-bottle", bottle => {
+    switch (bottle.typeName()) {
+      case "file":
+      case "folder":
+        state.prefix.pop();
+        if (!bottle.header.folder && state.current) finish(state.current);
+        state.current = null;
+        break;
+    }
+  });
+
+  reader.on("hash", (bottle, isValid, hex) => {
+    if (state.prefix.length == 0 && bottle.header.signedBy) {
+      // a signer was required, so a forged signature is as good as none.
+      if (!isValid && requiredSigners.length > 0) {
+        const signedBy = bottle.header.signedBy;
+        throw new SignatureError(`Signature by ${signedBy} is INVALID; archive may have been tampered with.`);
+      }
+      // otherwise, report a bad signature instead of bailing.
+      state.signedBy = bottle.header.signedBy;
+      state.isSignatureValid = isValid;
+      if (isValid) state.validHash = bottle.header.hashName;
+      return;
+    }
+    if (!isValid) throw new ArchiveError("Invalid hash; archive is probably corrupt.");
+    if (state.prefix.length == 0) state.validHash = bottle.header.hashName;
+    if (state.prefix.length > 0) {
+      const hashFrame = hashStack.pop();
+      if (hashFrame && hashFrame.entry) {
+        hashFrame.entry.layers.hash = { name: bottle.header.hashName, hex };
+        finish(hashFrame.entry);
+      }
+    }
+  });
+
+  reader.on("compress", bottle => {
+    if (state.prefix.length == 0) state.compression = bottle.header.compressionName;
+    if (state.prefix.length > 0) layers.compression = bottle.header.compressionName;
+  });
+
+  reader.on("encrypt", bottle => {
+    if (state.prefix.length == 0) {
+      state.encryption = bottle.header.encryptionName;
+      state.recipients = (bottle.header.recipients || []).map(recipientLabel);
+    } else {
+      const recipients = (bottle.header.recipients || []).map(recipientLabel);
+      layers.encryption = { name: bottle.header.encryptionName, recipients };
+    }
+  });
+
+  // an entry is ready, unless it's waiting for records or a signature check, or it might be replaced later.
+  function finish(entry) {
+    const path = entry.prefix + entry.header.filename;
+    if (lastSegment && lastSegment[path] > entry.segment) return;
+    if (holdSegment || holdAll || requiredSigners.length > 0) {
+      held.push(entry);
+      return;
+    }
+    emit(jsonForEntry(entry, state));
+  }
+
+  function emit(json) {
+    if (sizes[json.path] != null) {
+      state.totalFiles -= 1;
+      state.totalBytes -= sizes[json.path];
+    }
+    sizes[json.path] = json.type == "folder" ? null : json.size;
+    if (json.type != "folder") {
+      state.totalFiles += 1;
+      state.totalBytes += json.size;
+    }
+    if (keepEntries) listed[json.path] = json;
+    events.emit("entry", json);
+  }
+
+  // newest wins, in the order each path was first seen.
+  function release() {
+    const newest = {};
+    held.forEach(entry => newest[entry.prefix + entry.header.filename] = entry);
+    held = [];
+    Object.keys(newest).forEach(path => emit(jsonForEntry(newest[path], state)));
+  }
+
+  return Promise.try(() => {
+    const index = requiredSigners.length == 0 ? readIndex(source) : null;
+    if (index) return listFromIndex(filename, index, events, keepEntries);
+
+    if (isAppendedFile(filename)) {
+      // find which paths are replaced later, so everything else can be shown right away.
+      lastSegment = {};
+      segmentPaths(filename).forEach((paths, i) => Object.keys(paths).forEach(path => lastSegment[path] = i));
+    }
+
+    const inStream = openSource(source);
+    const failed = new Promise((resolve, reject) => {
+      inStream.on("error", error => reject(new FileError(`Can't read ${filename || "archive"}`, error, filename)));
+    });
+    inStream.pipe(countingInStream);
+    const scanned = scanSegments(countingInStream, (segment, index, { appended }) => {
+      // each appended segment is signed (or not) separately.
+      isFirst = true;
+      state.segments += 1;
+      // from a stream, there's no telling until the end whether an entry of an appended archive will be replaced.
+      if (index == 0 && lastSegment == null) holdAll = appended;
+      return reader.scanStream(segment).then(() => {
+        if (!holdAll) release();
+        holdSegment = false;
+      });
+    });
+    return Promise.race([ scanned, failed ]).then(() => {
+      release();
+      const entries = keepEntries ? Object.keys(listed).map(path => listed[path]) : null;
+      return { entries, archive: jsonForArchive(filename, state) };
+    });
+  });
+}
+
+// an archive file (not a stream) that's been appended to.
+function isAppendedFile(filename) {
+  if (filename == null || filename == "-" || volumeBase(filename)) return false;
+  try {
+    return isAppended(filename);
+  } catch (error) {
+    // reading it will say what's wrong.
+    return false;
+  }
+}
+
+// the index has the entries as `list` found them when the archive was packed, plus where each one is.
+function listFromIndex(filename, index, events, keepEntries) {
+  const entries = index.entries.map(entry => {
+    const json = Object.assign({}, entry);
+    delete json.offset;
+    delete json.frames;
+    delete json.length;
+    events.emit("filename", json.path, json);
+    events.emit("entry", json);
+    return json;
+  });
+  const archive = Object.assign({ type: "archive" }, index.archive, { filename, indexed: true });
+  // a signature can't be checked without reading everything it covers.
+  if (archive.signedBy != null) archive.validHash = null;
+  return { entries: keepEntries ? entries : null, archive };
+}
+
+function drain(dataStream) {
+  const sink = toolkit.nullSinkStream();
+  dataStream.pipe(sink);
+  return sink.finishPromise();
+}
+
+function jsonForEntry({ header, prefix, layers }, { compressedSizes, attributes }) {
+  const type = header.folder ? "folder" : (isSymlink(header) ? "symlink" : "file");
+  const json = { path: prefix + header.filename, type };
+  if (!header.folder) json.size = isSparse(header) ? header.extended.sparse.size : (header.size || 0);
+  Object.assign(json, {
+    mode: (header.mode || 0) & 0xfff,
+    username: header.username,
+    groupname: header.groupname,
+    createdNanos: header.createdNanos,
+    modifiedNanos: header.modifiedNanos
+  });
+  if (isSparse(header)) json.storedSize = header.size;
+  if (isLink(header)) {
+    json.size = header.extended.link.size;
+    json.link = { target: header.extended.link.target, hard: header.extended.link.hard };
+  }
+  if (header.symlinkTarget != null) json.target = header.symlinkTarget;
+  if (layers.hash) json.hash = layers.hash;
+  if (layers.compression) json.compression = layers.compression;
+  if (layers.compression && compressedSizes[json.path] != null) json.compressedSize = compressedSizes[json.path];
+  if (layers.encryption) json.encryption = layers.encryption;
+  const { xattrs, acl } = attributes[json.path] || {};
+  if (xattrs) json.xattrs = xattrs;
+  if (acl) json.acl = acl;
+  return json;
+}
+
+function jsonForArchive(filename, state) {
+  const json = {
+    type: "archive",
+    filename,
+    files: state.totalFiles,
+    size: state.totalBytes,
+    archiveSize: state.totalBytesIn,
+    segments: state.segments
+  };
+  if (state.encryption != null) {
+    json.encryption = state.encryption;
+    json.recipients = state.recipients;
+  }
+  if (state.compression != null) json.compression = state.compression;
+  if (state.validHash != null || state.signedBy != null) {
+    json.hash = state.validHash || null;
+    json.validHash = state.signedBy != null ? state.isSignatureValid : true;
+  }
+  if (state.signedBy != null) json.signedBy = state.signedBy;
+  if (state.deleted != null) json.deleted = state.deleted;
+  return json;
+}
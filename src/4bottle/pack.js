@@ -0,0 +1,619 @@
+"use strict";
+
+import ArchiveRewriter from "./archive_rewriter";
+import ArchiveWriter from "./archive_writer";
+import CompressionPolicy, { COMPRESSION_TYPES } from "./compression";
+import FileFilter from "./file_filter";
+import fs from "fs";
+import Gpger from "./gpger";
+import Keybaser from "./keybaser";
+import path from "path";
+import Promise from "bluebird";
+import toolkit from "stream-toolkit";
+import WorkerPool from "./worker_pool";
+import { ArchiveError, EncryptionError, FileError, UsageError } from "./errors";
+import { EventEmitter } from "events";
+import { encryptForKey, KEY_SCHEME, readIdentity, readPublicKey } from "./public_keys";
+import { encryptForPassword, isPasswordRecipient, newPasswordRecipient, PASSWORD_SCHEME } from "./password_recipient";
+import { keyDecrypter, openSource, passwordGetter } from "./helpers";
+import { list } from "./list";
+import { loadSnapshot, newSnapshot, saveSnapshot } from "./snapshot";
+import { locateEntries, writeIndex } from "./archive_index";
+import {
+  markAppended, peekBottleTypes, scanSegments, stampVersion, TYPE_COMPRESSED, TYPE_ENCRYPTED, versionStampStream
+} from "./segments";
+import { readArchiveEntries } from "./archive_entries";
+import { MIN_VOLUME_SIZE, VOLUME_HEADER_LENGTH, volumeBase, volumeWriteStream } from "./volumes";
+import * as lib4bottle from "lib4bottle";
+
+const renamePromise = Promise.promisify(fs.rename);
+const unlinkPromise = Promise.promisify(fs.unlink);
+
+const COMPRESSION_WORKER = path.join(__dirname, "compression_worker.js");
+
+/*
+ * Create a 4bottle archive from a list of files or folders, and return a
+ * promise for a summary of what was written:
+ *   - `filename`: the archive (or null if it was written to a stream)
+ *   - `files`: how many files were archived
+ *   - `bytesIn`: total size of those files
+ *   - `bytesOut`: size of the archive
+ *   - `compression`: "lzma2", "snappy", or null
+ *   - `compressedFiles`: how many files were compressed on their own, with
+ *     `perFileCompression`
+ *   - `links`: how many files were stored as links to an earlier copy
+ *   - `mode`: "full", "incremental", "append", or "update"
+ *   - `volumes`: the files written, for a multi-volume archive
+ *   - `indexed`: true if an index was written, with `index`
+ *
+ * Options:
+ *   - `output`: filename ("-" for stdout) or writable stream for the
+ *     archive (default: the only file or folder's name plus ".4b", or
+ *     "archive.4b")
+ *   - `volumeSize`: split the archive into volumes of at most this many
+ *     bytes, named after `output` plus ".001", ".002", and so on
+ *   - `hash`: add a SHA-512 hash to check the archive with (default: true)
+ *   - `sign`: sign the hash with your keybase identity
+ *   - `recipients`: who to encrypt the archive for: keybase users ("robey"
+ *     or "keybase:robey"), keys in the local gpg keyring ("gpg:<key id or
+ *     email>"), or public key files ("key:robey.pem")
+ *   - `password`: encrypt the archive with a password (as well as for the
+ *     recipients, if there are any)
+ *   - `compression`: "lzma2" (the default), "snappy", or null
+ *   - `perFileCompression`: compress each file on its own, instead of the
+ *     whole archive, skipping files that won't shrink
+ *   - `compressionRules`: with `perFileCompression`, rules for choosing the
+ *     compression by filename or size, like "*.log=snappy" or ">1G=none"
+ *   - `threads`: compress files on this many worker threads (implies
+ *     `perFileCompression`, since a single compressed stream can't be split)
+ *   - `index`: write an index at the end of the archive, so readers can
+ *     seek straight to a file (implies `perFileCompression`, unless
+ *     `compression` is null, since positions inside a compressed archive
+ *     can't be seeked to); only for an archive file that isn't encrypted
+ *     or split into volumes
+ *   - `exclude`, `include`: lists of globs, as in ".4bottleignore"
+ *   - `dereference`: archive the files that symlinks point to
+ *   - `dedupe`: store a file with the same contents as one already archived
+ *     as a link to it (hard links are always stored as links)
+ *   - `xattrs`: store extended attributes (like "user.*" and security
+ *     labels), using getfattr; they're kept in the top folder, so there
+ *     has to be one
+ *   - `acls`: store POSIX ACLs, using getfacl, like `xattrs`
+ *   - `numericOwner`: store the user and group as numeric ids
+ *   - `snapshot`: snapshot filename, for an incremental backup
+ *   - `append`: an existing archive to add these files to
+ *   - `update`: an existing archive to update from this one folder
+ *   - `identities`: private key files, to decrypt an existing archive that
+ *     was encrypted for their public keys
+ *   - `keybaser`: the Keybaser to use for signing and encryption
+ *   - `gpger`: the Gpger to use for "gpg:" recipients
+ *   - `events`: an EventEmitter for progress:
+ *       - `filename` (filename, header): started a file or folder
+ *       - `status` (filename, byteCount): bytes of it read so far
+ *       - `skip` (filename): excluded or ignored
+ *       - `delete` (filename): recorded as deleted, in an incremental backup
+ *       - `compress` (filename, method): compressing a file on its own
+ *       - `link` (filename, target, hard): storing a file as a link to an
+ *         earlier copy (a hard link, or a duplicate)
+ *       - `warning` (message): something couldn't be stored, like
+ *         attributes without getfattr or getfacl
+ *       - `written` (byteCount): bytes of the archive written so far
+ *
+ * When appending or updating, the existing archive's encryption and
+ * compression are kept, and those options are ignored. When updating, an
+ * incremental snapshot can't be used. Appending to an indexed archive
+ * leaves its index stale (and unused) unless `index` is set again.
+ */
+export function pack(paths, options = {}) {
+  const context = {
+    options,
+    events: options.events || new EventEmitter(),
+    keybaser: options.keybaser || new Keybaser(),
+    gpger: options.gpger || new Gpger(),
+    writeOptions: {
+      filter: new FileFilter({
+        excludes: [].concat(options.exclude || []),
+        includes: [].concat(options.include || [])
+      }),
+      dereference: options.dereference,
+      numericOwner: options.numericOwner,
+      dedupe: options.dedupe,
+      xattrs: options.xattrs,
+      acls: options.acls
+    }
+  };
+  // errors from streams, which can happen at any time.
+  const failed = new Promise((resolve, reject) => {
+    context.fail = reject;
+  });
+
+  let pool = null;
+
+  return Promise.try(() => {
+    checkOptions(paths, options);
+    const compression = options.compression !== undefined ? options.compression : "lzma2";
+    context.compression = compression;
+    if (isPerFile(options)) {
+      const rules = options.compressionRules || [];
+      context.writeOptions.compression = new CompressionPolicy({ method: compression, rules });
+    }
+    if (options.threads > 1) {
+      pool = new WorkerPool(COMPRESSION_WORKER, options.threads);
+      context.writeOptions.pool = pool;
+    }
+    const { names, publicKeys } = resolveRecipients(options.recipients || [], options.identities || []);
+    context.publicKeys = publicKeys;
+    context.layers = {
+      hash: options.hash !== false ? lib4bottle.HASH_SHA512 : null,
+      sign: options.sign,
+      recipients: names.length > 0 ? names : null,
+      password: options.password,
+      compression: compression && !isPerFile(options) ? COMPRESSION_TYPES[compression] : null
+    };
+    const needsKeybase = options.sign || names.some(name => name.split(":")[0] == "keybase");
+    return needsKeybase ? context.keybaser.check().catch(error => {
+      throw new EncryptionError("Keybase error", error);
+    }) : null;
+  }).then(() => {
+    const existing = options.append || options.update;
+    if (!existing) return Promise.race([ packArchive(paths, context), failed ]);
+    return peekBottleTypes(existing).then(types => {
+      const isLayered = types.indexOf(TYPE_ENCRYPTED) >= 0 || types.indexOf(TYPE_COMPRESSED) >= 0;
+      if (isLayered && options.index) {
+        throw new UsageError(`Can't index an encrypted or compressed archive: ${existing}`);
+      }
+      return Promise.race([ (isLayered ? rewriteArchive : appendSegment)(existing, paths, context), failed ]);
+    });
+  }).then(summary => {
+    return options.index ? indexArchive(summary, context) : summary;
+  }).finally(() => {
+    if (pool) return pool.close();
+  });
+}
+
+export function defaultOutput(paths) {
+  if (paths.length > 1) return "archive.4b";
+  return paths[0].replace(/\/$/, "") + ".4b";
+}
+
+function checkOptions(paths, options) {
+  if (paths.length == 0) throw new UsageError("Required: filename(s) to archive");
+  paths.forEach(filename => {
+    if (!fs.existsSync(filename)) throw new FileError(`Can't find file: ${filename}`, null, filename);
+  });
+  if (options.sign && options.hash === false) {
+    throw new UsageError("Can't sign an archive without a hash (--sign and --no-hash)");
+  }
+  if (options.append && options.update) throw new UsageError("Can't --append and --update at the same time");
+  if ((options.xattrs || options.acls) && !options.append && !options.update && paths.length == 1 &&
+    !(options.dereference ? fs.statSync : fs.lstatSync)(paths[0]).isDirectory()) {
+    throw new UsageError("Can't store attributes for a single file, with no folder to keep them in (--xattrs, --acls)");
+  }
+  if ((options.append || options.update) && options.snapshot) {
+    throw new UsageError("Can't make an incremental archive while adding to one (--snapshot)");
+  }
+  if (options.threads != null && !(Number.isInteger(options.threads) && options.threads > 0)) {
+    throw new UsageError(`Number of threads (-j) should be a positive number: ${options.threads}`);
+  }
+  if (options.threads > 1 && options.compression === null) {
+    throw new UsageError("Can't compress on worker threads without compression (-j and --no-compress)");
+  }
+  if (options.perFileCompression && options.compression === null) {
+    throw new UsageError("Can't compress each file without compression (--per-file-compression and --no-compress)");
+  }
+  if (options.compressionRules && options.compressionRules.length > 0 && !isPerFile(options)) {
+    throw new UsageError("Compression rules are only for --per-file-compression");
+  }
+  if (options.volumeSize != null) {
+    if (options.append || options.update) throw new UsageError("Can't add files to a multi-volume archive");
+    if (options.output == "-" || (options.output != null && typeof options.output != "string")) {
+      throw new UsageError("A multi-volume archive has to be written to files (--volume-size)");
+    }
+    if (!(options.volumeSize >= MIN_VOLUME_SIZE)) {
+      throw new UsageError(`Volume size should be at least ${MIN_VOLUME_SIZE} bytes: ${options.volumeSize}`);
+    }
+  }
+  if (options.index) {
+    if (options.volumeSize != null) throw new UsageError("Can't index a multi-volume archive (--index)");
+    if (options.output == "-" || (options.output != null && typeof options.output != "string")) {
+      throw new UsageError("An indexed archive has to be written to a file (--index)");
+    }
+    if ((options.recipients && options.recipients.length > 0) || options.password) {
+      throw new UsageError("Can't index an encrypted archive (--index)");
+    }
+  }
+  const existing = options.append || options.update;
+  if (existing && volumeBase(existing)) {
+    throw new UsageError("Can't add files to a multi-volume archive");
+  }
+  if (options.update && (paths.length != 1 || !fs.statSync(paths[0]).isDirectory())) {
+    throw new UsageError("Required: the folder to update the archive from");
+  }
+}
+
+// more than one thread means per-file compression, so each worker has a file of its own. an index needs it too.
+function isPerFile(options) {
+  return options.perFileCompression || options.threads > 1 || (options.index && options.compression !== null);
+}
+
+/*
+ * Turn recipients from the command line ("robey", "keybase:robey",
+ * "gpg:<key id>", or "key:<public-key.pem>") into the names stored in the archive, and collect
+ * the public keys to encrypt for the "key:" ones. An identity's public key
+ * is collected too, so an archive encrypted for it can be rewritten.
+ */
+function resolveRecipients(recipients, identities) {
+  const publicKeys = {};
+  identities.forEach(filename => {
+    const identity = readIdentity(filename);
+    publicKeys[identity.recipient] = identity.publicKey;
+  });
+
+  const names = recipients.map(recipient => {
+    const index = recipient.indexOf(":");
+    const scheme = index >= 0 ? recipient.slice(0, index) : "keybase";
+    const name = recipient.slice(index + 1);
+    switch (scheme) {
+      case "keybase":
+      case "gpg":
+        return `${scheme}:${name}`;
+      case KEY_SCHEME:
+        const publicKey = readPublicKey(name);
+        publicKeys[publicKey.recipient] = publicKey.key;
+        return publicKey.recipient;
+      default:
+        throw new UsageError(`Unknown recipient type: ${scheme}`);
+    }
+  });
+  return { names, publicKeys };
+}
+
+function packArchive(paths, context) {
+  const { options, writeOptions } = context;
+  const output = options.output || defaultOutput(paths);
+  const snapshot = options.snapshot ? newSnapshot() : null;
+  return (options.snapshot ? loadSnapshot(options.snapshot) : Promise.resolve(null)).then(previousSnapshot => {
+    const outStream = options.volumeSize ? volumeWriteStream(output, options.volumeSize) : openArchive(output);
+    toolkit.promisify(outStream);
+    const countingOutStream = toolkit.countingStream();
+    // a stream can't be stamped with the format version afterward, once it's known whether it needs it.
+    const isStream = typeof output != "string" || output == "-";
+    (isStream ? countingOutStream.pipe(versionStampStream()) : countingOutStream).pipe(outStream);
+
+    return assemblePipes(countingOutStream, context, context.layers).then(targetStream => {
+      const writer = new ArchiveWriter(Object.assign({ snapshot, previousSnapshot }, writeOptions));
+      const state = watchWriter(writer, countingOutStream, context);
+      // multiple files: just make a fake folder
+      const folderName = typeof output == "string" && output != "-" ? path.basename(output, ".4b") : "archive";
+      const bottlePromise = paths.length == 1 ? writer.archiveFile(paths[0]) : writer.archiveFiles(folderName, paths);
+      return bottlePromise.then(bottle => {
+        bottle.pipe(targetStream);
+        return outStream.finishPromise();
+      }).then(() => {
+        if (writer.isExtended && !isStream) {
+          const first = options.volumeSize ? outStream.filenames[0] : output;
+          stampVersion(first, options.volumeSize ? VOLUME_HEADER_LENGTH : 0);
+        }
+        // only save the snapshot once the archive is safely written.
+        if (snapshot) return saveSnapshot(options.snapshot, snapshot);
+      }).then(() => {
+        const summary = summarize(output, state, context.compression, previousSnapshot ? "incremental" : "full");
+        if (options.volumeSize) summary.volumes = outStream.filenames;
+        return summary;
+      });
+    });
+  });
+}
+
+/*
+ * Add a plain archive's new files to the end, as another top-level bottle
+ * (a "segment") with the same top folder.
+ */
+function appendSegment(filename, paths, context) {
+  const { options, writeOptions, keybaser } = context;
+  return readArchiveEntries(filename, Object.assign({}, options, { keybaser })).then(({ entries, top }) => {
+    if (!top) throw new UsageError(`Can't add files to an archive of a single file: ${filename}`);
+    // for an update, anything that's the same as the archived copy is left out.
+    let previousSnapshot = null;
+    if (options.update) {
+      previousSnapshot = { files: {} };
+      Object.keys(entries).forEach(p => {
+        previousSnapshot.files[`${top.filename}/${p}`] = entries[p];
+      });
+    }
+
+    const segmentOffset = fs.statSync(filename).size;
+    const outStream = openArchive(filename, "a");
+    toolkit.promisify(outStream);
+    const countingOutStream = toolkit.countingStream();
+    countingOutStream.pipe(outStream);
+
+    const layers = { hash: context.layers.hash, sign: context.layers.sign };
+    return assemblePipes(countingOutStream, context, layers).then(targetStream => {
+      const writer = new ArchiveWriter(Object.assign({ previousSnapshot }, writeOptions));
+      const state = watchWriter(writer, countingOutStream, context);
+      const bottlePromise = options.update ?
+        writer.archiveFolderAs(paths[0], top.filename) :
+        writer.appendFiles(top, paths);
+      return bottlePromise.then(bottle => {
+        bottle.pipe(targetStream);
+        return outStream.finishPromise();
+      }).then(() => {
+        if (writer.isExtended) stampVersion(filename, segmentOffset);
+        markAppended(filename);
+        return summarize(filename, state, null, options.update ? "update" : "append");
+      });
+    });
+  });
+}
+
+/*
+ * Stream an encrypted or compressed archive through an ArchiveRewriter,
+ * into a new archive with the same layers of hashing, encryption, and
+ * compression, then replace the old one.
+ */
+function rewriteArchive(filename, paths, context) {
+  const { options, writeOptions, keybaser } = context;
+  const tempFilename = `${filename}.tmp`;
+  // remember the password, to encrypt the new archive.
+  let password = null;
+  const askPassword = passwordGetter(options);
+  const getPassword = () => askPassword().then(p => {
+    password = p;
+    return p;
+  });
+
+  const outStream = openArchive(tempFilename);
+  toolkit.promisify(outStream);
+  const countingOutStream = toolkit.countingStream();
+  countingOutStream.pipe(outStream);
+
+  const rewriter = new ArchiveRewriter(Object.assign({
+    appending: options.append ? paths : null,
+    updating: options.update ? paths[0] : null
+  }, writeOptions));
+  const reader = new lib4bottle.ArchiveReader({
+    decryptKey: keyDecrypter({ keybaser, identities: options.identities, gpger: options.gpger, getPassword }),
+    getPassword,
+    processFile: dataStream => rewriter.processFile(dataStream)
+  });
+
+  // copy the outer layers, then build the same ones when the first file or folder shows up.
+  const layers = { hash: null, sign: false, recipients: null, password: null, compression: null };
+  let usesPassword = false;
+  let compression = null;
+  let targetPromise = null;
+
+  reader.on("start-bottle", bottle => {
+    switch (bottle.typeName()) {
+      case "hashed":
+        if (targetPromise) break;
+        layers.hash = lib4bottle.HASH_SHA512;
+        layers.sign = layers.sign || bottle.header.signedBy != null;
+        break;
+      case "file":
+      case "folder":
+        if (!targetPromise) {
+          // by now, the password has usually been used to decrypt the old archive, unless a key was used instead.
+          const needsPassword = usesPassword && password == null;
+          targetPromise = (needsPassword ? getPassword() : Promise.resolve(password)).then(p => {
+            if (usesPassword) layers.password = p;
+            return assemblePipes(countingOutStream, context, layers);
+          });
+        }
+        rewriter.startEntry(bottle.header);
+        break;
+    }
+  });
+
+  reader.on("end-bottle", bottle => {
+    switch (bottle.typeName()) {
+      case "file":
+      case "folder":
+        rewriter.endEntry(bottle.header);
+        break;
+    }
+  });
+
+  reader.on("hash", (bottle, isValid) => {
+    if (!isValid) throw new ArchiveError("Invalid hash; archive is probably corrupt.");
+  });
+
+  reader.on("encrypt", bottle => {
+    if (targetPromise) return;
+    if (bottle.header.recipients) {
+      // a password recipient is made again, with a new salt.
+      const recipients = bottle.header.recipients.filter(recipient => !isPasswordRecipient(recipient));
+      usesPassword = recipients.length < bottle.header.recipients.length;
+      layers.recipients = recipients.length > 0 ? recipients : null;
+    } else {
+      usesPassword = true;
+    }
+  });
+
+  reader.on("compress", bottle => {
+    if (targetPromise) return;
+    compression = /snappy/i.test(bottle.header.compressionName) ? "snappy" : "lzma2";
+    layers.compression = COMPRESSION_TYPES[compression];
+  });
+
+  const state = watchWriter(rewriter, countingOutStream, context);
+  return Promise.try(() => {
+    const scanned = scanSegments(openSource(filename), segment => reader.scanStream(segment));
+    return Promise.race([
+      rewriter.topBottle,
+      scanned.then(() => {
+        throw new ArchiveError(`No files in archive: ${filename}`);
+      })
+    ]).then(bottle => {
+      const written = targetPromise.then(targetStream => {
+        bottle.pipe(targetStream);
+        return outStream.finishPromise();
+      });
+      return Promise.all([ scanned, written ]);
+    });
+  }).then(() => {
+    if (rewriter.isExtended) stampVersion(tempFilename);
+    return renamePromise(tempFilename, filename);
+  }).then(() => {
+    return summarize(filename, state, compression, options.update ? "update" : "append");
+  }).catch(error => {
+    return unlinkPromise(tempFilename).catch(() => null).then(() => {
+      throw error;
+    });
+  });
+}
+
+/*
+ * List a freshly written archive, find where each entry's bottle is, and
+ * append the index. Both walk the archive in the same order, so the nth
+ * entry found is at the nth location.
+ */
+function indexArchive(summary, context) {
+  const { options, keybaser } = context;
+  const filename = summary.filename;
+  const order = [];
+  const events = new EventEmitter();
+  events.on("filename", name => order.push(name));
+  return list(filename, Object.assign({}, options, { keybaser, events, requiredSigners: [] })).then(listing => {
+    const locations = locateEntries(filename);
+    if (locations.length != order.length) {
+      throw new ArchiveError(`Can't index ${filename}: found ${locations.length} entries, expected ${order.length}`);
+    }
+    // the newest copy of each entry wins, as in `list`.
+    const byPath = {};
+    order.forEach((name, i) => byPath[name] = locations[i]);
+    const entries = listing.entries.map(entry => Object.assign({}, entry, byPath[entry.path]));
+    const archive = Object.assign({}, listing.archive);
+    delete archive.filename;
+    delete archive.archiveSize;
+    writeIndex(filename, { archive, entries });
+    summary.bytesOut = fs.statSync(filename).size;
+    summary.indexed = true;
+    return summary;
+  });
+}
+
+function openArchive(output, flags = "w") {
+  if (typeof output != "string") return output;
+  if (output == "-") return fs.createWriteStream("", { fd: 1 });
+  let fd = null;
+  try {
+    fd = fs.openSync(output, flags);
+  } catch (error) {
+    throw new FileError(`Unable to write ${output}`, error, output);
+  }
+  return fs.createWriteStream("", { fd });
+}
+
+function assemblePipes(stream, context, { hash, sign, password, recipients, compression }) {
+  const { keybaser } = context;
+  let targetStream = stream;
+
+  if (hash) {
+    // the signature covers the hash, so it's checked when the archive is read.
+    const hashOptions = sign ? { signedBy: `keybase:${keybaser.identity}`, signer: data => keybaser.sign(data) } : {};
+    const hashBottle = new lib4bottle.HashBottleWriter(hash, hashOptions);
+    hashBottle.pipe(targetStream);
+    targetStream = hashBottle;
+  }
+
+  return (recipients ?
+    setupRecipientEncryption(targetStream, context, recipients, password) :
+    (password ? setupPasswordEncryption(targetStream, context, password) : Promise.resolve(targetStream))
+  ).then(targetStream => {
+    if (!compression) return targetStream;
+    const compressedBottle = new lib4bottle.CompressedBottleWriter(compression);
+    compressedBottle.pipe(targetStream);
+    return compressedBottle;
+  });
+}
+
+/*
+ * Encrypt the archive's key for each recipient, and for the password too,
+ * if there is one, so any of them can open it.
+ */
+function setupRecipientEncryption(stream, { keybaser, gpger, publicKeys, fail }, recipients, password) {
+  const encrypter = (recipient, buffer) => {
+    const [ scheme, name ] = recipient.split(":");
+    switch (scheme) {
+      case PASSWORD_SCHEME:
+        return encryptForPassword(recipient, password, buffer);
+      case "keybase":
+        return keybaser.encrypt(buffer, name);
+      case "gpg":
+        return gpger.encrypt(buffer, name);
+      case KEY_SCHEME:
+        if (!publicKeys[recipient]) {
+          throw new EncryptionError(`No public key for ${recipient} (use -e key:<file>, or --identity)`);
+        }
+        return encryptForKey(publicKeys[recipient], buffer);
+      default:
+        throw new EncryptionError(`Unknown recipient type: ${scheme}`);
+    }
+  };
+
+  return lib4bottle.writeEncryptedBottle(
+    lib4bottle.ENCRYPTION_AES_256_CTR,
+    { recipients: password ? recipients.concat(newPasswordRecipient()) : recipients, encrypter }
+  ).then(encryptedBottle => {
+    encryptedBottle.pipe(stream);
+    encryptedBottle.on("error", error => fail(new EncryptionError("Encryption error", error)));
+    return encryptedBottle;
+  });
+}
+
+function setupPasswordEncryption(stream, { fail }, password) {
+  return lib4bottle.writeEncryptedBottle(
+    lib4bottle.ENCRYPTION_AES_256_CTR,
+    { password }
+  ).then(encryptedBottle => {
+    encryptedBottle.pipe(stream);
+    encryptedBottle.on("error", error => fail(new EncryptionError("Encryption error", error)));
+    return encryptedBottle;
+  });
+}
+
+// pass on an ArchiveWriter's progress, and count what it wrote.
+function watchWriter(writer, countingOutStream, { events, fail }) {
+  const state = { files: 0, bytesIn: 0, bytesOut: 0, compressedFiles: 0, links: 0 };
+
+  countingOutStream.on("count", n => {
+    state.bytesOut = n;
+    events.emit("written", n);
+  });
+  writer.on("filename", (filename, header) => {
+    if (!header.folder) {
+      state.files += 1;
+      state.bytesIn += header.size;
+    }
+    events.emit("filename", filename, header);
+  });
+  writer.on("status", (filename, byteCount) => events.emit("status", filename, byteCount));
+  writer.on("skip", filename => events.emit("skip", filename));
+  writer.on("delete", filename => events.emit("delete", filename));
+  writer.on("compress", (filename, method) => {
+    state.compressedFiles += 1;
+    events.emit("compress", filename, method);
+  });
+  writer.on("link", (filename, target, hard) => {
+    state.links += 1;
+    events.emit("link", filename, target, hard);
+  });
+  writer.on("warning", message => events.emit("warning", message));
+  writer.on("error", error => fail(error));
+  return state;
+}
+
+function summarize(output, state, compression, mode) {
+  return {
+    filename: typeof output == "string" ? output : null,
+    files: state.files,
+    bytesIn: state.bytesIn,
+    bytesOut: state.bytesOut,
+    compression: compression || null,
+    compressedFiles: state.compressedFiles,
+    links: state.links,
+    mode
+  };
+}
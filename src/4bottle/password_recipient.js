@@ -0,0 +1,72 @@
+"use strict";
+
+import crypto from "crypto";
+import Promise from "bluebird";
+import { EncryptionError } from "./errors";
+
+// a password as one more recipient of an archive's key, alongside keybase,
+// gpg, or public-key recipients: the key is encrypted with a key made from
+// the password by scrypt. the scrypt parameters and salt are in the
+// recipient's name: "password:<log2 N>:<r>:<p>:<salt>".
+
+export const PASSWORD_SCHEME = "password";
+
+const SCRYPT_N = 14;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+// a recipient name comes from the archive, so it can't ask for more than
+// this: scrypt needs 128 * N * r bytes (128MB here), and `maxmem` allows
+// twice that, for the rest of what it allocates.
+const SCRYPT_MAX_N = 17;
+const SCRYPT_MAX_R = 8;
+const SCRYPT_MAX_P = 4;
+const SCRYPT_MAX_MEMORY = 2 * 128 * Math.pow(2, SCRYPT_MAX_N) * SCRYPT_MAX_R;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// make a recipient name with a new salt.
+export function newPasswordRecipient() {
+  const salt = crypto.randomBytes(SALT_LENGTH).toString("base64");
+  return [ PASSWORD_SCHEME, SCRYPT_N, SCRYPT_R, SCRYPT_P, salt ].join(":");
+}
+
+export function isPasswordRecipient(recipient) {
+  return recipient.split(":")[0] == PASSWORD_SCHEME;
+}
+
+// encrypt an archive key with a password, returning a promise for the buffer to store.
+export function encryptForPassword(recipient, password, buffer) {
+  return deriveKey(recipient, password).then(key => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const encrypted = Buffer.concat([ cipher.update(buffer), cipher.final() ]);
+    return Buffer.concat([ iv, cipher.getAuthTag(), encrypted ]);
+  });
+}
+
+// unlike an scrypt-only archive, a wrong password is caught here, before anything is decrypted.
+export function decryptWithPassword(recipient, password, buffer) {
+  return deriveKey(recipient, password).then(key => {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, buffer.slice(0, IV_LENGTH));
+    decipher.setAuthTag(buffer.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([ decipher.update(buffer.slice(IV_LENGTH + TAG_LENGTH)), decipher.final() ]);
+  }).catch(error => {
+    if (error instanceof EncryptionError) throw error;
+    throw new EncryptionError("Wrong password", error);
+  });
+}
+
+// scrypt on the thread pool, so a slow one doesn't stall everything else: a promise for the key.
+function deriveKey(recipient, password) {
+  return Promise.try(() => {
+    const [ , n, r, p, salt ] = recipient.split(":");
+    const [ logN, R, P ] = [ n, r, p ].map(x => parseInt(x, 10));
+    const inRange = (x, max) => Number.isInteger(x) && x >= 1 && x <= max;
+    if (!inRange(logN, SCRYPT_MAX_N) || !inRange(R, SCRYPT_MAX_R) || !inRange(P, SCRYPT_MAX_P)) {
+      throw new EncryptionError(`Unsupported password parameters: ${[ n, r, p ].join(":")}`);
+    }
+    const options = { N: Math.pow(2, logN), r: R, p: P, maxmem: SCRYPT_MAX_MEMORY };
+    return Promise.promisify(crypto.scrypt)(password, Buffer.from(salt, "base64"), 32, options);
+  });
+}
@@ -0,0 +1,107 @@
+"use strict";
+
+import crypto from "crypto";
+import fs from "fs";
+import Promise from "bluebird";
+import { EncryptionError, FileError } from "./errors";
+
+// public-key encryption of archive keys, without keybase: RSA or X25519 keys
+// in PEM files, using node's crypto.
+
+export const KEY_SCHEME = "key";
+
+const KEY_TYPES = [ "rsa", "x25519" ];
+const X25519_SPKI_LENGTH = 44;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HKDF_INFO = Buffer.from("4bottle archive key");
+const RSA_OPTIONS = { padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: "sha256" };
+
+/*
+ * Read a public key from a PEM file. The archive header names it by
+ * fingerprint (`key:<hex>`), since the filename means nothing on another
+ * machine.
+ */
+export function readPublicKey(filename) {
+  const key = parseKey(filename, pem => crypto.createPublicKey(pem));
+  return { recipient: recipientForKey(key), key };
+}
+
+/*
+ * Read a private key (an "identity") from a PEM file, to decrypt archives
+ * that were encrypted for its public key.
+ */
+export function readIdentity(filename) {
+  const key = parseKey(filename, pem => crypto.createPrivateKey(pem));
+  const publicKey = crypto.createPublicKey(key);
+  return { recipient: recipientForKey(publicKey), key, publicKey, filename };
+}
+
+export function recipientForKey(publicKey) {
+  const der = publicKey.export({ format: "der", type: "spki" });
+  const fingerprint = crypto.createHash("sha256").update(der).digest().slice(0, 16).toString("hex");
+  return `${KEY_SCHEME}:${fingerprint}`;
+}
+
+// encrypt an archive key for a public key, returning a promise for the buffer to store.
+export function encryptForKey(publicKey, buffer) {
+  return Promise.try(() => {
+    if (publicKey.asymmetricKeyType == "rsa") {
+      return crypto.publicEncrypt(Object.assign({ key: publicKey }, RSA_OPTIONS), buffer);
+    }
+
+    // x25519 can only agree on a secret, so make a one-time key pair, and use the secret to encrypt with AES-GCM.
+    const ephemeral = crypto.generateKeyPairSync("x25519");
+    const ephemeralDer = ephemeral.publicKey.export({ format: "der", type: "spki" });
+    const secret = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey });
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(secret, ephemeralDer), iv);
+    const encrypted = Buffer.concat([ cipher.update(buffer), cipher.final() ]);
+    return Buffer.concat([ ephemeralDer, iv, cipher.getAuthTag(), encrypted ]);
+  });
+}
+
+// decrypt an archive key with an identity from `readIdentity`.
+export function decryptWithKey(identity, buffer) {
+  return Promise.try(() => {
+    if (identity.key.asymmetricKeyType == "rsa") {
+      return crypto.privateDecrypt(Object.assign({ key: identity.key }, RSA_OPTIONS), buffer);
+    }
+
+    let offset = 0;
+    const slice = length => buffer.slice(offset, offset += length);
+    const ephemeralDer = slice(X25519_SPKI_LENGTH);
+    const iv = slice(IV_LENGTH);
+    const tag = slice(TAG_LENGTH);
+    const ephemeralKey = crypto.createPublicKey({ key: ephemeralDer, format: "der", type: "spki" });
+    const secret = crypto.diffieHellman({ privateKey: identity.key, publicKey: ephemeralKey });
+    const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(secret, ephemeralDer), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([ decipher.update(buffer.slice(offset)), decipher.final() ]);
+  }).catch(error => {
+    throw new EncryptionError(`Can't decrypt key with ${identity.filename}`, error);
+  });
+}
+
+function deriveKey(secret, salt) {
+  return Buffer.from(crypto.hkdfSync("sha256", secret, salt, HKDF_INFO, 32));
+}
+
+function parseKey(filename, parser) {
+  let pem = null;
+  try {
+    pem = fs.readFileSync(filename);
+  } catch (error) {
+    throw new FileError(`Can't read key file ${filename}`, error, filename);
+  }
+  let key = null;
+  try {
+    key = parser(pem);
+  } catch (error) {
+    throw new EncryptionError(`Can't parse key file ${filename}`, error);
+  }
+  if (KEY_TYPES.indexOf(key.asymmetricKeyType) < 0) {
+    throw new EncryptionError(`Unsupported key type in ${filename}: ${key.asymmetricKeyType} (use RSA or X25519)`);
+  }
+  return key;
+}
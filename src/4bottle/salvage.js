@@ -0,0 +1,772 @@
+"use strict";
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import Promise from "bluebird";
+import toolkit from "stream-toolkit";
+import { ArchiveError, EncryptionError, FileError, SignatureError, UsageError } from "./errors";
+import { EventEmitter } from "events";
+import { checkSafePath, checkSigner, messageForError } from "./helpers";
+import {
+  BOTTLE_END, decodeBottleStart, decodeHeader, decodeLength, INDEX_FOOTER_LENGTH, isIndexFooter, lengthLength, MAGIC,
+  TYPE_FILE, TYPE_HASHED, TYPE_INDEX
+} from "./segments";
+import { findVolumes, volumeBase, volumeFilename, VOLUME_HEADER_LENGTH } from "./volumes";
+import { isAttributesRecord } from "./attributes";
+import { isCompressionRecord } from "./compression";
+import { isDeletionRecord } from "./snapshot";
+import { unpack } from "./unpack";
+import * as lib4bottle from "lib4bottle";
+
+// salvaging a damaged archive: instead of reading it as one stream, walk
+// the framing of each bottle (as in segments.js), so that when something
+// can't be read, the reader can fall back to the nearest stream whose
+// framing is still good, and look through the rest of it for the next
+// bottle that reads cleanly. each file (or per-file compressed bottle)
+// found intact is unpacked on its own, from the ranges of the archive it
+// covers.
+//
+// a range is `[ start, end ]`, by position in the archive: for a set of
+// volumes, the ones that exist, end to end, without their headers.
+
+const SCAN_SIZE = 64 * 1024;
+
+/*
+ * Unpack whatever can still be read from a damaged archive into a folder,
+ * and return a promise for a summary:
+ *   - `filename`, `folder`, `files`, `bytesIn`, `bytesOut`: as in `unpack`
+ *   - `damaged`: `{ filename, reason }` for each file or folder that was
+ *     found, but couldn't be unpacked (completely)
+ *   - `unreadable`: `{ start, end, folder }` for each stretch of the
+ *     archive that had to be skipped: any files stored there are missing,
+ *     and were probably in `folder`
+ *   - `missingVolumes`: volumes of a multi-volume archive that aren't there
+ *   - `hashes`: `{ hash, valid, signedBy }` for each segment read without
+ *     damage; `valid` is null if it couldn't be checked, because it's
+ *     signed
+ *
+ * The archive must be a filename, since it's read more than once. Options
+ * are as for `unpack`, without `selected`, `incremental`, or `test`.
+ */
+export function salvage(source, outputFolder, options = {}) {
+  if (typeof source != "string" || source == "-") {
+    return Promise.reject(new UsageError("Can't salvage an archive from a stream; it has to be a file"));
+  }
+  options = Object.assign({ perms: true, times: true, requiredSigners: [] }, options);
+
+  return Promise.try(() => {
+    const { parts, missingVolumes } = openArchive(source);
+    const archive = new ArchiveData(parts);
+    const salvager = new Salvager(archive, outputFolder, options);
+    return Promise.try(() => {
+      makeFolders(outputFolder, "");
+      return salvager.walkSegments(0);
+    }).then(() => {
+      return {
+        filename: source,
+        folder: outputFolder,
+        files: salvager.files,
+        bytesIn: archive.size,
+        bytesOut: salvager.bytesOut,
+        damaged: salvager.damagedFiles(),
+        unreadable: mergeUnreadable(salvager.unreadable),
+        missingVolumes,
+        hashes: salvager.hashes
+      };
+    }).finally(() => archive.close());
+  });
+}
+
+class Salvager {
+  constructor(archive, outputFolder, options) {
+    this.archive = archive;
+    this.outputFolder = outputFolder;
+    this.options = options;
+    this.events = options.events || new EventEmitter();
+    this.files = 0;
+    this.bytesOut = 0;
+    this.damaged = [];
+    this.unreadable = [];
+    this.hashes = [];
+    // where each file unpacked so far starts, since a stretch of the archive may be searched more than once.
+    this.unpacked = {};
+    this.written = {};
+    this.segment = 0;
+    this.damageCount = 0;
+    // the end of the last file unpacked, and the last folder entered: where to pick up if a whole segment is lost.
+    this.lastGood = 0;
+    this.folder = "";
+  }
+
+  // read each top-level bottle in turn, starting at `position`.
+  walkSegments(position) {
+    if (position >= this.archive.size) return Promise.resolve();
+    // an index footer isn't a bottle (and the index is rebuilt by packing again, not salvaged).
+    if (isIndexFooter(this.archive.read([ [ position, position + 4 ] ]))) {
+      return this.walkSegments(position + INDEX_FOOTER_LENGTH);
+    }
+    const source = new RangeSource(this.archive, [ [ position, this.archive.size ] ]);
+    source.isArchive = true;
+    const ranges = source.record();
+    this.folder = "";
+    return Promise.try(() => this.walkBottle(source, "", ranges, true)).then(() => {
+      source.stopRecording(ranges);
+      this.segment += 1;
+      return this.walkSegments(source.position());
+    }, error => {
+      if (!isDamageIn(error, source)) throw error;
+      // the framing of the segment itself is damaged: look for bottles anywhere after what was read.
+      this.damageCount += 1;
+      const view = new RangeView(this.archive, [ [ Math.max(position + 1, this.lastGood), this.archive.size ] ]);
+      return this.scan(view, 0, this.folder, true, error.position);
+    });
+  }
+
+  // read a bottle from `source`, unpacking what's in it into `folder` (a path in the archive, like "docs/").
+  walkBottle(source, folder, ranges, isSegment = false) {
+    const { type, header } = readBottleHeader(source);
+    if (isSegment && this.segment == 0) checkSigner(type == TYPE_HASHED ? header : null, this.options.requiredSigners);
+    if (type == TYPE_HASHED) return this.walkHashed(source, folder, header);
+    if (isSegment && type == TYPE_INDEX) return checkStreams(source, type, header);
+    if (type == TYPE_FILE && header.folder) return this.walkFolder(source, folder + header.filename + "/");
+    if (type == TYPE_FILE) source.filename = folder + header.filename;
+    // anything else (a file, or a compressed or encrypted bottle) is unpacked whole, if its framing is intact.
+    checkStreams(source, type, header);
+    return this.unpackBottle(ranges, folder, type == TYPE_FILE ? header : null);
+  }
+
+  walkFolder(source, folder) {
+    if (!this.isSafeFolder(folder)) {
+      // don't follow it anywhere, or unpack anything in it.
+      for (let stream = nextStream(source); stream != null; stream = nextStream(source)) stream.finish();
+      return Promise.resolve();
+    }
+    source.folder = folder;
+    this.folder = folder;
+    makeFolders(this.outputFolder, folder);
+    return this.walkStreams(source, folder);
+  }
+
+  // a folder's name comes from a damaged archive, so it could lead anywhere: report it as damaged if it's unsafe.
+  isSafeFolder(folder) {
+    try {
+      checkSafePath(this.outputFolder, folder, true);
+      return true;
+    } catch (error) {
+      if (!(error instanceof ArchiveError)) throw error;
+      this.damaged.push({ filename: folder, reason: messageForError(error) });
+      return false;
+    }
+  }
+
+  // a hash bottle holds one bottle, then a stream with its hash (or a signature).
+  walkHashed(source, folder, header) {
+    const damageCount = this.damageCount;
+    return this.walkChild(source, folder).then(contents => {
+      // if it was damaged badly enough, there's nothing left of it to read.
+      if (!contents) return;
+      const hashStream = nextStream(source);
+      if (hashStream == null) throw damage(source, "Missing hash");
+      const rest = hashStream.rest();
+      if (rest.error) throw rest.error;
+      const digest = this.archive.read(rest.ranges);
+      if (nextStream(source) != null) throw damage(source, "Extra data in hash bottle");
+      if (this.damageCount > damageCount) return;
+
+      const hash = { hash: header.hashName, valid: null, signedBy: header.signedBy || null };
+      this.hashes.push(hash);
+      if (header.signedBy || header.hashType != lib4bottle.HASH_SHA512) return;
+      return hashRanges(this.archive, contents).then(actual => {
+        hash.valid = actual.equals(digest);
+      });
+    });
+  }
+
+  // read the bottles in each stream of `source`, until the end of the bottle (or of `source`).
+  walkStreams(source, folder) {
+    if (source.atEnd()) return Promise.resolve();
+    return this.walkChild(source, folder).then(contents => contents ? this.walkStreams(source, folder) : null);
+  }
+
+  /*
+   * Read the next stream of a bottle from `source`, and unpack the bottle
+   * in it into `folder`. Resolves to the ranges of the stream's contents,
+   * or null at the end of the bottle (or if the rest of `source` had to be
+   * searched). Damage inside the stream is worked around here; damage to
+   * `source` itself is left for whoever is reading that.
+   */
+  walkChild(source, folder) {
+    const mark = source.record();
+    return Promise.try(() => {
+      const stream = nextStream(source);
+      if (stream == null) return null;
+      const ranges = stream.record();
+      return Promise.try(() => this.walkBottle(stream, folder, ranges)).then(() => {
+        stream.end();
+      }).catch(error => {
+        if (!isDamageIn(error, stream)) throw error;
+        return this.recoverIn(stream, ranges, folder, error);
+      }).then(() => ranges);
+    }).finally(() => source.stopRecording(mark)).catch(error => {
+      if (!isDamageIn(error, source) || error.source === source) throw error;
+      return this.recoverAt(source, mark, folder, error).then(() => null);
+    });
+  }
+
+  // the bottle in `stream` is damaged, but maybe not the stream: look through the rest of it for anything intact.
+  recoverIn(stream, ranges, folder, error) {
+    this.damageCount += 1;
+    const filename = stream.filename || stream.folder;
+    if (filename) this.damaged.push({ filename, reason: messageForError(error) });
+    const rest = stream.rest();
+    const view = new RangeView(this.archive, ranges.concat(rest.ranges));
+    // skip the damaged bottle's own start.
+    return this.scan(view, 1, stream.folder || folder, false, error.position).then(() => {
+      if (rest.error) throw rest.error;
+    });
+  }
+
+  // the framing of a stream in `source` is damaged: look through the rest of `source` for the next bottle.
+  recoverAt(source, mark, folder, error) {
+    this.damageCount += 1;
+    const rest = source.rest();
+    const view = new RangeView(this.archive, mark.concat(rest.ranges));
+    const offset = view.indexOf(MAGIC, 0) + 1;
+    return this.scan(view, offset, folder, source.isArchive, error.position).then(() => {
+      if (rest.error) throw rest.error;
+    });
+  }
+
+  /*
+   * Look through `view` from `offset` for the next bottle that reads
+   * cleanly, and carry on reading from there. Anything skipped over is
+   * unreadable, from where the damage was found (`damagedAt`) on. If
+   * `isTop`, the view is the archive itself, so a bottle may be a whole
+   * segment, but a file found inside one can't be assumed to have other
+   * files after it.
+   */
+  scan(view, offset, folder, isTop, damagedAt = 0) {
+    for (let p = view.indexOf(MAGIC, offset); p >= 0; p = view.indexOf(MAGIC, p + 1)) {
+      const isSegmentStart = p == 0 || view.read(p - 1, 1)[0] == BOTTLE_END;
+      if (isTop && isSegmentStart && isBottleAt(this.archive, view.rangesFrom(p))) {
+        this.skipped(view, offset, p, folder, damagedAt);
+        return this.walkSegments(view.positionAt(p));
+      }
+      const start = streamStartAt(this.archive, view, p, isTop);
+      if (start == null) continue;
+
+      this.skipped(view, offset, start, folder, damagedAt);
+      const source = new RangeSource(this.archive, view.rangesFrom(start));
+      const resumed = isTop ? this.walkChild(source, folder) : this.walkStreams(source, folder);
+      return resumed.then(() => {
+        return this.scan(view, view.length - source.length(), folder, isTop);
+      }, error => {
+        if (!(error instanceof ArchiveError)) throw error;
+        return this.scan(view, Math.max(p + 1, view.length - source.length()), folder, isTop, error.position);
+      });
+    }
+    this.skipped(view, offset, view.length, folder, damagedAt);
+    return Promise.resolve();
+  }
+
+  skipped(view, from, to, folder, damagedAt) {
+    if (to <= from) return;
+    const start = Math.max(view.positionAt(from), damagedAt);
+    const end = view.positionAt(to - 1) + 1;
+    if (start < end) this.unreadable.push({ start, end, folder });
+  }
+
+  // each file or folder reported damaged, once, unless it turned up intact somewhere else.
+  damagedFiles() {
+    const seen = {};
+    return this.damaged.filter(({ filename }) => {
+      if (seen[filename] || this.written[filename]) return false;
+      seen[filename] = true;
+      return true;
+    });
+  }
+
+  // unpack a file (or a compressed or encrypted bottle) on its own, from the ranges of the archive it covers.
+  unpackBottle(ranges, folder, header) {
+    const start = ranges[0][0];
+    if (this.unpacked[start]) return Promise.resolve();
+    this.unpacked[start] = true;
+    const isTopFolder = folder.split("/").length == 2;
+    const isRecord = header != null &&
+      (isDeletionRecord(header) || isCompressionRecord(header) || isAttributesRecord(header));
+    if (isTopFolder && isRecord) return Promise.resolve();
+
+    let filename = header ? folder + header.filename : null;
+    const events = new EventEmitter();
+    events.on("filename", (name, fileHeader) => {
+      filename = folder + name;
+      this.events.emit("filename", filename, fileHeader);
+    });
+    events.on("status", (name, byteCount) => this.events.emit("status", folder + name, byteCount));
+    events.on("finish", (name, fileHeader) => this.events.emit("finish", folder + name, fileHeader));
+
+    const options = Object.assign({}, this.options, {
+      events,
+      selected: [],
+      requiredSigners: [],
+      incremental: false,
+      test: false,
+      force: this.options.force || this.segment > 0,
+      // hard links and duplicates point to a first copy unpacked earlier, by its path in the archive.
+      findLinkTarget: target => this.written[target] ? path.join(this.outputFolder, target) : null
+    });
+    if (!this.isSafeFolder(folder)) return Promise.resolve();
+    makeFolders(this.outputFolder, folder);
+    return unpack(this.archive.stream(ranges), path.join(this.outputFolder, folder), options).then(summary => {
+      this.files += summary.files;
+      this.bytesOut += summary.bytesOut;
+      if (filename) this.written[filename] = true;
+    }, error => {
+      if (!isDamage(error)) throw error;
+      this.damaged.push({ filename: filename || `${folder}? (at byte ${start})`, reason: messageForError(error) });
+    }).then(() => {
+      this.lastGood = Math.max(this.lastGood, ranges[ranges.length - 1][1]);
+      this.events.emit("read", this.lastGood);
+    });
+  }
+}
+
+/*
+ * The bytes of an archive file, or of a set of volumes end to end, read by
+ * position. Each part is `{ filename, fd, start, length }`: where its bytes
+ * start in the file, and how many there are.
+ */
+class ArchiveData {
+  constructor(parts) {
+    this.parts = parts;
+    this.size = 0;
+    parts.forEach(part => {
+      part.position = this.size;
+      this.size += part.length;
+    });
+  }
+
+  // the pieces of files that a list of ranges covers, as `{ part, start, end }` within each file.
+  pieces(ranges) {
+    const pieces = [];
+    ranges.forEach(([ start, end ]) => {
+      this.parts.forEach(part => {
+        const from = Math.max(start, part.position) - part.position;
+        const to = Math.min(end, part.position + part.length) - part.position;
+        if (from < to) pieces.push({ part, start: part.start + from, end: part.start + to });
+      });
+    });
+    return pieces;
+  }
+
+  read(ranges) {
+    return Buffer.concat(this.pieces(ranges).map(({ part, start, end }) => {
+      const buffer = Buffer.alloc(end - start);
+      fs.readSync(part.fd, buffer, 0, buffer.length, start);
+      return buffer;
+    }));
+  }
+
+  stream(ranges) {
+    const pieces = this.pieces(ranges);
+    return toolkit.compoundStream(() => {
+      if (pieces.length == 0) return null;
+      const { part, start, end } = pieces.shift();
+      return fs.createReadStream(part.filename, { start, end: end - 1 });
+    });
+  }
+
+  close() {
+    this.parts.forEach(part => fs.closeSync(part.fd));
+  }
+}
+
+// a list of ranges of the archive, read by offset as if they were one run of bytes.
+class RangeView {
+  constructor(archive, ranges) {
+    this.archive = archive;
+    this.ranges = [];
+    ranges.forEach(range => addRange(this.ranges, range));
+    this.length = this.ranges.reduce((total, [ start, end ]) => total + end - start, 0);
+  }
+
+  rangesFrom(offset, length = this.length - offset) {
+    const ranges = [];
+    for (let i = 0; i < this.ranges.length && length > 0; i++) {
+      const [ start, end ] = this.ranges[i];
+      if (offset >= end - start) {
+        offset -= end - start;
+        continue;
+      }
+      const n = Math.min(end - start - offset, length);
+      ranges.push([ start + offset, start + offset + n ]);
+      length -= n;
+      offset = 0;
+    }
+    return ranges;
+  }
+
+  read(offset, length) {
+    return this.archive.read(this.rangesFrom(offset, length));
+  }
+
+  positionAt(offset) {
+    return this.rangesFrom(offset, 1)[0][0];
+  }
+
+  indexOf(buffer, offset) {
+    for (let o = offset; o < this.length; o += SCAN_SIZE) {
+      const i = this.read(o, Math.min(SCAN_SIZE + buffer.length - 1, this.length - o)).indexOf(buffer);
+      if (i >= 0) return o + i;
+    }
+    return -1;
+  }
+}
+
+/*
+ * Somewhere to read a bottle from: a stretch of the archive, or the
+ * contents of a stream inside a bottle. `take(n, wantData)` reads the next
+ * n bytes, and returns `{ data, ranges }`: the bytes (if wanted), and the
+ * ranges of the archive they came from. Anything taken is also added to
+ * each list returned by `record()`, until `stopRecording()`. Damage is
+ * thrown as an ArchiveError whose `source` is the one at fault.
+ */
+class Source {
+  constructor(archive, parent) {
+    this.archive = archive;
+    this.parent = parent;
+    this.recorders = [];
+    // how far into the archive this has read, for pointing out where damage starts.
+    this.reached = parent ? parent.reached : 0;
+  }
+
+  record() {
+    const ranges = [];
+    this.recorders.push(ranges);
+    return ranges;
+  }
+
+  stopRecording(ranges) {
+    this.recorders = this.recorders.filter(recorder => recorder !== ranges);
+  }
+
+  _taken(ranges, wantData) {
+    if (ranges.length > 0) this.reached = ranges[ranges.length - 1][1];
+    this.recorders.forEach(recorder => ranges.forEach(range => addRange(recorder, range)));
+    return { data: wantData ? this.archive.read(ranges) : null, ranges };
+  }
+}
+
+class RangeSource extends Source {
+  constructor(archive, ranges) {
+    super(archive, null);
+    this.ranges = ranges.map(range => range.slice());
+    if (ranges.length > 0) this.reached = ranges[0][0];
+  }
+
+  atEnd() {
+    return this.ranges.length == 0;
+  }
+
+  length() {
+    return this.ranges.reduce((total, [ start, end ]) => total + end - start, 0);
+  }
+
+  position() {
+    return this.ranges.length > 0 ? this.ranges[0][0] : this.archive.size;
+  }
+
+  take(n, wantData = false) {
+    const taken = [];
+    while (n > 0) {
+      if (this.ranges.length == 0) {
+        this._taken(taken, false);
+        throw damage(this, "Truncated bottle", true);
+      }
+      const range = this.ranges[0];
+      const count = Math.min(n, range[1] - range[0]);
+      addRange(taken, [ range[0], range[0] + count ]);
+      range[0] += count;
+      n -= count;
+      if (range[0] == range[1]) this.ranges.shift();
+    }
+    return this._taken(taken, wantData);
+  }
+
+  // whatever's left, as `{ ranges, error }`, like a stream's.
+  rest() {
+    const ranges = this.ranges;
+    this.ranges = [];
+    return { ranges, error: null };
+  }
+}
+
+// the contents of one stream in a bottle: frames of data, read from `parent`, up to a zero-length frame.
+class StreamSource extends Source {
+  constructor(parent, firstByte) {
+    super(parent.archive, parent);
+    this.remaining = 0;
+    this.ended = false;
+    this._startFrame(firstByte);
+  }
+
+  atEnd() {
+    return this.ended;
+  }
+
+  take(n, wantData = false) {
+    const taken = [];
+    try {
+      while (n > 0) {
+        if (this.remaining == 0 && !this.ended) this._startFrame(this._fromParent(1, true).data[0]);
+        if (this.ended) throw damage(this, "Truncated bottle", true);
+        const count = Math.min(n, this.remaining);
+        this._fromParent(count, false).ranges.forEach(range => addRange(taken, range));
+        this.remaining -= count;
+        n -= count;
+      }
+    } catch (error) {
+      // whatever was read before that still counts as read.
+      this._taken(taken, false);
+      throw error;
+    }
+    return this._taken(taken, wantData);
+  }
+
+  // after the bottle in a stream, nothing else should be left in it.
+  end() {
+    if (this.remaining == 0 && !this.ended) this._startFrame(this._fromParent(1, true).data[0]);
+    if (!this.ended) throw damage(this, "Extra data after the end of a bottle");
+  }
+
+  // skip to the end of the stream.
+  finish() {
+    while (!this.ended) {
+      if (this.remaining > 0) {
+        this.take(this.remaining);
+      } else {
+        this._startFrame(this._fromParent(1, true).data[0]);
+      }
+    }
+  }
+
+  // read the rest of the stream, and return `{ ranges, error }`: the error, if its framing is damaged.
+  rest() {
+    const ranges = [];
+    try {
+      while (!this.ended) {
+        if (this.remaining > 0) {
+          this.take(this.remaining).ranges.forEach(range => addRange(ranges, range));
+        } else {
+          this._startFrame(this._fromParent(1, true).data[0]);
+        }
+      }
+      return { ranges, error: null };
+    } catch (error) {
+      if (!(error instanceof ArchiveError)) throw error;
+      return { ranges, error };
+    }
+  }
+
+  _startFrame(byte) {
+    if (byte == 0) {
+      this.ended = true;
+      return;
+    }
+    if (byte == BOTTLE_END) throw damage(this, "Bottle ended in the middle of a stream");
+    const needed = lengthLength(byte) - 1;
+    const rest = needed > 0 ? this._fromParent(needed, true).data : Buffer.alloc(0);
+    this.remaining = decodeLength(Buffer.concat([ Buffer.from([ byte ]), rest ]));
+  }
+
+  // running off the end of the parent means this stream's framing is wrong.
+  _fromParent(n, wantData) {
+    try {
+      const taken = this.parent.take(n, wantData);
+      this.reached = this.parent.reached;
+      return taken;
+    } catch (error) {
+      if (error.isEnd && error.source === this.parent) {
+        error.source = this;
+        error.isEnd = false;
+      }
+      throw error;
+    }
+  }
+}
+
+function damage(source, message, isEnd = false) {
+  const error = new ArchiveError(message);
+  error.source = source;
+  error.position = source.reached;
+  error.isEnd = isEnd;
+  return error;
+}
+
+// is this error damage to `source`, or to a stream read from it?
+function isDamageIn(error, source) {
+  if (!(error instanceof ArchiveError)) return false;
+  for (let s = error.source; s != null; s = s.parent) {
+    if (s === source) return true;
+  }
+  return false;
+}
+
+// did unpacking fail because of the archive, rather than the disk, a key, or a password?
+function isDamage(error) {
+  if (error instanceof EncryptionError || error instanceof SignatureError || error instanceof UsageError) {
+    return false;
+  }
+  for (let e = error; e != null; e = e.cause) {
+    if (e.syscall) return false;
+  }
+  return true;
+}
+
+// add a range to a list, joining it to the last one if they touch.
+function addRange(ranges, [ start, end ]) {
+  const last = ranges[ranges.length - 1];
+  if (last && last[1] == start) {
+    last[1] = end;
+  } else {
+    ranges.push([ start, end ]);
+  }
+}
+
+// the next stream in a bottle, or null at the end of the bottle.
+function nextStream(source) {
+  const byte = source.take(1, true).data[0];
+  return byte == BOTTLE_END ? null : new StreamSource(source, byte);
+}
+
+function readBottleHeader(source) {
+  try {
+    const { type, headerLength } = decodeBottleStart(source.take(8, true).data);
+    const fields = decodeHeader(source.take(headerLength, true).data);
+    if (type == TYPE_FILE) return { type, header: lib4bottle.decodeFileHeader(fields) };
+    if (type == TYPE_HASHED) return { type, header: lib4bottle.decodeHashHeader(fields) };
+    return { type, header: {} };
+  } catch (error) {
+    if (error instanceof ArchiveError && !error.source) {
+      error.source = source;
+      error.position = source.reached;
+    }
+    throw error;
+  }
+}
+
+// read through the streams of a bottle without unpacking anything, to make sure its framing is intact.
+function checkStreams(source, type, header) {
+  for (let i = 0, stream = nextStream(source); stream != null; i++, stream = nextStream(source)) {
+    if ((type == TYPE_FILE && header.folder) || (type == TYPE_HASHED && i == 0)) {
+      const inner = readBottleHeader(stream);
+      checkStreams(stream, inner.type, inner.header);
+      stream.end();
+    } else {
+      stream.finish();
+    }
+  }
+}
+
+// is there a whole bottle, intact, at the start of these ranges?
+function isBottleAt(archive, ranges) {
+  try {
+    const source = new RangeSource(archive, ranges);
+    const { type, header } = readBottleHeader(source);
+    checkStreams(source, type, header);
+    return true;
+  } catch (error) {
+    if (!(error instanceof ArchiveError)) throw error;
+    return false;
+  }
+}
+
+/*
+ * If the bottle at offset `p` of a view is at the start of a stream (right
+ * after the length of its first frame), return the offset where the
+ * stream starts. A folder is taken on faith from its header (anything
+ * damaged inside it can be worked around later), unless `isWhole`, in
+ * which case it has to be intact, like anything else.
+ */
+function streamStartAt(archive, view, p, isWhole) {
+  for (let k = 1; k <= 4 && k <= p; k++) {
+    const prefix = view.read(p - k, k);
+    if (lengthLength(prefix[0]) != k || decodeLength(prefix) < 8) continue;
+    try {
+      const stream = nextStream(new RangeSource(archive, view.rangesFrom(p - k)));
+      const { type, header } = readBottleHeader(stream);
+      if (!isWhole && (type == TYPE_HASHED || (type == TYPE_FILE && header.folder))) return p - k;
+      checkStreams(stream, type, header);
+      stream.end();
+      return p - k;
+    } catch (error) {
+      if (!(error instanceof ArchiveError)) throw error;
+    }
+  }
+  return null;
+}
+
+function hashRanges(archive, ranges) {
+  const hash = crypto.createHash("sha512");
+  const inStream = archive.stream(ranges);
+  inStream.on("data", data => hash.update(data));
+  return new Promise((resolve, reject) => {
+    inStream.on("error", reject);
+    inStream.on("end", () => resolve(hash.digest()));
+  });
+}
+
+// open an archive file, or whichever volumes of a set are there.
+function openArchive(source) {
+  const base = volumeBase(source) || (fs.existsSync(source) ? null : source);
+  const files = base ? findVolumes(base) : [ { filename: source, index: 1, isLast: true } ];
+  if (files.length == 0) throw new FileError(`Can't read ${source}`, null, source);
+
+  const missingVolumes = [];
+  const last = files[files.length - 1];
+  for (let i = 1; i < last.index; i++) {
+    if (!files.some(file => file.index == i)) missingVolumes.push(volumeFilename(base, i));
+  }
+  if (!last.isLast) missingVolumes.push(`${volumeFilename(base, last.index + 1)} (and any after it)`);
+
+  const parts = files.map(({ filename }) => {
+    let fd = null;
+    try {
+      fd = fs.openSync(filename, "r");
+    } catch (error) {
+      throw new FileError(`Can't read ${filename}`, error, filename);
+    }
+    const start = base ? VOLUME_HEADER_LENGTH : 0;
+    return { filename, fd, start, length: Math.max(0, fs.fstatSync(fd).size - start) };
+  });
+  return { parts, missingVolumes };
+}
+
+// create a folder (a path in the archive, like "docs/old/") inside the output folder, and any above it.
+function makeFolders(outputFolder, folder) {
+  const names = folder.split("/").filter(name => name.length > 0);
+  for (let i = 0; i <= names.length; i++) {
+    const filename = path.join.apply(path, [ outputFolder ].concat(names.slice(0, i)));
+    if (fs.existsSync(filename)) continue;
+    try {
+      fs.mkdirSync(filename);
+    } catch (error) {
+      throw new FileError(`Can't create folder ${filename}`, error, filename);
+    }
+  }
+}
+
+// the same stretch may be skipped while searching at more than one level, so join any that overlap.
+function mergeUnreadable(unreadable) {
+  const merged = [];
+  unreadable.slice().sort((a, b) => a.start - b.start).forEach(region => {
+    const last = merged[merged.length - 1];
+    if (last && region.start <= last.end) {
+      last.end = Math.max(last.end, region.end);
+    } else {
+      merged.push(Object.assign({}, region));
+    }
+  });
+  return merged;
+}
@@ -0,0 +1,291 @@
+"use strict";
+
+import fs from "fs";
+import Promise from "bluebird";
+import stream from "stream";
+import toolkit from "stream-toolkit";
+import { ArchiveError } from "./errors";
+
+// an archive is usually a single bottle, but appending to it (with
+// "4pack --append") adds more top-level bottles after the first. the
+// readers treat these "segments" as one tree, where later entries replace
+// earlier ones.
+//
+// to find where each segment ends, this walks the framing of the top-level
+// bottle without decoding any of its contents:
+//   - magic (4 bytes), version, flags, type (high 4 bits) and header length
+//     (12 bits), then the header
+//   - data streams, each a series of frames with a length prefix, and a
+//     zero length at the end
+//   - 0xff at the end of the bottle
+//
+// an archive may also end with an index (see archive_index.js): a bottle of
+// its own type, then a fixed-size footer. readers that go from the start
+// skip both.
+//
+// a top-level bottle that has extended headers (see extended_header.js) or
+// records, or that's been appended to, has archive format version 1 in its
+// version byte. lib4bottle can't read those, so an older 4bottle refuses
+// them instead of unpacking the metadata as file contents. anything else is
+// left at version 0, for any reader.
+// lib4bottle itself only knows version 0 (and no flags), so the version is
+// set back to 0 before a segment is handed to it.
+//
+// appending to an archive sets a flag on the first segment, so a reader
+// knows, before it starts, that later segments may replace its entries.
+
+export const MAGIC = Buffer.from([ 0xf0, 0x9f, 0x8d, 0xbc ]);
+export const TYPE_FILE = 0;
+export const TYPE_HASHED = 1;
+export const TYPE_ENCRYPTED = 3;
+export const TYPE_COMPRESSED = 4;
+export const TYPE_INDEX = 8;
+
+export const BOTTLE_END = 0xff;
+export const FORMAT_VERSION = 1;
+export const FLAG_APPENDED = 1;
+
+export const INDEX_FOOTER_MAGIC = Buffer.from("4bix");
+export const INDEX_FOOTER_LENGTH = 16;
+
+const FIELD_STRING = 0;
+const FIELD_NUMBER = 2;
+const CHUNK_SIZE = 64 * 1024;
+const PEEK_SIZE = 16 * 1024;
+
+const openPromise = Promise.promisify(fs.open);
+const readPromise = Promise.promisify(fs.read);
+const closePromise = Promise.promisify(fs.close);
+
+/*
+ * Decode the fixed 8-byte start of a bottle into `{ type, headerLength,
+ * appended }`, or throw an error if it isn't one.
+ */
+export function decodeBottleStart(buffer) {
+  if (buffer.length < 8) throw new ArchiveError("Truncated bottle header");
+  for (let i = 0; i < 4; i++) {
+    if (buffer[i] != MAGIC[i]) throw new ArchiveError("Incorrect magic (not a 4bottle archive)");
+  }
+  if (buffer[4] > FORMAT_VERSION) {
+    throw new ArchiveError(`Incompatible version: ${buffer[4].toString(16)} (a newer 4bottle may read it)`);
+  }
+  if ((buffer[5] & ~FLAG_APPENDED) != 0) throw new ArchiveError(`Incompatible flags: ${buffer[5].toString(16)}`);
+  return {
+    type: (buffer[6] >> 4) & 0xf,
+    headerLength: (buffer[6] & 0xf) * 256 + buffer[7],
+    appended: (buffer[5] & FLAG_APPENDED) != 0
+  };
+}
+
+export function isIndexFooter(buffer) {
+  return buffer.length >= INDEX_FOOTER_MAGIC.length && buffer.slice(0, 4).equals(INDEX_FOOTER_MAGIC);
+}
+
+/*
+ * Decode the fields of a bottle header into the form lib4bottle's decoders
+ * (like `decodeFileHeader`) take: `{ fields: [ { type, id, ... } ] }`.
+ * Each field has a 16-bit prefix: TTDDDDLL LLLLLLLL (type, id, length).
+ */
+export function decodeHeader(buffer) {
+  const fields = [];
+  let i = 0;
+  while (i < buffer.length) {
+    if (i + 2 > buffer.length) throw new ArchiveError("Truncated header");
+    const type = (buffer[i] & 0xc0) >> 6;
+    const id = (buffer[i] & 0x3c) >> 2;
+    const length = (buffer[i] & 0x3) * 256 + buffer[i + 1];
+    i += 2;
+    if (i + length > buffer.length) throw new ArchiveError("Truncated header");
+    const content = buffer.slice(i, i + length);
+    const field = { type, id };
+    if (type == FIELD_NUMBER) {
+      field.number = 0;
+      for (let j = content.length - 1; j >= 0; j--) field.number = field.number * 256 + content[j];
+    } else if (type == FIELD_STRING) {
+      field.string = content.toString("utf8");
+      field.list = field.string.split("\x00");
+    }
+    fields.push(field);
+    i += length;
+  }
+  return { fields };
+}
+
+// how many bytes are in a frame length, given its first byte.
+export function lengthLength(byte) {
+  if ((byte & 0xf0) == 0xf0 || (byte & 0x80) == 0) return 1;
+  if ((byte & 0xc0) == 0x80) return 2;
+  if ((byte & 0xe0) == 0xc0) return 3;
+  return 4;
+}
+
+// decode a frame length: 0 for the end of a stream, or -1 for the end of the bottle.
+export function decodeLength(buffer) {
+  if (buffer[0] == BOTTLE_END) return -1;
+  if ((buffer[0] & 0x80) == 0) return buffer[0];
+  if ((buffer[0] & 0xf0) == 0xf0) return Math.pow(2, 7 + (buffer[0] & 0xf));
+  if ((buffer[0] & 0xc0) == 0x80) return (buffer[0] & 0x3f) + (buffer[1] << 6);
+  if ((buffer[0] & 0xe0) == 0xc0) return (buffer[0] & 0x1f) + (buffer[1] << 5) + (buffer[2] << 13);
+  return (buffer[0] & 0xf) + (buffer[1] << 4) + (buffer[2] << 12) + (buffer[3] << 20);
+}
+
+// encode a frame length (1 to 2^28 - 1), as lib4bottle does.
+export function encodeLength(n) {
+  if (n < 128) return Buffer.from([ n ]);
+  if (n < Math.pow(2, 14)) return Buffer.from([ 0x80 | (n & 0x3f), n >> 6 ]);
+  if (n < Math.pow(2, 21)) return Buffer.from([ 0xc0 | (n & 0x1f), (n >> 5) & 0xff, n >> 13 ]);
+  return Buffer.from([ 0xe0 | (n & 0xf), (n >> 4) & 0xff, (n >> 12) & 0xff, n >> 20 ]);
+}
+
+/*
+ * Read each top-level bottle in a stream, and pass it on to
+ * `handler(bottleStream, index, start)`, which should return a promise
+ * that's fulfilled when it's done with that bottle. `start` is its decoded
+ * start, from `decodeBottleStart`. Bottles are handled one at a time, in
+ * order.
+ */
+export function scanSegments(inStream, handler) {
+  toolkit.promisify(inStream);
+
+  const next = index => {
+    return inStream.readPromise(8).then(start => {
+      if (start == null || start.length == 0) {
+        if (index == 0) throw new ArchiveError("Empty archive");
+        return;
+      }
+      if (isIndexFooter(start)) {
+        return inStream.readPromise(INDEX_FOOTER_LENGTH - start.length).then(() => next(index));
+      }
+      const decoded = decodeBottleStart(start);
+      const { type, headerLength } = decoded;
+      const outStream = toolkit.promisify(new stream.PassThrough());
+      // an index is only for seeking.
+      const isIndex = type == TYPE_INDEX;
+      const handled = isIndex ? drain(outStream) : handler(outStream, index, decoded);
+      // lib4bottle only reads version 0, with no flags.
+      const unversioned = Buffer.concat([ start.slice(0, 4), Buffer.from([ 0, 0 ]), start.slice(6) ]);
+      const copied = writeTo(outStream, unversioned).then(() => {
+        return copyBytes(inStream, outStream, headerLength);
+      }).then(() => copyFrames(inStream, outStream)).then(() => {
+        outStream.end();
+      });
+      return Promise.all([ copied, handled ]).then(() => next(isIndex ? index : index + 1));
+    });
+  };
+
+  return next(0);
+}
+
+/*
+ * Return a stream that marks the top-level bottle written through it with
+ * the archive format version. This is for a stream, which can't be marked
+ * afterward, once it's known whether it needs it (see `stampVersion`).
+ */
+export function versionStampStream() {
+  let offset = 0;
+  const transform = new stream.Transform();
+  transform._transform = (data, _, callback) => {
+    if (offset <= 4 && offset + data.length > 4) {
+      data = Buffer.from(data);
+      data[4 - offset] = FORMAT_VERSION;
+    }
+    offset += data.length;
+    callback(null, data);
+  };
+  return transform;
+}
+
+// mark the top-level bottle at `offset` in an archive file with the archive format version, once it's written.
+export function stampVersion(filename, offset = 0) {
+  const fd = fs.openSync(filename, "r+");
+  try {
+    const buffer = Buffer.alloc(8);
+    const n = fs.readSync(fd, buffer, 0, 8, offset);
+    decodeBottleStart(buffer.slice(0, n));
+    fs.writeSync(fd, Buffer.from([ FORMAT_VERSION ]), 0, 1, offset + 4);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// has more been appended to this archive file since it was made?
+export function isAppended(filename) {
+  const fd = fs.openSync(filename, "r");
+  try {
+    const buffer = Buffer.alloc(8);
+    const n = fs.readSync(fd, buffer, 0, 8, 0);
+    return decodeBottleStart(buffer.slice(0, n)).appended;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// flag the first segment of an archive file (and stamp its version), once another has been appended.
+export function markAppended(filename) {
+  const fd = fs.openSync(filename, "r+");
+  try {
+    const buffer = Buffer.alloc(8);
+    const n = fs.readSync(fd, buffer, 0, 8, 0);
+    decodeBottleStart(buffer.slice(0, n));
+    fs.writeSync(fd, Buffer.from([ FORMAT_VERSION, buffer[5] | FLAG_APPENDED ]), 0, 2, 4);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/*
+ * Read the types of the outermost bottle in an archive file, and the one
+ * inside it if it's a hash bottle: for example, `[ TYPE_HASHED,
+ * TYPE_COMPRESSED ]`.
+ */
+export function peekBottleTypes(filename) {
+  return openPromise(filename, "r").then(fd => {
+    const buffer = Buffer.alloc(PEEK_SIZE);
+    return readPromise(fd, buffer, 0, PEEK_SIZE, 0).then(([ n ]) => {
+      const data = buffer.slice(0, n);
+      const outer = decodeBottleStart(data);
+      if (outer.type != TYPE_HASHED) return [ outer.type ];
+      // the inner bottle starts in the first frame of the hash bottle's data.
+      const offset = 8 + outer.headerLength;
+      if (offset >= data.length) throw new ArchiveError("Truncated bottle header");
+      const inner = decodeBottleStart(data.slice(offset + lengthLength(data[offset])));
+      return [ outer.type, inner.type ];
+    }).finally(() => closePromise(fd));
+  });
+}
+
+function copyFrames(inStream, outStream) {
+  return inStream.readPromise(1).then(byte => {
+    if (byte == null || byte.length < 1) throw new ArchiveError("Truncated bottle");
+    return writeTo(outStream, byte).then(() => {
+      if (byte[0] == BOTTLE_END) return;
+      if (byte[0] == 0) return copyFrames(inStream, outStream);
+      const needed = lengthLength(byte[0]) - 1;
+      return (needed > 0 ? inStream.readPromise(needed) : Promise.resolve(Buffer.alloc(0))).then(rest => {
+        if (rest == null || rest.length < needed) throw new ArchiveError("Truncated bottle");
+        return writeTo(outStream, rest).then(() => {
+          return copyBytes(inStream, outStream, decodeLength(Buffer.concat([ byte, rest ])));
+        });
+      }).then(() => copyFrames(inStream, outStream));
+    });
+  });
+}
+
+function copyBytes(inStream, outStream, count) {
+  if (count == 0) return Promise.resolve();
+  return inStream.readPromise(Math.min(count, CHUNK_SIZE)).then(data => {
+    if (data == null || data.length == 0) throw new ArchiveError("Truncated bottle");
+    return writeTo(outStream, data).then(() => copyBytes(inStream, outStream, count - data.length));
+  });
+}
+
+function drain(inStream) {
+  const sink = toolkit.nullSinkStream();
+  inStream.pipe(sink);
+  return sink.finishPromise();
+}
+
+function writeTo(outStream, data) {
+  if (outStream.write(data)) return Promise.resolve();
+  return new Promise(resolve => outStream.once("drain", resolve));
+}
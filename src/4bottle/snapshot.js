@@ -0,0 +1,86 @@
+"use strict";
+
+import fs from "fs";
+import path from "path";
+import Promise from "bluebird";
+import { checkSafePath } from "./helpers";
+import { isRecord } from "./extended_header";
+
+// incremental backups: a snapshot file records the path, size, mtime, and
+// inode of everything in an archive. the next archive made against it only
+// holds what's new or changed, plus a "deletion record": an empty file
+// entry, at the end of the top folder, whose extended header lists the
+// paths that have disappeared since.
+
+export const DELETION_RECORD_FILENAME = ".4bottle-deleted";
+
+const readFilePromise = Promise.promisify(fs.readFile);
+const writeFilePromise = Promise.promisify(fs.writeFile);
+
+/*
+ * Load a snapshot file, or return a promise for null if it doesn't exist
+ * yet (so this will be a full archive).
+ */
+export function loadSnapshot(filename) {
+  return readFilePromise(filename).then(data => {
+    const snapshot = JSON.parse(data.toString("utf8"));
+    if (!snapshot.files) throw new Error(`Not a snapshot file: ${filename}`);
+    return snapshot;
+  }, error => {
+    const code = error.code || (error.cause || {}).code;
+    if (code == "ENOENT") return null;
+    throw error;
+  });
+}
+
+export function saveSnapshot(filename, snapshot) {
+  return writeFilePromise(filename, JSON.stringify(snapshot, null, 2) + "\n");
+}
+
+export function newSnapshot() {
+  return { created: new Date().toISOString(), files: {} };
+}
+
+export function snapshotEntry(stats) {
+  const entry = { size: stats.size, mtime: stats.mtime.getTime(), inode: stats.ino };
+  if (stats.isDirectory()) entry.folder = true;
+  return entry;
+}
+
+// a file is unchanged if it's still the same inode (if known), with the same size and mtime.
+export function isUnchanged(previous, entry) {
+  if (previous == null || entry.folder) return false;
+  if (previous.inode != null && previous.inode != entry.inode) return false;
+  return previous.size == entry.size && previous.mtime == entry.mtime;
+}
+
+// paths in the previous snapshot that aren't in the current one, deepest first.
+export function deletedPaths(previous, current) {
+  return Object.keys(previous.files).filter(filename => current.files[filename] == null).sort().reverse();
+}
+
+export function isDeletionRecord(header) {
+  return isRecord(header, DELETION_RECORD_FILENAME);
+}
+
+/*
+ * Delete each path in a deletion record from an unpacked folder. Folders
+ * are only removed once they're empty. Paths that are already gone are
+ * fine.
+ */
+export function applyDeletions(outputFolder, deleted) {
+  deleted.forEach(filename => {
+    // a symlink itself can be deleted, but nothing through one.
+    checkSafePath(outputFolder, filename);
+    const fullPath = path.join(outputFolder, filename);
+    try {
+      if (fs.lstatSync(fullPath).isDirectory()) {
+        fs.rmdirSync(fullPath);
+      } else {
+        fs.unlinkSync(fullPath);
+      }
+    } catch (error) {
+      if (error.code != "ENOENT" && error.code != "ENOTEMPTY") throw error;
+    }
+  });
+}
@@ -0,0 +1,104 @@
+"use strict";
+
+import fs from "fs";
+import Promise from "bluebird";
+import stream from "stream";
+import toolkit from "stream-toolkit";
+
+// sparse files: only the segments that hold data are archived, along with a
+// map of where they go, so the holes can be recreated with seeks on unpack.
+
+// holes smaller than a filesystem block aren't worth mapping.
+const BLOCK_SIZE = 4096;
+const BUFFER_SIZE = 256 * BLOCK_SIZE;
+
+const writePromise = Promise.promisify(fs.write);
+
+export function isSparse(header) {
+  return header.extended != null && header.extended.sparse != null;
+}
+
+/*
+ * If a file looks sparse (it occupies fewer disk blocks than its size
+ * needs), scan it for runs of zero blocks and return a promise for its
+ * sparse map: `{ size, segments: [ [ offset, length ], ... ] }`. Files that
+ * aren't sparse get null.
+ */
+export function scanSparseFile(filename, stats) {
+  if (stats.blocks == null || stats.blocks * 512 >= stats.size) return Promise.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    const segments = [];
+    let offset = 0;
+    const inStream = fs.createReadStream(filename, { highWaterMark: BUFFER_SIZE });
+    inStream.on("data", data => {
+      for (let i = 0; i < data.length; i += BLOCK_SIZE) {
+        const end = Math.min(i + BLOCK_SIZE, data.length);
+        if (isZero(data, i, end)) continue;
+        const last = segments[segments.length - 1];
+        if (last && last[0] + last[1] == offset + i) {
+          last[1] += end - i;
+        } else {
+          segments.push([ offset + i, end - i ]);
+        }
+      }
+      offset += data.length;
+    });
+    inStream.on("error", reject);
+    inStream.on("end", () => resolve({ size: offset, segments }));
+  });
+}
+
+// the number of bytes actually stored for a sparse map.
+export function sparseDataSize(sparseMap) {
+  return sparseMap.segments.reduce((total, [ offset, length ]) => total + length, 0);
+}
+
+// stream only the data segments of a sparse file, one after the other.
+export function sparseReadStream(filename, sparseMap) {
+  const segments = sparseMap.segments.slice();
+  return toolkit.compoundStream(() => {
+    if (segments.length == 0) return null;
+    const [ offset, length ] = segments.shift();
+    return fs.createReadStream(filename, { start: offset, end: offset + length - 1, highWaterMark: BUFFER_SIZE });
+  });
+}
+
+/*
+ * Writable stream that spreads incoming data across the segments of a
+ * sparse map. The file is extended to its full size first, so anything
+ * not written stays a hole. The file is closed when the stream finishes.
+ */
+export function sparseWriteStream(fd, sparseMap) {
+  const segments = sparseMap.segments.slice();
+  let position = 0;
+  let remaining = 0;
+
+  fs.ftruncateSync(fd, sparseMap.size);
+
+  const writeData = data => {
+    if (data.length == 0) return Promise.resolve();
+    if (remaining == 0) {
+      if (segments.length == 0) return Promise.reject(new Error("Sparse file has more data than its map"));
+      [ position, remaining ] = segments.shift();
+    }
+    const n = Math.min(remaining, data.length);
+    return writePromise(fd, data, 0, n, position).then(() => {
+      position += n;
+      remaining -= n;
+      return writeData(data.slice(n));
+    });
+  };
+
+  const outStream = new stream.Writable();
+  outStream._write = (data, _, callback) => {
+    writeData(data).then(() => callback(), error => callback(error));
+  };
+  outStream.on("finish", () => fs.closeSync(fd));
+  return toolkit.promisify(outStream);
+}
+
+function isZero(buffer, start, end) {
+  for (let i = start; i < end; i++) if (buffer[i] != 0) return false;
+  return true;
+}
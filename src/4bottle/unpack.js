@@ -0,0 +1,610 @@
+"use strict";
+
+import fs from "fs";
+import Keybaser from "./keybaser";
+import path from "path";
+import Promise from "bluebird";
+import toolkit from "stream-toolkit";
+import { ArchiveError, FileError, SignatureError } from "./errors";
+import { EventEmitter } from "events";
+import {
+  checkSafePath, checkSigner, isSymlink, keyDecrypter, openSource, passwordGetter, recipientLabel, signatureVerifier
+} from "./helpers";
+import { hasExtendedHeader, readExtendedHeader } from "./extended_header";
+import { isLink } from "./links";
+import { isSparse, sparseWriteStream } from "./sparse";
+import { matchesPath } from "./file_filter";
+import { readFirstCopy } from "./cat";
+import { applyDeletions, isDeletionRecord } from "./snapshot";
+import { isCompressionRecord } from "./compression";
+import { isAttributesRecord, userXattrs, writeAttributes } from "./attributes";
+import { entryStream, readIndex } from "./archive_index";
+import { scanSegments } from "./segments";
+import * as lib4bottle from "lib4bottle";
+
+// each file is written behind the reader, so the next one can be decrypted and decompressed in the meantime.
+const WRITE_BUFFER_SIZE = 4 * Math.pow(10, 6);
+const MAX_PENDING_WRITES = 4;
+
+/*
+ * Unpack an archive (a filename, "-" for stdin, or a readable stream) into
+ * a folder, and return a promise for a summary:
+ *   - `filename`, `folder`
+ *   - `files`: how many files were unpacked
+ *   - `bytesIn`: size of the archive
+ *   - `bytesOut`: size of the files unpacked
+ *   - `encryption`, `recipients`, `compression`, `hash`, `signedBy`: if any
+ *   - `deleted`: how many files were deleted (when `incremental`)
+ *   - `valid`, `hashes`: for `test`, whether every hash was valid, and a
+ *     list of `{ filename, hash, valid, hex, signedBy }` for each one
+ *   - `indexed`: true if the selected files were found with the archive's
+ *     index
+ *
+ * When only some files are `selected` from an archive file with an index,
+ * each one is read straight from where it is, instead of reading the whole
+ * archive (so the archive's hash isn't checked), unless `requiredSigners`
+ * is set.
+ *
+ * A hard link or duplicate (see links.js) is made from its first copy,
+ * which holds its contents. If the first copy isn't unpacked too, it's read
+ * again from the archive file (or, from a stream, the link is skipped, with
+ * a warning).
+ *
+ * Options:
+ *   - `force`: overwrite existing files
+ *   - `incremental`: apply the deletions recorded in an incremental archive
+ *   - `test`: check every hash, but don't write anything
+ *   - `selected`: paths or globs of files to unpack, matched as in
+ *     `matchesPath` (default: everything); it's a `FileError` if one of
+ *     them matches nothing
+ *   - `owner`: restore the original user and group (only works as root)
+ *   - `perms`, `times`: restore the original permissions (without setuid,
+ *     setgid, or sticky bits, unless running as root) and modification
+ *     times (default: true)
+ *   - `numericOwner`: only restore users and groups that are numeric ids
+ *   - `xattrs`, `acls`: restore the extended attributes and ACLs stored in
+ *     the archive, if any (default: true); any the filesystem won't take
+ *     are warned about
+ *   - `allXattrs`: restore every extended attribute, instead of only the
+ *     ones named "user.*" (the rest, like security labels, usually need
+ *     root)
+ *   - `hardlinks`: make hard links again as hard links (default: true);
+ *     otherwise, they're unpacked as copies, like duplicates are
+ *   - `findLinkTarget`: for a link whose first copy wasn't unpacked here,
+ *     a function that returns where else it was unpacked (or null)
+ *   - `requiredSigners`: keybase users to trust; if set, the archive must
+ *     be signed by one of them. the signer is checked before anything is
+ *     written, but the signature itself covers the whole archive, so it
+ *     can only be checked at the end: if it turns out to be invalid, the
+ *     files unpacked so far are left behind
+ *   - `password`, `getPassword`, `identities`, `keybaser`, `gpger`: as in
+ *     `list`
+ *   - `events`: an EventEmitter for progress:
+ *       - `filename` (filename, header): started a file or folder
+ *       - `status` (filename, byteCount): bytes of it written so far
+ *       - `finish` (filename, header): finished a file or folder
+ *       - `delete` (filename): deleted, in an incremental archive
+ *       - `warning` (filename, message): couldn't restore an extended
+ *         attribute or ACL (only the first time for each message)
+ *       - `hash` (hash): checked a hash, in `test` mode
+ *       - `read` (byteCount): bytes of the archive read so far
+ */
+export function unpack(source, outputFolder, options = {}) {
+  options = Object.assign({
+    perms: true, times: true, xattrs: true, acls: true, hardlinks: true, selected: [], requiredSigners: []
+  }, options);
+  const events = options.events || new EventEmitter();
+  const keybaser = options.keybaser || new Keybaser();
+  const filename = typeof source == "string" ? source : null;
+
+  const state = {
+    totalFiles: 0,
+    totalBytesOut: 0,
+    totalBytesIn: 0,
+    currentFilename: null,
+    prefix: [ ],
+    // for test mode: what each hash bottle covered, and whether it was valid
+    hashStack: [ ],
+    hashes: [ ],
+    totalDeleted: 0,
+    // files appended to an archive (in a later segment) replace the earlier ones.
+    segment: 0,
+    validHash: null,
+    compression: null,
+    // files still being written (or folders waiting to get their attributes), by real filename.
+    writes: {},
+    // everything unpacked so far, by path in the archive, for links to find their first copy (false for a
+    // selected link that had to be skipped).
+    unpacked: {},
+    // warnings given so far, so each is only given once.
+    warnings: {}
+  };
+  // errors from streams, which can happen at any time.
+  let fail = null;
+  const failed = new Promise((resolve, reject) => {
+    fail = reject;
+  });
+  const writeError = error => {
+    const verb = options.test ? "read" : "write";
+    fail(new FileError(`Can't ${verb} ${state.currentFilename || "?"}`, error, state.currentFilename));
+  };
+
+  const countingInStream = toolkit.countingStream();
+  countingInStream.on("count", n => {
+    state.totalBytesIn = n;
+    events.emit("read", n);
+  });
+
+  function processFile(dataStream) {
+    if (state.isDeletionRecord) return processDeletionRecord(dataStream, state.header);
+    if (state.isAttributesRecord) return processAttributesRecord(dataStream, state.header);
+    if (state.isSkipped) {
+      const sink = toolkit.nullSinkStream();
+      dataStream.pipe(sink);
+      return sink.finishPromise();
+    }
+
+    const countingOutStream = new toolkit.countingStream();
+    const currentFilename = state.currentFilename;
+    countingOutStream.on("count", n => {
+      events.emit("status", currentFilename, n);
+    });
+
+    if (options.test) {
+      const sink = toolkit.nullSinkStream();
+      dataStream.pipe(countingOutStream).pipe(sink);
+      return sink.finishPromise();
+    }
+
+    const realFilename = path.join(outputFolder, state.currentFilename);
+    const header = state.header;
+    return (hasExtendedHeader(header) ? readExtendedHeader(header, dataStream) : Promise.resolve()).then(() => {
+      return processData(dataStream, countingOutStream, realFilename, header);
+    }).catch(writeError);
+  };
+
+  function processData(dataStream, countingOutStream, realFilename, header) {
+    if (isLink(header)) return processLink(dataStream, realFilename, header);
+    if (state.isSymlink) return processSymlink(dataStream.pipe(countingOutStream), realFilename, header);
+
+    const access = options.force || state.segment > 0 ? "w" : "wx";
+    const mode = options.perms && state.mode ? permissionBits(state.mode) : parseInt("666", 8);
+    return waitForWrites(realFilename).then(() => {
+      // overwrite a symlink that's in the way, instead of writing through it.
+      if (access == "w") removeSymlink(realFilename);
+      return Promise.promisify(fs.open)(realFilename, access, mode);
+    }).then(fd => {
+      const outStream = isSparse(header) ?
+        sparseWriteStream(fd, header.extended.sparse) :
+        toolkit.promisify(fs.createWriteStream(realFilename, { fd, highWaterMark: WRITE_BUFFER_SIZE }));
+      outStream.on("error", writeError);
+      // the reader can move on once the data is buffered, before it's all on disk.
+      const consumed = new Promise(resolve => countingOutStream.on("end", resolve));
+      dataStream.pipe(countingOutStream).pipe(outStream);
+      writeBehind(realFilename, outStream.finishPromise().then(() => {
+        restoreAttributes(realFilename, header, options);
+      }));
+      return consumed;
+    }).catch(writeError);
+  };
+
+  function writeBehind(realFilename, promise) {
+    const written = promise.catch(writeError).finally(() => {
+      if (state.writes[realFilename] === written) delete state.writes[realFilename];
+    });
+    state.writes[realFilename] = written;
+  }
+
+  function allWrites() {
+    return Promise.all(Object.keys(state.writes).map(key => state.writes[key]));
+  }
+
+  // an earlier copy of the same file has to finish first, and only a few writes can be pending at once.
+  function waitForWrites(realFilename) {
+    if (state.writes[realFilename] == null && Object.keys(state.writes).length < MAX_PENDING_WRITES) {
+      return Promise.resolve();
+    }
+    return allWrites();
+  }
+
+  // deletions are only applied when asked to, so an incremental archive can be unpacked on its own, too.
+  function processDeletionRecord(dataStream, header) {
+    return readExtendedHeader(header, dataStream).then(() => {
+      const sink = toolkit.nullSinkStream();
+      dataStream.pipe(sink);
+      return sink.finishPromise();
+    }).then(() => {
+      const deleted = header.extended.deleted || [];
+      if (!options.incremental || options.test) return;
+      return allWrites().then(() => {
+        applyDeletions(outputFolder, deleted);
+        state.totalDeleted += deleted.length;
+        deleted.forEach(filename => events.emit("delete", filename));
+      });
+    }).catch(writeError);
+  }
+
+  // only the files and folders unpacked here get their attributes, once they're all written.
+  function processAttributesRecord(dataStream, header) {
+    return readExtendedHeader(header, dataStream).then(() => drain(dataStream)).then(() => {
+      const attributes = header.extended.attributes || {};
+      if (options.test) return;
+      return allWrites().then(() => {
+        return Promise.each(Object.keys(attributes).filter(filename => state.unpacked[filename]), filename => {
+          return restoreExtendedAttributes(filename, attributes[filename]);
+        });
+      });
+    }).catch(writeError);
+  }
+
+  function restoreExtendedAttributes(filename, { xattrs, acl }) {
+    const wanted = {};
+    if (options.xattrs && xattrs) wanted.xattrs = options.allXattrs ? xattrs : userXattrs(xattrs);
+    if (options.acls && acl) wanted.acl = acl;
+    return writeAttributes(path.join(outputFolder, filename), wanted).then(warnings => {
+      warnings.forEach(message => {
+        // a filesystem without xattrs would say the same thing about every file.
+        if (state.warnings[message]) return;
+        state.warnings[message] = true;
+        events.emit("warning", filename, message);
+      });
+    });
+  }
+
+  function processSymlink(dataStream, realFilename, header) {
+    return toolkit.pipeToBuffer(dataStream).then(buffer => {
+      return waitForWrites(realFilename).then(() => buffer);
+    }).then(buffer => {
+      if (options.force || state.segment > 0) {
+        try {
+          fs.unlinkSync(realFilename);
+        } catch (error) {
+          // fine.
+        }
+      }
+      return Promise.promisify(fs.symlink)(buffer.toString("utf8"), realFilename);
+    }).then(() => {
+      restoreAttributes(realFilename, header, options);
+    }).catch(writeError);
+  }
+
+  // a hard link or duplicate: the contents are in the first copy, unpacked earlier, or read again from the archive.
+  function processLink(dataStream, realFilename, header) {
+    const { target, hard } = header.extended.link;
+    const niceFilename = state.currentFilename;
+    const segment = state.segment;
+    const targetFilename = state.unpacked[target] ? path.join(outputFolder, target) :
+      (options.findLinkTarget ? options.findLinkTarget(target) : null);
+    const access = options.force || state.segment > 0 ? "w" : "wx";
+    return drain(dataStream).then(() => {
+      if (!targetFilename && (filename == null || filename == "-")) {
+        // a stream can't be read again, so there's nowhere to get the contents from.
+        state.totalFiles -= 1;
+        // still selected, but not there for anything else to use.
+        state.unpacked[niceFilename] = false;
+        events.emit("warning", niceFilename, `skipped: it's a link to ${target}, which has to be unpacked with it`);
+        return true;
+      }
+      // the first copy has to be all there, and so does any earlier copy of this one.
+      return allWrites().then(() => {
+        if (access == "w") {
+          try {
+            fs.unlinkSync(realFilename);
+          } catch (error) {
+            // fine.
+          }
+        }
+        if (!targetFilename || !hard || !options.hardlinks) return false;
+        // a link across devices (or where they aren't allowed) becomes a copy.
+        return Promise.promisify(fs.link)(targetFilename, realFilename).then(() => true, () => false);
+      });
+    }).then(isDone => {
+      if (isDone) return;
+      const copied = targetFilename ? copyFile(targetFilename, realFilename, access) :
+        readFirstCopy(filename, target, segment, linkOptions, (targetHeader, targetStream) => {
+          return Promise.promisify(fs.open)(realFilename, access).then(fd => {
+            const outStream = isSparse(targetHeader) ?
+              sparseWriteStream(fd, targetHeader.extended.sparse) :
+              toolkit.promisify(fs.createWriteStream(realFilename, { fd, highWaterMark: WRITE_BUFFER_SIZE }));
+            targetStream.pipe(outStream);
+            return outStream.finishPromise().then(() => true);
+          });
+        }).then(found => {
+          if (!found) throw new ArchiveError(`It's a link to ${target}, which isn't in the archive`);
+        });
+      return copied.then(() => {
+        restoreAttributes(realFilename, header, options);
+      });
+    });
+  }
+
+  function copyFile(sourceFilename, realFilename, access) {
+    const outStream = fs.createWriteStream(realFilename, { flags: access });
+    fs.createReadStream(sourceFilename).pipe(outStream);
+    return toolkit.promisify(outStream).finishPromise();
+  }
+
+  function ensureFolder(realFilename) {
+    if (!(fs.existsSync(realFilename) && fs.statSync(realFilename).isDirectory())) {
+      fs.mkdirSync(realFilename);
+    }
+  };
+
+  // when unpacking only some files, their parent folders may not exist yet.
+  function ensureParentFolders(filename) {
+    const segments = filename.split("/");
+    for (let i = 1; i < segments.length; i++) {
+      ensureFolder(path.join(outputFolder, segments.slice(0, i).join("/")));
+    }
+  }
+
+  // with an index, each wanted file's bottle is read on its own, as if it were in the folder it's listed in.
+  function unpackFromIndex(index) {
+    const entries = index.entries.filter(entry => matchesPath(entry.path, options.selected));
+    const folders = [];
+    return Promise.each(entries, entry => {
+      if (entry.type == "folder") {
+        const header = headerForEntry(entry);
+        checkSafePath(outputFolder, entry.path, true);
+        events.emit("filename", entry.path, header);
+        ensureParentFolders(entry.path);
+        ensureFolder(path.join(outputFolder, entry.path));
+        state.unpacked[entry.path] = true;
+        folders.push(entry);
+        events.emit("finish", entry.path, header);
+        return;
+      }
+      const countingInStream = toolkit.countingStream();
+      const bytesIn = state.totalBytesIn;
+      countingInStream.on("count", n => {
+        state.totalBytesIn = bytesIn + n;
+        events.emit("read", state.totalBytesIn);
+      });
+      isFirst = false;
+      state.prefix = entry.path.split("/").slice(0, -1);
+      return reader.scanStream(entryStream(filename, entry).pipe(countingInStream));
+    }).then(() => allWrites()).then(() => {
+      return Promise.each(entries.filter(entry => entry.xattrs || entry.acl), entry => {
+        return restoreExtendedAttributes(entry.path, entry);
+      });
+    }).then(() => {
+      // innermost folders first, once everything in them is written.
+      folders.reverse().forEach(entry => {
+        const folderName = path.join(outputFolder, entry.path);
+        writeBehind(folderName, allWrites().then(() => restoreAttributes(folderName, headerForEntry(entry), options)));
+      });
+    });
+  }
+
+  // a password is only asked for once, even if a link has to read the archive again.
+  let password = null;
+  const getPassword = () => password || (password = passwordGetter(options)());
+  const linkOptions = Object.assign({}, options, { password: null, getPassword });
+  const reader = new lib4bottle.ArchiveReader({
+    decryptKey: keyDecrypter({ keybaser, identities: options.identities, gpger: options.gpger, getPassword }),
+    getPassword,
+    processFile,
+    verifier: signatureVerifier(keybaser)
+  });
+  let isFirst = true;
+
+  reader.on("start-bottle", (bottle) => {
+    // check the signer before anything is written. (the signature itself can't be checked until the end.)
+    if (isFirst) checkSigner(bottle.header, options.requiredSigners);
+    isFirst = false;
+    switch (bottle.typeName()) {
+      case "hashed":
+        state.hashStack.push({ filename: null });
+        break;
+      case "file":
+      case "folder":
+        const nicePrefix = state.prefix.join("/") + (state.prefix.length > 0 ? "/" : "");
+        const niceFilename = nicePrefix + bottle.header.filename;
+        // a hash covers the first file or folder inside it.
+        const hashFrame = state.hashStack[state.hashStack.length - 1];
+        if (hashFrame && hashFrame.filename == null) hashFrame.filename = niceFilename;
+        state.currentFilename = niceFilename;
+        state.isFolder = bottle.header.folder;
+        state.header = bottle.header;
+        state.mode = bottle.header.mode;
+        state.isSymlink = isSymlink(bottle.header);
+        state.isDeletionRecord = state.prefix.length == 1 && isDeletionRecord(bottle.header);
+        state.isAttributesRecord = state.prefix.length == 1 && isAttributesRecord(bottle.header);
+        state.isSkipped = state.isDeletionRecord || state.isAttributesRecord ||
+          (state.prefix.length == 1 && isCompressionRecord(bottle.header)) ||
+          (options.selected.length > 0 && !matchesPath(niceFilename, options.selected));
+        if (state.isSkipped) {
+          state.prefix.push(bottle.header.filename);
+          break;
+        }
+        if (!options.test) checkSafePath(outputFolder, niceFilename, state.isFolder);
+        if (!state.isFolder) state.totalFiles += 1;
+        state.unpacked[niceFilename] = true;
+        events.emit("filename", niceFilename, bottle.header);
+        if (!options.test) {
+          if (options.selected.length > 0) ensureParentFolders(niceFilename);
+          if (state.isFolder) ensureFolder(path.join(outputFolder, niceFilename));
+        }
+        state.prefix.push(bottle.header.filename);
+    }
+  });
+
+  reader.on("end-bottle", (bottle) => {
+    switch (bottle.typeName()) {
+      case "file":
+      case "folder":
+        if (!state.isSkipped) events.emit("finish", state.prefix.join("/"), bottle.header);
+        if (bottle.typeName() == "file" && !state.isSkipped) state.totalBytesOut += bottle.header.size;
+        if (bottle.typeName() == "folder" && !options.test) {
+          // only once its contents are written can a folder get its final mode and timestamp.
+          const folderName = path.join(outputFolder, state.prefix.join("/"));
+          const header = bottle.header;
+          if (fs.existsSync(folderName)) {
+            writeBehind(folderName, allWrites().then(() => restoreAttributes(folderName, header, options)));
+          }
+        }
+        state.prefix.pop();
+    }
+  });
+
+  reader.on("hash", (bottle, isValid, hex) => {
+    const hashFrame = state.hashStack.pop() || {};
+    if (options.test) {
+      // report every hash, valid or not.
+      const hash = { filename: hashFrame.filename, hash: bottle.header.hashName, valid: isValid, hex };
+      if (bottle.header.signedBy) hash.signedBy = bottle.header.signedBy;
+      state.hashes.push(hash);
+      events.emit("hash", hash);
+      return;
+    }
+    if (state.prefix.length == 0 && bottle.header.signedBy) {
+      state.signedBy = bottle.header.signedBy;
+      if (!isValid) {
+        throw new SignatureError(`Signature by ${state.signedBy} is INVALID; archive may have been tampered with.`);
+      }
+    }
+    // FIXME display something if this is per-file
+    if (!isValid) throw new ArchiveError("Invalid hash; archive is probably corrupt.");
+    if (state.prefix.length == 0) state.validHash = bottle.header.hashName;
+  });
+
+  reader.on("compress", (bottle) => {
+    if (state.prefix.length == 0) state.compression = bottle.header.compressionName;
+    if (state.prefix.length > 0) state.perFileCompression = bottle.header.compressionName;
+  });
+
+  reader.on("encrypt", (bottle) => {
+    if (state.prefix.length == 0) {
+      state.encryption = bottle.header.encryptionName;
+      state.recipients = (bottle.header.recipients || []).map(recipientLabel);
+    }
+  });
+
+  reader.on("error", writeError);
+
+  let index = null;
+  return Promise.try(() => {
+    if (!options.test) ensureOutputFolder(outputFolder);
+    const canSeek = options.selected.length > 0 && options.requiredSigners.length == 0 && !options.test &&
+      !options.incremental;
+    index = canSeek ? readIndex(source) : null;
+    if (index) return Promise.race([ unpackFromIndex(index), failed ]);
+
+    const inStream = openSource(source);
+    inStream.on("error", error => fail(new FileError(`Can't read ${filename || "archive"}`, error, filename)));
+    inStream.pipe(countingInStream);
+    const scanned = scanSegments(countingInStream, (segment, index) => {
+      isFirst = true;
+      state.segment = index;
+      return reader.scanStream(segment);
+    });
+    return Promise.race([ scanned, failed ]);
+  }).then(() => {
+    return Promise.race([ allWrites(), failed ]);
+  }).then(() => {
+    const unpacked = Object.keys(state.unpacked);
+    const missing = options.selected.filter(glob => !unpacked.some(name => matchesPath(name, [ glob ])));
+    if (missing.length > 0) {
+      throw new FileError(`Not in ${filename || "archive"}: ${missing.join(", ")}`, null, missing[0]);
+    }
+    const summary = {
+      filename,
+      folder: outputFolder,
+      files: state.totalFiles,
+      bytesIn: state.totalBytesIn,
+      bytesOut: state.totalBytesOut,
+      encryption: state.encryption || null,
+      recipients: state.recipients || [],
+      compression: state.compression || (state.perFileCompression ? `${state.perFileCompression} per file` : null),
+      hash: state.validHash,
+      signedBy: state.signedBy || null,
+      deleted: state.totalDeleted
+    };
+    if (index) summary.indexed = true;
+    if (options.test) {
+      summary.valid = state.hashes.every(hash => hash.valid);
+      summary.hashes = state.hashes;
+    }
+    return summary;
+  });
+}
+
+// enough of a header, from an index entry, for progress events and restoring attributes.
+function headerForEntry(entry) {
+  return {
+    filename: path.basename(entry.path),
+    folder: entry.type == "folder",
+    size: entry.size,
+    mode: entry.mode,
+    username: entry.username,
+    groupname: entry.groupname,
+    createdNanos: entry.createdNanos,
+    modifiedNanos: entry.modifiedNanos
+  };
+}
+
+function removeSymlink(filename) {
+  try {
+    if (fs.lstatSync(filename).isSymbolicLink()) fs.unlinkSync(filename);
+  } catch (error) {
+    // fine.
+  }
+}
+
+function drain(dataStream) {
+  const sink = toolkit.nullSinkStream();
+  dataStream.pipe(sink);
+  return sink.finishPromise();
+}
+
+function ensureOutputFolder(outputFolder) {
+  if (!fs.existsSync(outputFolder)) {
+    try {
+      fs.mkdirSync(outputFolder);
+    } catch (error) {
+      throw new FileError(`Can't create folder ${outputFolder}`, error, outputFolder);
+    }
+  }
+  if (!fs.statSync(outputFolder).isDirectory()) {
+    throw new FileError(`Not a folder: ${outputFolder}`, null, outputFolder);
+  }
+}
+
+// restore whatever we're allowed to of the original owner, permissions, and timestamps.
+function restoreAttributes(filename, header, options) {
+  const symlink = isSymlink(header);
+  if (options.owner) {
+    // a native addon, only needed (and only loaded) when running as root.
+    const posix = require("posix");
+    const uid = lookupId(header.username, options.numericOwner, name => posix.getpwnam(name).uid);
+    const gid = lookupId(header.groupname, options.numericOwner, name => posix.getgrnam(name).gid);
+    if (uid != null || gid != null) {
+      (symlink ? fs.lchownSync : fs.chownSync)(filename, uid != null ? uid : -1, gid != null ? gid : -1);
+    }
+  }
+  // linux has no mode for a symlink itself, only for what it points to.
+  if (options.perms && header.mode != null && !symlink) fs.chmodSync(filename, permissionBits(header.mode));
+  if (options.times && header.modifiedNanos) {
+    const mtime = header.modifiedNanos / Math.pow(10, 9);
+    const atime = header.accessedNanos ? header.accessedNanos / Math.pow(10, 9) : mtime;
+    (symlink ? fs.lutimesSync : fs.utimesSync)(filename, atime, mtime);
+  }
+}
+
+// as with tar, only root gets the setuid, setgid, and sticky bits back.
+function permissionBits(mode) {
+  const isRoot = process.getuid && process.getuid() == 0;
+  return mode & (isRoot ? 0xfff : 0x1ff);
+}
+
+// numeric names are used as-is; anything else is looked up, unless `numericOwner`.
+function lookupId(name, numericOnly, lookup) {
+  if (name == null) return null;
+  if (name.match(/^\d+$/)) return parseInt(name, 10);
+  if (numericOnly) return null;
+  try {
+    return lookup(name);
+  } catch (error) {
+    return null;
+  }
+}
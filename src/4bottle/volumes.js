@@ -0,0 +1,216 @@
+"use strict";
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import Promise from "bluebird";
+import stream from "stream";
+import toolkit from "stream-toolkit";
+import { ArchiveError, FileError } from "./errors";
+
+// a multi-volume archive is split across files named "<archive>.001",
+// ".002", and so on, for storage with a limit on file size. each volume
+// starts with a small header, and the rest of each, end to end, is the
+// archive:
+//   - magic (4 bytes), version, flags (bit 0: last volume), 2 reserved
+//   - volume number (4 bytes, big-endian), counting from 1
+//   - set id (16 bytes): random, and the same for every volume in the set
+
+export const VOLUME_MAGIC = Buffer.from("4bvl");
+export const VOLUME_HEADER_LENGTH = 28;
+// a volume has to hold more than its header.
+export const MIN_VOLUME_SIZE = 1024;
+
+const FLAG_LAST = 1;
+const SET_ID_LENGTH = 16;
+
+const openPromise = Promise.promisify(fs.open);
+const writePromise = Promise.promisify(fs.write);
+
+// "backup.4b", 2 -> "backup.4b.002"
+export function volumeFilename(base, index) {
+  return base + "." + ("00" + index).slice(-Math.max(3, index.toString().length));
+}
+
+/*
+ * If a filename names a set of volumes, return the archive name they share:
+ * the first volume ("backup.4b.001"), or the archive name itself, when
+ * only the volumes exist. Otherwise, return null. Naming a later volume is
+ * an error, since the archive has to be read from the start.
+ */
+export function volumeBase(filename) {
+  const match = filename.match(/^(.*)\.(\d{3,})$/);
+  if (match && isVolume(filename)) {
+    if (parseInt(match[2], 10) != 1) {
+      const first = volumeFilename(match[1], 1);
+      throw new FileError(`${filename} isn't the first volume (start with ${first})`, null, filename);
+    }
+    return match[1];
+  }
+  if (!fs.existsSync(filename) && isVolume(volumeFilename(filename, 1))) return filename;
+  return null;
+}
+
+/*
+ * Writable stream that splits an archive into volumes of at most
+ * `volumeSize` bytes (headers included). The last volume is marked as the
+ * last when the stream finishes. `filenames` lists the volumes written so
+ * far.
+ */
+export function volumeWriteStream(base, volumeSize) {
+  const setId = crypto.randomBytes(SET_ID_LENGTH);
+  let fd = null;
+  let remaining = 0;
+
+  const nextVolume = () => {
+    if (fd != null) fs.closeSync(fd);
+    fd = null;
+    const filename = volumeFilename(base, outStream.filenames.length + 1);
+    return openPromise(filename, "w").catch(error => {
+      throw new FileError(`Unable to write ${filename}`, error, filename);
+    }).then(newFd => {
+      fd = newFd;
+      outStream.filenames.push(filename);
+      remaining = volumeSize - VOLUME_HEADER_LENGTH;
+      const header = encodeVolumeHeader(outStream.filenames.length, setId, false);
+      return writePromise(fd, header, 0, header.length, null);
+    });
+  };
+
+  const writeData = data => {
+    if (data.length == 0) return Promise.resolve();
+    return (remaining == 0 ? nextVolume() : Promise.resolve()).then(() => {
+      const n = Math.min(remaining, data.length);
+      return writePromise(fd, data, 0, n, null).then(() => {
+        remaining -= n;
+        return writeData(data.slice(n));
+      });
+    });
+  };
+
+  const outStream = new stream.Writable();
+  outStream.filenames = [];
+  outStream._write = (data, _, callback) => {
+    writeData(data).then(() => callback(), error => callback(error));
+  };
+  outStream.on("finish", () => {
+    if (fd == null) return;
+    const header = encodeVolumeHeader(outStream.filenames.length, setId, true);
+    fs.writeSync(fd, header, 0, header.length, 0);
+    fs.closeSync(fd);
+  });
+  return toolkit.promisify(outStream);
+}
+
+/*
+ * Read a set of volumes, from the first to the one marked as the last, as
+ * one stream. A volume that's missing, from another set, or out of order is
+ * an error on the stream.
+ */
+export function volumeReadStream(base) {
+  const outStream = new stream.PassThrough();
+
+  const readVolume = (index, setId) => {
+    const filename = volumeFilename(base, index);
+    let fd = null;
+    try {
+      fd = fs.openSync(filename, "r");
+    } catch (error) {
+      throw new FileError(`Missing volume ${filename}`, error, filename);
+    }
+    let header = null;
+    try {
+      header = readVolumeHeader(fd, filename);
+      if (setId && !header.setId.equals(setId)) {
+        throw new ArchiveError(`${filename} is from a different set of volumes`);
+      }
+      if (header.index != index) {
+        throw new ArchiveError(`Volumes are out of order: ${filename} is volume ${header.index}`);
+      }
+    } catch (error) {
+      fs.closeSync(fd);
+      throw error;
+    }
+
+    const inStream = fs.createReadStream(filename, { fd, start: VOLUME_HEADER_LENGTH });
+    inStream.pipe(outStream, { end: false });
+    return new Promise((resolve, reject) => {
+      inStream.on("error", error => reject(new FileError(`Can't read ${filename}`, error, filename)));
+      inStream.on("end", resolve);
+    }).then(() => {
+      if (header.isLast) {
+        outStream.end();
+        return;
+      }
+      return readVolume(index + 1, header.setId);
+    });
+  };
+
+  Promise.try(() => readVolume(1, null)).catch(error => outStream.emit("error", error));
+  return outStream;
+}
+
+/*
+ * List whichever volumes of a set can still be read, in order, as
+ * `{ filename, index, isLast }`, for salvaging a set that's missing some.
+ * Volumes from a different set than the lowest-numbered one are left out.
+ */
+export function findVolumes(base) {
+  const folder = path.dirname(base);
+  const prefix = path.basename(base) + ".";
+  const volumes = [];
+  fs.readdirSync(folder).forEach(name => {
+    if (name.slice(0, prefix.length) != prefix || !name.slice(prefix.length).match(/^\d{3,}$/)) return;
+    const filename = path.join(folder, name);
+    try {
+      const fd = fs.openSync(filename, "r");
+      try {
+        volumes.push(Object.assign({ filename }, readVolumeHeader(fd, filename)));
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (error) {
+      // not a volume.
+    }
+  });
+  volumes.sort((a, b) => a.index - b.index);
+  return volumes.filter(volume => volume.setId.equals(volumes[0].setId)).map(({ filename, index, isLast }) => {
+    return { filename, index, isLast };
+  });
+}
+
+function isVolume(filename) {
+  try {
+    const fd = fs.openSync(filename, "r");
+    const buffer = Buffer.alloc(VOLUME_MAGIC.length);
+    const n = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    fs.closeSync(fd);
+    return n == buffer.length && buffer.equals(VOLUME_MAGIC);
+  } catch (error) {
+    return false;
+  }
+}
+
+function encodeVolumeHeader(index, setId, isLast) {
+  const buffer = Buffer.alloc(VOLUME_HEADER_LENGTH);
+  buffer.fill(0);
+  VOLUME_MAGIC.copy(buffer, 0);
+  buffer[5] = isLast ? FLAG_LAST : 0;
+  buffer.writeUInt32BE(index, 8);
+  setId.copy(buffer, 12);
+  return buffer;
+}
+
+function readVolumeHeader(fd, filename) {
+  const buffer = Buffer.alloc(VOLUME_HEADER_LENGTH);
+  const n = fs.readSync(fd, buffer, 0, VOLUME_HEADER_LENGTH, 0);
+  if (n < VOLUME_HEADER_LENGTH || !buffer.slice(0, 4).equals(VOLUME_MAGIC)) {
+    throw new ArchiveError(`Not a volume of a 4bottle archive: ${filename}`);
+  }
+  if (buffer[4] != 0) throw new ArchiveError(`Incompatible volume version: ${buffer[4].toString(16)}`);
+  return {
+    isLast: (buffer[5] & FLAG_LAST) != 0,
+    index: buffer.readUInt32BE(8),
+    setId: buffer.slice(12, 12 + SET_ID_LENGTH)
+  };
+}
@@ -0,0 +1,72 @@
+"use strict";
+
+import Promise from "bluebird";
+import { Worker } from "worker_threads";
+
+/*
+ * Up to `size` worker threads running `script`, each handling one job at a
+ * time, started as they're needed. `run(message)` queues a job and returns
+ * a promise for the worker's reply: the `result` it posts back, or an
+ * error if it posts an `error` instead. Jobs are handed out in order, but
+ * may finish in any order.
+ *
+ * The workers keep the process alive until `close()`.
+ */
+export default class WorkerPool {
+  constructor(script, size) {
+    this.script = script;
+    this.size = size;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+  }
+
+  run(message) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ message, resolve, reject });
+      this._next();
+    });
+  }
+
+  close() {
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    return Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  _next() {
+    if (this.queue.length == 0) return;
+    if (this.idle.length == 0 && this.workers.length < this.size) this.idle.push(this._startWorker());
+    if (this.idle.length == 0) return;
+    const worker = this.idle.shift();
+    worker.job = this.queue.shift();
+    worker.postMessage(worker.job.message);
+  }
+
+  _startWorker() {
+    const worker = new Worker(this.script);
+    worker.job = null;
+    worker.on("message", reply => {
+      const job = worker.job;
+      worker.job = null;
+      this.idle.push(worker);
+      this._next();
+      if (reply.error) {
+        job.reject(new Error(reply.error));
+      } else {
+        job.resolve(reply.result);
+      }
+    });
+    // a worker that crashes takes its job with it, and is replaced on demand.
+    worker.on("error", error => {
+      this.workers = this.workers.filter(w => w !== worker);
+      this.idle = this.idle.filter(w => w !== worker);
+      if (worker.job) worker.job.reject(error);
+      worker.job = null;
+      this._next();
+    });
+    this.workers.push(worker);
+    return worker;
+  }
+}
@@ -0,0 +1,59 @@
+"use strict";
+
+import fs from "fs";
+import { EventEmitter } from "events";
+import { future, withTempFolder } from "mocha-sprinkles";
+import { FileError, list, pack, SignatureError, unpack, UsageError } from "../../lib/4bottle";
+
+import "should";
+import "source-map-support/register";
+
+describe("4bottle API", () => {
+  it("packs, lists, and unpacks in-process", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/file1`, "part 1\n");
+    fs.writeFileSync(`${folder}/in/file2`, "part 2\n");
+    const events = new EventEmitter();
+    const filenames = [];
+    events.on("filename", filename => filenames.push(filename));
+    return pack([ `${folder}/in` ], { output: `${folder}/test.4b`, events }).then(summary => {
+      summary.filename.should.eql(`${folder}/test.4b`);
+      summary.files.should.eql(2);
+      summary.bytesIn.should.eql(14);
+      summary.compression.should.eql("lzma2");
+      filenames.sort().should.eql([ "in/", "in/file1", "in/file2" ]);
+      return list(`${folder}/test.4b`);
+    }).then(({ entries, archive }) => {
+      entries.map(entry => entry.path).should.eql([ "in", "in/file1", "in/file2" ]);
+      archive.files.should.eql(2);
+      archive.validHash.should.eql(true);
+      return unpack(`${folder}/test.4b`, `${folder}/out`);
+    }).then(summary => {
+      summary.files.should.eql(2);
+      fs.readFileSync(`${folder}/out/in/file2`).toString().should.eql("part 2\n");
+    });
+  })));
+
+  it("rejects with typed errors", future(withTempFolder((folder) => {
+    fs.writeFileSync(`${folder}/file1`, "nothing\n");
+    return pack([ `${folder}/file1` ], { sign: true, hash: false }).then(() => {
+      throw new Error("expected a failure");
+    }, error => {
+      error.should.be.instanceOf(UsageError);
+      return pack([ `${folder}/nope` ]);
+    }).then(() => {
+      throw new Error("expected a failure");
+    }, error => {
+      error.should.be.instanceOf(FileError);
+      error.filename.should.eql(`${folder}/nope`);
+      return pack([ `${folder}/file1` ], { output: `${folder}/file1.4b`, compression: null });
+    }).then(() => {
+      return unpack(`${folder}/file1.4b`, `${folder}/out`, { requiredSigners: [ "robey" ] });
+    }).then(() => {
+      throw new Error("expected a failure");
+    }, error => {
+      error.should.be.instanceOf(SignatureError);
+      fs.existsSync(`${folder}/out/file1`).should.eql(false);
+    });
+  })));
+});
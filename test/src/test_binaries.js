@@ -10,7 +10,9 @@ import "source-map-support/register";
 
 const pack = `${process.cwd()}/bin/4pack`;
 const ls = `${process.cwd()}/bin/4ls`;
+const diff = `${process.cwd()}/bin/4diff`;
 const unpack = `${process.cwd()}/bin/4unpack`;
+const cat = `${process.cwd()}/bin/4cat`;
 
 const sourceFolder = `${process.cwd()}/src`;
 const xzFolder = `${process.cwd()}/node_modules/lib4bottle/node_modules/xz`;
@@ -21,6 +23,13 @@ function hashFile(filename) {
   return h.digest();
 }
 
+// run a command that's expected to exit with an error, and return its output.
+function execFailure(command) {
+  return exec(command).then(() => {
+    throw new Error(`Expected an error from: ${command}`);
+  }, error => error.stdout + error.stderr);
+}
+
 // uh? this really isn't builtin?
 function arraysAreEqual(x, y) {
   if (x.length != y.length) return false;
@@ -69,6 +78,8 @@ describe("bin/4pack", () => {
     fs.writeFileSync(`${folder}/file1`, "nothing\n");
     return exec(`${pack} ${folder}/file1`).then(() => {
       fs.existsSync(`${folder}/file1.4b`).should.eql(true);
+      // nothing an older reader can't read, so it's still format version 0.
+      fs.readFileSync(`${folder}/file1.4b`)[4].should.eql(0);
       return exec(`${ls} -l ${folder}/file1.4b`);
     }).then(p => {
       p.stdout.should.match(/\sfile1\s/);
@@ -127,6 +138,692 @@ describe("bin/4pack", () => {
     });
   }))));
 
+  it("skips excluded and ignored files", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.mkdirSync(`${folder}/in/node_modules`);
+    fs.mkdirSync(`${folder}/in/logs`);
+    fs.writeFileSync(`${folder}/in/file1`, "part 1\n");
+    fs.writeFileSync(`${folder}/in/node_modules/junk`, "junk\n");
+    fs.writeFileSync(`${folder}/in/logs/today.log`, "log\n");
+    fs.writeFileSync(`${folder}/in/logs/keep.log`, "keep\n");
+    fs.writeFileSync(`${folder}/in/logs/.4bottleignore`, "*.log\n!keep.log\n");
+    return exec(`${pack} -v -x node_modules -o ${folder}/test.4b ${folder}/in`).then((p) => {
+      p.stdout.should.match(/skip\s+in\/node_modules\//);
+      p.stdout.should.match(/skip\s+in\/logs\/today\.log/);
+      return exec(`${ls} ${folder}/test.4b`);
+    }).then((p) => {
+      p.stdout.should.match(/in\/file1\s/);
+      p.stdout.should.match(/in\/logs\/keep\.log\s/);
+      p.stdout.should.not.match(/junk/);
+      p.stdout.should.not.match(/today\.log/);
+      return exec(`${pack} -i '*.log' -o ${folder}/logs.4b ${folder}/in`);
+    }).then(() => {
+      return exec(`${ls} ${folder}/logs.4b`);
+    }).then((p) => {
+      p.stdout.should.match(/in\/logs\/keep\.log\s/);
+      p.stdout.should.not.match(/file1/);
+    });
+  })));
+
+  it("unpacks only selected files", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.mkdirSync(`${folder}/in/docs`);
+    fs.mkdirSync(`${folder}/in/src`);
+    fs.writeFileSync(`${folder}/in/docs/README.md`, "read me\n");
+    fs.writeFileSync(`${folder}/in/docs/other.md`, "other\n");
+    fs.writeFileSync(`${folder}/in/src/main.js`, "main\n");
+    fs.writeFileSync(`${folder}/in/src/main.css`, "css\n");
+    return exec(`${pack} -o ${folder}/test.4b ${folder}/in`).then(() => {
+      return exec(`${unpack} -o ${folder}/out ${folder}/test.4b 'in/src/*.js' in/docs/README.md`);
+    }).then(() => {
+      fs.readFileSync(`${folder}/out/in/src/main.js`).toString().should.eql("main\n");
+      fs.readFileSync(`${folder}/out/in/docs/README.md`).toString().should.eql("read me\n");
+      fs.existsSync(`${folder}/out/in/src/main.css`).should.eql(false);
+      fs.existsSync(`${folder}/out/in/docs/other.md`).should.eql(false);
+      // like --exclude, paths can be inside the top folder, too.
+      return exec(`${unpack} -o ${folder}/out2 ${folder}/test.4b 'src/*.css' docs`);
+    }).then(() => {
+      fs.readFileSync(`${folder}/out2/in/src/main.css`).toString().should.eql("css\n");
+      fs.readFileSync(`${folder}/out2/in/docs/other.md`).toString().should.eql("other\n");
+      fs.existsSync(`${folder}/out2/in/src/main.js`).should.eql(false);
+      return execFailure(`${unpack} -o ${folder}/out3 ${folder}/test.4b src/main.js ${folder}/test.4b`);
+    }).then((output) => {
+      output.should.match(/Warning: .*test\.4b is an archive, but only .*test\.4b is unpacked/);
+      output.should.match(/Not in .*test\.4b: .*test\.4b/);
+    });
+  })));
+
+  it("lists an archive as JSON", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/file1`, "part 1\n");
+    fs.symlinkSync("file1", `${folder}/in/link1`);
+    return exec(`${pack} -o ${folder}/test.4b ${folder}/in`).then(() => {
+      return exec(`${ls} --json ${folder}/test.4b`);
+    }).then((p) => {
+      const objects = JSON.parse(p.stdout);
+      objects.map(object => object.path).should.eql([ "in", "in/file1", "in/link1", undefined ]);
+      objects[1].type.should.eql("file");
+      objects[1].size.should.eql(7);
+      objects[2].type.should.eql("symlink");
+      objects[2].target.should.eql("file1");
+      const summary = objects[3];
+      summary.type.should.eql("archive");
+      summary.files.should.eql(2);
+      summary.hash.should.eql("SHA-512");
+      summary.validHash.should.eql(true);
+      return exec(`${ls} --ndjson ${folder}/test.4b`);
+    }).then((p) => {
+      const lines = p.stdout.trim().split("\n").map(line => JSON.parse(line));
+      lines.length.should.eql(4);
+      lines[3].type.should.eql("archive");
+    });
+  })));
+
+  it("packs, lists, and unpacks symlinks", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/file1`, "part 1\n");
+    fs.symlinkSync("file1", `${folder}/in/link1`);
+    fs.lutimesSync(`${folder}/in/link1`, 1400000000, 1400000000);
+    return exec(`${pack} -o ${folder}/test.4b ${folder}/in`).then(() => {
+      return exec(`${ls} -l ${folder}/test.4b`);
+    }).then((p) => {
+      p.stdout.should.match(/lrwxrwxrwx\s.*in\/link1 -> file1/);
+      return exec(`${unpack} -o ${folder}/out ${folder}/test.4b`);
+    }).then(() => {
+      fs.lstatSync(`${folder}/out/in/link1`).isSymbolicLink().should.eql(true);
+      fs.readlinkSync(`${folder}/out/in/link1`).should.eql("file1");
+      fs.lstatSync(`${folder}/out/in/link1`).mtime.getTime().should.eql(1400000000 * 1000);
+      return exec(`${pack} -L -o ${folder}/deref.4b ${folder}/in`);
+    }).then(() => {
+      return exec(`${unpack} -o ${folder}/deref ${folder}/deref.4b`);
+    }).then(() => {
+      fs.lstatSync(`${folder}/deref/in/link1`).isSymbolicLink().should.eql(false);
+      fs.readFileSync(`${folder}/deref/in/link1`).toString().should.eql("part 1\n");
+    });
+  })));
+
+  it("refuses to unpack through a symlink", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.mkdirSync(`${folder}/outside`);
+    fs.symlinkSync(`${folder}/outside`, `${folder}/in/link`);
+    fs.mkdirSync(`${folder}/more`);
+    fs.mkdirSync(`${folder}/more/link`);
+    fs.writeFileSync(`${folder}/more/link/file1`, "sneaky\n");
+    return exec(`${pack} -Z -o ${folder}/test.4b ${folder}/in`).then(() => {
+      // a later segment puts a folder where the symlink is.
+      return exec(`${pack} --append ${folder}/test.4b ${folder}/more/link`);
+    }).then(() => {
+      return execFailure(`${unpack} -o ${folder}/out ${folder}/test.4b`);
+    }).then((output) => {
+      output.should.match(/through a symlink/);
+      fs.existsSync(`${folder}/outside/file1`).should.eql(false);
+    });
+  })));
+
+  it("restores permissions and timestamps", future(withTempFolder((folder) => {
+    const then = new Date(2015, 0, 1, 12, 0, 0);
+    fs.mkdirSync(`${folder}/in`);
+    fs.mkdirSync(`${folder}/in/sub`);
+    fs.writeFileSync(`${folder}/in/sub/file1`, "part 1\n");
+    fs.chmodSync(`${folder}/in/sub/file1`, parseInt("640", 8));
+    fs.utimesSync(`${folder}/in/sub/file1`, then, then);
+    fs.writeFileSync(`${folder}/in/sub/file2`, "part 2\n");
+    fs.chmodSync(`${folder}/in/sub/file2`, parseInt("4755", 8));
+    fs.chmodSync(`${folder}/in/sub`, parseInt("750", 8));
+    fs.utimesSync(`${folder}/in/sub`, then, then);
+    return exec(`${pack} -o ${folder}/test.4b ${folder}/in`).then(() => {
+      return exec(`${unpack} -o ${folder}/out ${folder}/test.4b`);
+    }).then(() => {
+      const fileStats = fs.statSync(`${folder}/out/in/sub/file1`);
+      (fileStats.mode & parseInt("777", 8)).should.eql(parseInt("640", 8));
+      fileStats.mtime.getTime().should.eql(then.getTime());
+      // only root gets setuid back.
+      const setuidStats = fs.statSync(`${folder}/out/in/sub/file2`);
+      const isRoot = process.getuid() == 0;
+      (setuidStats.mode & parseInt("7777", 8)).should.eql(parseInt(isRoot ? "4755" : "755", 8));
+      const folderStats = fs.statSync(`${folder}/out/in/sub`);
+      (folderStats.mode & parseInt("777", 8)).should.eql(parseInt("750", 8));
+      folderStats.mtime.getTime().should.eql(then.getTime());
+      return exec(`${unpack} --no-times -o ${folder}/out2 ${folder}/test.4b`);
+    }).then(() => {
+      fs.statSync(`${folder}/out2/in/sub/file1`).mtime.getTime().should.not.eql(then.getTime());
+    });
+  })));
+
+  it("packs, lists, and unpacks sparse files", future(withTempFolder((folder) => {
+    const size = 16 * 1024 * 1024;
+    fs.mkdirSync(`${folder}/in`);
+    const fd = fs.openSync(`${folder}/in/disk.img`, "w");
+    fs.writeSync(fd, Buffer.from("start\n"), 0, 6, 0);
+    fs.writeSync(fd, Buffer.from("middle\n"), 0, 7, size / 2);
+    fs.ftruncateSync(fd, size);
+    fs.closeSync(fd);
+    return exec(`${pack} -Z -o ${folder}/test.4b ${folder}/in`).then(() => {
+      // only the data blocks should be stored.
+      fs.statSync(`${folder}/test.4b`).size.should.be.below(size / 64);
+      return exec(`${ls} -l ${folder}/test.4b`);
+    }).then((p) => {
+      p.stdout.should.match(/\s16M\s*in\/disk\.img \[sparse, /);
+      return exec(`${unpack} -o ${folder}/out ${folder}/test.4b`);
+    }).then(() => {
+      const stats = fs.statSync(`${folder}/out/in/disk.img`);
+      stats.size.should.eql(size);
+      (stats.blocks * 512).should.be.below(size);
+      const hash = hashFile(`${folder}/in/disk.img`).toString("hex");
+      hashFile(`${folder}/out/in/disk.img`).toString("hex").should.eql(hash);
+    });
+  })));
+
+  it("compresses each file on its own", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/notes.txt`, "the quick brown fox jumps over the lazy dog.\n".repeat(1000));
+    fs.writeFileSync(`${folder}/in/server.log`, "GET / 200\n".repeat(1000));
+    fs.writeFileSync(`${folder}/in/photo.jpg`, crypto.randomBytes(4096));
+    fs.writeFileSync(`${folder}/in/noise`, crypto.randomBytes(4096));
+    const rule = "--compress-rule '*.log=snappy'";
+    return exec(`${pack} --per-file-compression ${rule} -o ${folder}/test.4b ${folder}/in`).then(() => {
+      return exec(`${ls} -l ${folder}/test.4b`);
+    }).then(p => {
+      p.stdout.should.match(/in\/notes\.txt \[lzma2 \d+%\]/i);
+      p.stdout.should.match(/in\/server\.log \[snappy \d+%\]/i);
+      p.stdout.should.match(/in\/photo\.jpg\s*$/m);
+      p.stdout.should.match(/in\/noise\s*$/m);
+      p.stdout.should.not.match(/4bottle-compressed/);
+      return exec(`${unpack} -o ${folder}/out ${folder}/test.4b`);
+    }).then(() => {
+      compareFolders(`${folder}/in`, `${folder}/out/in`);
+      // still a plain archive, so it can be appended to.
+      fs.writeFileSync(`${folder}/more.txt`, "more\n");
+      return exec(`${pack} --append ${folder}/test.4b ${folder}/more.txt`);
+    }).then(() => {
+      return exec(`${ls} ${folder}/test.4b`);
+    }).then(p => {
+      p.stdout.should.match(/2 segments/);
+    });
+  })));
+
+  it("compresses on worker threads, in order", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.mkdirSync(`${folder}/in/sub`);
+    for (let i = 0; i < 20; i++) {
+      const folderName = i % 3 == 0 ? `${folder}/in/sub` : `${folder}/in`;
+      fs.writeFileSync(`${folderName}/file${i}.txt`, `file number ${i}\n`.repeat(100 * (i + 1)));
+    }
+    fs.writeFileSync(`${folder}/in/noise`, crypto.randomBytes(4096));
+    return exec(`${pack} -j 4 -o ${folder}/test.4b ${folder}/in`).then(() => {
+      return exec(`${ls} -l ${folder}/test.4b`);
+    }).then(p => {
+      p.stdout.should.match(/in\/file1\.txt \[lzma2 \d+%\]/i);
+      p.stdout.should.match(/in\/sub\/file18\.txt \[lzma2 \d+%\]/i);
+      return exec(`${unpack} -o ${folder}/out ${folder}/test.4b`);
+    }).then(() => {
+      compareFolders(`${folder}/in`, `${folder}/out/in`);
+      return execFailure(`${pack} -j 4 -Z -o ${folder}/test2.4b ${folder}/in`);
+    }).then(output => {
+      output.should.match(/worker threads without compression/);
+    });
+  })));
+
+  it("stores links and duplicates as links on worker threads", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/a.txt`, "same old thing\n".repeat(100));
+    fs.writeFileSync(`${folder}/in/b.txt`, "same old thing\n".repeat(100));
+    fs.linkSync(`${folder}/in/a.txt`, `${folder}/in/c.txt`);
+    return exec(`${pack} -j 2 --dedupe -o ${folder}/test.4b ${folder}/in`).then(() => {
+      return exec(`${ls} -l ${folder}/test.4b`);
+    }).then(p => {
+      p.stdout.should.match(/in\/a\.txt \[lzma2 \d+%\]/i);
+      p.stdout.should.match(/in\/b\.txt \[same as in\/a\.txt\]/);
+      p.stdout.should.match(/in\/c\.txt \[link to in\/a\.txt\]/);
+      return exec(`${unpack} -o ${folder}/out ${folder}/test.4b`);
+    }).then(() => {
+      compareFolders(`${folder}/in`, `${folder}/out/in`);
+    });
+  })));
+
+  it("splits an archive into volumes", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/noise`, crypto.randomBytes(20000));
+    fs.writeFileSync(`${folder}/in/file1`, "hello\n");
+    return exec(`${pack} -Z --volume-size 8K -o ${folder}/test.4b ${folder}/in`).then(() => {
+      fs.existsSync(`${folder}/test.4b`).should.eql(false);
+      [ 1, 2, 3 ].forEach(i => fs.statSync(`${folder}/test.4b.00${i}`).size.should.not.be.above(8192));
+      fs.existsSync(`${folder}/test.4b.004`).should.eql(false);
+      return exec(`${ls} ${folder}/test.4b.001`);
+    }).then(p => {
+      p.stdout.should.match(/\sin\/noise\s/);
+      p.stdout.should.match(/\sin\/file1\s/);
+      return exec(`${unpack} -o ${folder}/out ${folder}/test.4b`);
+    }).then(() => {
+      compareFolders(`${folder}/in`, `${folder}/out/in`);
+      return execFailure(`${ls} ${folder}/test.4b.002`);
+    }).then(output => {
+      output.should.match(/isn't the first volume/);
+      fs.renameSync(`${folder}/test.4b.002`, `${folder}/saved`);
+      fs.renameSync(`${folder}/test.4b.003`, `${folder}/test.4b.002`);
+      return execFailure(`${unpack} -o ${folder}/out2 ${folder}/test.4b.001`);
+    }).then(output => {
+      output.should.match(/out of order/);
+      fs.unlinkSync(`${folder}/test.4b.002`);
+      return execFailure(`${unpack} -o ${folder}/out3 ${folder}/test.4b.001`);
+    }).then(output => {
+      output.should.match(/Missing volume/);
+    });
+  })));
+
+  it("verifies an archive without unpacking it", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/file1`, "part 1\n");
+    return exec(`${pack} -o ${folder}/test.4b ${folder}/in`).then(() => {
+      return exec(`${unpack} --test -o ${folder}/out ${folder}/test.4b`);
+    }).then((p) => {
+      fs.existsSync(`${folder}/out`).should.eql(false);
+      const lines = p.stdout.trim().split("\n");
+      lines[0].should.match(/valid\s+SHA-512\s+in/);
+      const summary = JSON.parse(lines[lines.length - 1]);
+      summary.valid.should.eql(true);
+      summary.files.should.eql(1);
+      summary.hashes.map(hash => hash.filename).should.eql([ "in" ]);
+
+      // flip one bit of the file contents.
+      const archive = fs.readFileSync(`${folder}/test.4b`);
+      const offset = archive.indexOf(Buffer.from("part 1"));
+      archive[offset] ^= 1;
+      fs.writeFileSync(`${folder}/test.4b`, archive);
+      return execFailure(`${unpack} --test ${folder}/test.4b`);
+    }).then((output) => {
+      output.should.match(/INVALID\s+SHA-512\s+in/);
+      const lines = output.trim().split("\n");
+      JSON.parse(lines[lines.length - 1]).valid.should.eql(false);
+    });
+  })));
+
+  it("salvages the intact files from a damaged archive", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/file1`, "part 1\n");
+    fs.writeFileSync(`${folder}/in/file2`, "part 2\n");
+    fs.writeFileSync(`${folder}/in/file3`, "part 3\n");
+    return exec(`${pack} -Z -o ${folder}/test.4b ${folder}/in`).then(() => {
+      // break the version byte of the bottle holding file2.
+      const archive = fs.readFileSync(`${folder}/test.4b`);
+      const magic = Buffer.from([ 0xf0, 0x9f, 0x8d, 0xbc ]);
+      const offset = archive.lastIndexOf(magic, archive.indexOf(Buffer.from("file2")));
+      archive[offset + 4] = 9;
+      fs.writeFileSync(`${folder}/test.4b`, archive);
+      return execFailure(`${unpack} -o ${folder}/out ${folder}/test.4b`);
+    }).then(() => {
+      return execFailure(`${unpack} --salvage -o ${folder}/out2 ${folder}/test.4b`);
+    }).then(output => {
+      output.should.match(/damaged: see/);
+      fs.readFileSync(`${folder}/out2/in/file1`).toString().should.eql("part 1\n");
+      fs.readFileSync(`${folder}/out2/in/file3`).toString().should.eql("part 3\n");
+      fs.existsSync(`${folder}/out2/in/file2`).should.eql(false);
+      fs.readFileSync(`${folder}/out2/4bottle-salvage.txt`).toString().should.match(/unreadable/);
+      return exec(`${pack} -Z -o ${folder}/good.4b ${folder}/in`);
+    }).then(() => {
+      return exec(`${unpack} --salvage -o ${folder}/out3 ${folder}/good.4b`);
+    }).then(p => {
+      p.stdout.should.match(/no damage found/);
+      compareFolders(`${folder}/in`, `${folder}/out3/in`);
+    });
+  })));
+
+  it("salvages only into the output folder", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/qq`);
+    fs.writeFileSync(`${folder}/qq/file1`, "sneaky\n");
+    fs.mkdirSync(`${folder}/in`);
+    fs.mkdirSync(`${folder}/outside`);
+    fs.symlinkSync(`${folder}/outside`, `${folder}/in/link`);
+    fs.mkdirSync(`${folder}/more`);
+    fs.mkdirSync(`${folder}/more/link`);
+    fs.writeFileSync(`${folder}/more/link/file1`, "sneaky\n");
+    return exec(`${pack} -Z -H -o ${folder}/test.4b ${folder}/qq`).then(() => {
+      // rename the top folder to "..".
+      const archive = fs.readFileSync(`${folder}/test.4b`);
+      Buffer.from("..").copy(archive, archive.indexOf(Buffer.from("qq")));
+      fs.writeFileSync(`${folder}/test.4b`, archive);
+      return execFailure(`${unpack} --salvage -o ${folder}/out ${folder}/test.4b`);
+    }).then(output => {
+      output.should.match(/damaged: see/);
+      fs.readFileSync(`${folder}/out/4bottle-salvage.txt`).toString().should.match(/unsafe path/);
+      fs.existsSync(`${folder}/file1`).should.eql(false);
+      return exec(`${pack} -Z -o ${folder}/test2.4b ${folder}/in`);
+    }).then(() => {
+      // a later segment puts a folder where the symlink is.
+      return exec(`${pack} --append ${folder}/test2.4b ${folder}/more/link`);
+    }).then(() => {
+      return execFailure(`${unpack} --salvage -o ${folder}/out2 ${folder}/test2.4b`);
+    }).then(output => {
+      output.should.match(/damaged: see/);
+      fs.readFileSync(`${folder}/out2/4bottle-salvage.txt`).toString().should.match(/through a symlink/);
+      fs.existsSync(`${folder}/outside/file1`).should.eql(false);
+    });
+  })));
+
+  it("writes files from an archive to stdout", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.mkdirSync(`${folder}/in/sub`);
+    fs.writeFileSync(`${folder}/in/file1`, "part 1\n");
+    fs.writeFileSync(`${folder}/in/sub/file2`, "part 2\n");
+    fs.writeFileSync(`${folder}/in/sub/file3`, "part 3\n");
+    return exec(`${pack} -o ${folder}/test.4b ${folder}/in`).then(() => {
+      return exec(`${cat} ${folder}/test.4b in/file1`);
+    }).then(p => {
+      p.stdout.should.eql("part 1\n");
+      return exec(`${cat} ${folder}/test.4b 'in/sub/*'`);
+    }).then(p => {
+      p.stdout.split("\n").sort().should.eql([ "", "part 2", "part 3" ]);
+      return execFailure(`${cat} ${folder}/test.4b in/file1 in/nope`);
+    }).then(output => {
+      output.should.match(/part 1/);
+      output.should.match(/Not in .*: in\/nope/);
+      // a file appended later replaces the first copy.
+      fs.writeFileSync(`${folder}/file1`, "part 1, revised\n");
+      return exec(`${pack} -Z -o ${folder}/plain.4b ${folder}/in`);
+    }).then(() => {
+      return exec(`${pack} --append ${folder}/plain.4b ${folder}/file1`);
+    }).then(() => {
+      return exec(`${cat} ${folder}/plain.4b in/file1`);
+    }).then(p => {
+      p.stdout.should.eql("part 1, revised\n");
+    });
+  })));
+
+  it("seeks to files with an index", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.mkdirSync(`${folder}/in/sub`);
+    fs.writeFileSync(`${folder}/in/file1`, "part 1\n");
+    fs.writeFileSync(`${folder}/in/sub/file2`, "part 2\n");
+    fs.writeFileSync(`${folder}/in/sub/file3`, "part 3\n");
+    return exec(`${pack} --index -o ${folder}/test.4b ${folder}/in`).then(() => {
+      const data = fs.readFileSync(`${folder}/test.4b`);
+      data.slice(data.length - 16, data.length - 12).toString().should.eql("4bix");
+      return exec(`${ls} ${folder}/test.4b`);
+    }).then(p => {
+      p.stdout.should.match(/in\/file1\s/);
+      p.stdout.should.match(/in\/sub\/file3\s/);
+      p.stdout.should.match(/indexed/);
+      return exec(`${ls} --json ${folder}/test.4b`);
+    }).then(p => {
+      const archive = JSON.parse(p.stdout).filter(entry => entry.type == "archive")[0];
+      archive.indexed.should.eql(true);
+      archive.files.should.eql(3);
+      return exec(`${cat} ${folder}/test.4b in/sub/file2`);
+    }).then(p => {
+      p.stdout.should.eql("part 2\n");
+      return exec(`${unpack} -o ${folder}/out ${folder}/test.4b 'in/sub/*3'`);
+    }).then(() => {
+      fs.readFileSync(`${folder}/out/in/sub/file3`).toString().should.eql("part 3\n");
+      fs.existsSync(`${folder}/out/in/file1`).should.eql(false);
+      // reading from the start skips the index.
+      return exec(`${unpack} -o ${folder}/out2 ${folder}/test.4b`);
+    }).then(() => {
+      compareFolders(`${folder}/in`, `${folder}/out2/in`);
+      return exec(`cat ${folder}/test.4b | ${ls} -`);
+    }).then(p => {
+      p.stdout.should.match(/in\/sub\/file2\s/);
+      p.stdout.should.not.match(/indexed/);
+    });
+  })));
+
+  it("stores hard links and duplicates once", future(withTempFolder((folder) => {
+    const contents = "a whole lot of text that would be a shame to store twice.\n".repeat(100);
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/file1`, contents);
+    fs.linkSync(`${folder}/in/file1`, `${folder}/in/file2`);
+    fs.writeFileSync(`${folder}/in/file3`, contents);
+    return exec(`${pack} -Z -o ${folder}/plain.4b ${folder}/in`).then(() => {
+      return exec(`${pack} -Z --dedupe -o ${folder}/test.4b ${folder}/in`);
+    }).then(() => {
+      fs.statSync(`${folder}/test.4b`).size.should.be.below(fs.statSync(`${folder}/plain.4b`).size);
+      // links are in extended headers, so it's format version 1, and older readers refuse it.
+      fs.readFileSync(`${folder}/test.4b`)[4].should.eql(1);
+      return exec(`${ls} -l ${folder}/test.4b`);
+    }).then(p => {
+      p.stdout.should.match(/in\/file2 .*link to in\/file1/);
+      p.stdout.should.match(/in\/file3 .*same as in\/file1/);
+      return exec(`${unpack} -o ${folder}/out ${folder}/test.4b`);
+    }).then(() => {
+      compareFolders(`${folder}/in`, `${folder}/out/in`);
+      fs.statSync(`${folder}/out/in/file2`).ino.should.eql(fs.statSync(`${folder}/out/in/file1`).ino);
+      fs.statSync(`${folder}/out/in/file3`).ino.should.not.eql(fs.statSync(`${folder}/out/in/file1`).ino);
+      return exec(`${unpack} --no-hardlinks -o ${folder}/out2 ${folder}/test.4b`);
+    }).then(() => {
+      compareFolders(`${folder}/in`, `${folder}/out2/in`);
+      fs.statSync(`${folder}/out2/in/file2`).ino.should.not.eql(fs.statSync(`${folder}/out2/in/file1`).ino);
+      return exec(`${cat} ${folder}/test.4b in/file2`);
+    }).then(p => {
+      p.stdout.should.eql(contents);
+      // without the first copy, its contents are read again.
+      return exec(`${unpack} -o ${folder}/out3 ${folder}/test.4b file2 file3`);
+    }).then(() => {
+      fs.readFileSync(`${folder}/out3/in/file2`).toString().should.eql(contents);
+      fs.readFileSync(`${folder}/out3/in/file3`).toString().should.eql(contents);
+      fs.existsSync(`${folder}/out3/in/file1`).should.eql(false);
+      return exec(`${unpack} -o ${folder}/out4 - file2 < ${folder}/test.4b`);
+    }).then(p => {
+      (p.stdout + p.stderr).should.match(/Warning: in\/file2: skipped: it's a link to in\/file1/);
+      fs.existsSync(`${folder}/out4/in/file2`).should.eql(false);
+    });
+  })));
+
+  it("stores extended attributes and ACLs", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/file1`, "colorful\n");
+    fs.writeFileSync(`${folder}/in/file2`, "plain\n");
+    // stand-ins for the attr and acl tools, so this doesn't depend on the machine or filesystem:
+    // file1 has two extended attributes and an ACL, and the filesystem we unpack to won't take ACLs.
+    // the whole tree is read at once, so each get tool runs only once.
+    fs.mkdirSync(`${folder}/bin`);
+    const tools = {
+      getfattr: "echo 'user.color=0sYmx1ZQ=='; echo 'security.label=0sdG9wc2VjcmV0'",
+      getfacl: "echo 'user::rw-'; echo 'user:nobody:r--'; echo 'group::r--'; echo 'mask::r--'; echo 'other::r--'",
+      setfattr: `echo "$2" >> ${folder}/setfattr.log`,
+      setfacl: "echo \"setfacl: $2: Operation not supported\" >&2; exit 1"
+    };
+    Object.keys(tools).forEach(name => {
+      const body = name.startsWith("get") ?
+        `echo "$last" >> ${folder}/get.log; echo "# file: $last/file1"; ${tools[name]}; echo` :
+        tools[name];
+      fs.writeFileSync(`${folder}/bin/${name}`, `#!/bin/sh\nfor last; do :; done\n${body}\n`);
+      fs.chmodSync(`${folder}/bin/${name}`, parseInt("755", 8));
+    });
+    const withTools = `PATH=${folder}/bin:$PATH`;
+
+    return exec(`${withTools} ${pack} -Z --xattrs --acls -o ${folder}/test.4b ${folder}/in`).then(() => {
+      fs.readFileSync(`${folder}/get.log`).toString().should.eql(`${folder}/in\n`.repeat(2));
+      return exec(`${ls} -l ${folder}/test.4b`);
+    }).then(p => {
+      p.stdout.should.match(/[-rwx]{9}@ .*in\/file1\n/);
+      p.stdout.should.match(/[-rwx]{9}  .*in\/file2\n/);
+      return exec(`${ls} --json ${folder}/test.4b`);
+    }).then(p => {
+      const entries = JSON.parse(p.stdout).filter(entry => entry.path == "in/file1");
+      entries[0].xattrs.should.eql({
+        "user.color": Buffer.from("blue").toString("base64"),
+        "security.label": Buffer.from("topsecret").toString("base64")
+      });
+      entries[0].acl.should.eql("user::rw-\nuser:nobody:r--\ngroup::r--\nmask::r--\nother::r--\n");
+      return exec(`${withTools} ${unpack} -o ${folder}/out ${folder}/test.4b`);
+    }).then(p => {
+      compareFolders(`${folder}/in`, `${folder}/out/in`);
+      // only "user.*" by default.
+      fs.readFileSync(`${folder}/setfattr.log`).toString().should.eql("--name=user.color\n");
+      p.stdout.should.match(/Warning: in\/file1: Can't restore ACL: Operation not supported/);
+      fs.unlinkSync(`${folder}/setfattr.log`);
+      return exec(`${withTools} ${unpack} --all-xattrs --no-acls -o ${folder}/out2 ${folder}/test.4b`);
+    }).then(p => {
+      fs.readFileSync(`${folder}/setfattr.log`).toString().split("\n").sort().should.eql([
+        "", "--name=security.label", "--name=user.color"
+      ]);
+      p.stdout.should.not.match(/Warning/);
+      // without the tools at all, they're warned about, but the files are still unpacked.
+      fs.mkdirSync(`${folder}/nodeonly`);
+      fs.symlinkSync(process.execPath, `${folder}/nodeonly/node`);
+      return exec(`PATH=${folder}/nodeonly ${unpack} -o ${folder}/out3 ${folder}/test.4b`);
+    }).then(p => {
+      compareFolders(`${folder}/in`, `${folder}/out3/in`);
+      p.stdout.should.match(/Warning: in\/file1: Can't restore extended attribute user\.color: Can't find setfattr/);
+      p.stdout.should.match(/Warning: in\/file1: Can't restore ACL: Can't find setfacl/);
+      return exec(`PATH=${folder}/nodeonly ${pack} --xattrs --acls -o ${folder}/plain.4b ${folder}/in`);
+    }).then(p => {
+      p.stdout.should.match(/Warning: Can't find getfattr binary\. No extended attributes were stored\./);
+      p.stdout.should.match(/Warning: Can't find getfacl binary\. No ACLs were stored\./);
+      return exec(`${unpack} -o ${folder}/out4 ${folder}/plain.4b`);
+    }).then(() => {
+      compareFolders(`${folder}/in`, `${folder}/out4/in`);
+      return execFailure(`${withTools} ${pack} --xattrs -o ${folder}/single.4b ${folder}/in/file1`);
+    }).then(output => {
+      output.should.match(/Can't store attributes for a single file/);
+    });
+  })));
+
+  it("packs and unpacks incremental archives", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/file1`, "part 1\n");
+    fs.writeFileSync(`${folder}/in/file2`, "part 2\n");
+    fs.writeFileSync(`${folder}/in/file3`, "part 3\n");
+    // not a deletion record, just a file with the same name.
+    fs.writeFileSync(`${folder}/in/.4bottle-deleted`, "in/file3\n");
+    return exec(`${pack} --snapshot ${folder}/state.json -o ${folder}/full.4b ${folder}/in`).then(() => {
+      Object.keys(JSON.parse(fs.readFileSync(`${folder}/state.json`)).files).sort().should.eql([
+        "in/.4bottle-deleted", "in/file1", "in/file2", "in/file3"
+      ]);
+      fs.writeFileSync(`${folder}/in/file1`, "part 1, revised\n");
+      fs.unlinkSync(`${folder}/in/file2`);
+      fs.writeFileSync(`${folder}/in/file4`, "part 4\n");
+      return exec(`${pack} --snapshot ${folder}/state.json -o ${folder}/incr.4b ${folder}/in`);
+    }).then(() => {
+      return exec(`${ls} ${folder}/incr.4b`);
+    }).then((p) => {
+      p.stdout.should.match(/in\/file1\s/);
+      p.stdout.should.match(/in\/file4\s/);
+      p.stdout.should.not.match(/in\/file3\s/);
+      p.stdout.should.match(/gone\s+in\/file2\s/);
+      return exec(`${unpack} -I -o ${folder}/out ${folder}/full.4b ${folder}/incr.4b`);
+    }).then(() => {
+      compareFolders(`${folder}/in`, `${folder}/out/in`);
+      // a single file is recorded too.
+      return exec(`${pack} --snapshot ${folder}/single.json -o ${folder}/single.4b ${folder}/in/file1`);
+    }).then(() => {
+      Object.keys(JSON.parse(fs.readFileSync(`${folder}/single.json`)).files).should.eql([ "file1" ]);
+    });
+  })));
+
+  it("appends to and updates an archive", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/file1`, "part 1\n");
+    fs.writeFileSync(`${folder}/file2`, "part 2\n");
+    return exec(`${pack} -Z -o ${folder}/test.4b ${folder}/in`).then(() => {
+      return exec(`${pack} --append ${folder}/test.4b ${folder}/file2`);
+    }).then(() => {
+      return exec(`${ls} ${folder}/test.4b`);
+    }).then((p) => {
+      p.stdout.should.match(/\sin\/file1\s/);
+      p.stdout.should.match(/\sin\/file2\s/);
+      p.stdout.should.match(/2 segments/);
+      fs.writeFileSync(`${folder}/in/file1`, "part 1, revised\n");
+      return exec(`${pack} --update ${folder}/test.4b ${folder}/in`);
+    }).then(() => {
+      return exec(`${ls} -l ${folder}/test.4b`);
+    }).then((p) => {
+      // only the newest copy is listed.
+      p.stdout.match(/\sin\/file1\s/g).length.should.eql(1);
+      p.stdout.should.match(/\s16\s+in\/file1\s/);
+      return exec(`${unpack} -o ${folder}/out ${folder}/test.4b`);
+    }).then(() => {
+      fs.readFileSync(`${folder}/out/in/file1`).toString().should.eql("part 1, revised\n");
+      fs.readFileSync(`${folder}/out/in/file2`).toString().should.eql("part 2\n");
+      // encrypted archives are rewritten instead, for the same recipients.
+      const { publicKey, privateKey } = crypto.generateKeyPairSync("x25519");
+      fs.writeFileSync(`${folder}/key.pub`, publicKey.export({ type: "spki", format: "pem" }));
+      fs.writeFileSync(`${folder}/key.pem`, privateKey.export({ type: "pkcs8", format: "pem" }));
+      return exec(`${pack} -e key:${folder}/key.pub --password-here MrSparkle -o ${folder}/secret.4b ${folder}/in`);
+    }).then(() => {
+      const identity = `--identity ${folder}/key.pem --password-here MrSparkle`;
+      return exec(`${pack} ${identity} --append ${folder}/secret.4b ${folder}/file2`);
+    }).then(() => {
+      return exec(`${ls} --json --password-here MrSparkle ${folder}/secret.4b`);
+    }).then(p => {
+      const archive = JSON.parse(p.stdout).filter(object => object.type == "archive")[0];
+      archive.encryption.should.match(/AES/);
+      archive.recipients.length.should.eql(2);
+      archive.recipients[0].should.match(/^key:[0-9a-f]{32}$/);
+      archive.recipients[1].should.eql("password");
+      return exec(`${unpack} --password-here MrSparkle -o ${folder}/out2 ${folder}/secret.4b`);
+    }).then(() => {
+      fs.readFileSync(`${folder}/out2/in/file1`).toString().should.eql("part 1, revised\n");
+      fs.readFileSync(`${folder}/out2/in/file2`).toString().should.eql("part 2\n");
+      fs.existsSync(`${folder}/secret.4b.tmp`).should.eql(false);
+      return exec(`${unpack} --identity ${folder}/key.pem -o ${folder}/out3 ${folder}/secret.4b`);
+    }).then(() => {
+      fs.readFileSync(`${folder}/out3/in/file2`).toString().should.eql("part 2\n");
+    });
+  })));
+
+  it("compares an archive with a folder or another archive", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/file1`, "part 1\n");
+    fs.writeFileSync(`${folder}/in/file2`, "part 2\n");
+    fs.writeFileSync(`${folder}/in/file3`, "part 3\n");
+    // whatever the umask is.
+    fs.chmodSync(`${folder}/in/file3`, parseInt("644", 8));
+    return exec(`${pack} -o ${folder}/old.4b ${folder}/in`).then(() => {
+      return exec(`${diff} ${folder}/old.4b ${folder}/in`);
+    }).then((p) => {
+      p.stdout.should.match(/0 added, 0 removed, 0 modified/);
+      fs.writeFileSync(`${folder}/in/file1`, "part 1, revised\n");
+      fs.unlinkSync(`${folder}/in/file2`);
+      fs.chmodSync(`${folder}/in/file3`, parseInt("600", 8));
+      fs.writeFileSync(`${folder}/in/file4`, "part 4\n");
+      return execFailure(`${diff} ${folder}/old.4b ${folder}/in`);
+    }).then((output) => {
+      output.should.match(/\+ file4/);
+      output.should.match(/- file2/);
+      output.should.match(/M file1 \[size, mtime\]/);
+      output.should.match(/P file3 \[rw-r--r-- -> rw-------\]/);
+      return exec(`${pack} -o ${folder}/new.4b ${folder}/in`);
+    }).then(() => {
+      return execFailure(`${diff} --json ${folder}/old.4b ${folder}/new.4b`);
+    }).then((output) => {
+      const changes = JSON.parse(output);
+      changes.added.should.eql([ "file4" ]);
+      changes.removed.should.eql([ "file2" ]);
+      changes.modified.map(change => change.path).should.eql([ "file1" ]);
+      changes.permissions.map(change => change.path).should.eql([ "file3" ]);
+    });
+  })));
+
+  it("refuses unsigned archives when a signer is required", future(withTempFolder((folder) => {
+    fs.writeFileSync(`${folder}/file1`, "nothing\n");
+    return execFailure(`${pack} --sign --no-hash ${folder}/file1`).then((output) => {
+      output.should.match(/without a hash/);
+      return exec(`${pack} ${folder}/file1`);
+    }).then(() => {
+      return execFailure(`${ls} --require-signer robey ${folder}/file1.4b`);
+    }).then((output) => {
+      output.should.match(/isn't signed/);
+      return execFailure(`${unpack} --require-signer robey -o ${folder}/out ${folder}/file1.4b`);
+    }).then((output) => {
+      output.should.match(/isn't signed/);
+      fs.existsSync(`${folder}/out/file1`).should.eql(false);
+    });
+  })));
+
+  it("packs to stdout and unpacks from stdin", future(withTempFolder((folder) => {
+    fs.mkdirSync(`${folder}/in`);
+    fs.writeFileSync(`${folder}/in/file1`, "part 1\n");
+    return exec(`${pack} -o - ${folder}/in > ${folder}/test.4b`).then(() => {
+      // status goes to stderr, so the archive is intact.
+      return exec(`${ls} - < ${folder}/test.4b`);
+    }).then((p) => {
+      p.stdout.should.match(/\sin\/file1\s/);
+      return exec(`${pack} -o - ${folder}/in | ${unpack} -o ${folder}/out -`);
+    }).then(() => {
+      fs.readFileSync(`${folder}/out/in/file1`).toString().should.eql("part 1\n");
+    });
+  })));
+
   it("encrypts and decrypts", future(withTempFolder((folder) => {
     fs.writeFileSync(`${folder}/file1`, "secrets!\n");
     return exec(`${pack} --password-here MrSparkle ${folder}/file1`).then(() => {
@@ -140,6 +837,63 @@ describe("bin/4pack", () => {
     });
   })));
 
+  it("reads passwords from a file, an environment variable, or a file descriptor", future(withTempFolder((folder) => {
+    fs.writeFileSync(`${folder}/file1`, "secrets!\n");
+    fs.writeFileSync(`${folder}/password`, "MrSparkle\n");
+    return exec(`${pack} --password-file ${folder}/password ${folder}/file1`).then(() => {
+      return exec(`SECRET=MrSparkle ${ls} -l --password-env SECRET ${folder}/file1.4b`);
+    }).then(p => {
+      p.stdout.should.match(/\sfile1\s/);
+      p.stdout.should.not.match(/error/i);
+      return exec(`${unpack} --password-fd 3 -o ${folder}/out ${folder}/file1.4b 3< ${folder}/password`);
+    }).then(() => {
+      fs.readFileSync(`${folder}/out/file1`).toString().should.eql("secrets!\n");
+      return execFailure(`${ls} --password-file ${folder}/password --password-env SECRET ${folder}/file1.4b`);
+    }).then(output => {
+      output.should.match(/Only one password source/);
+    });
+  })));
+
+  it("encrypts and decrypts with public key files", future(withTempFolder((folder) => {
+    fs.writeFileSync(`${folder}/file1`, "secrets!\n");
+    [ "x25519", "rsa" ].forEach(type => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync(type, { modulusLength: 2048 });
+      fs.writeFileSync(`${folder}/${type}.pub`, publicKey.export({ type: "spki", format: "pem" }));
+      fs.writeFileSync(`${folder}/${type}.pem`, privateKey.export({ type: "pkcs8", format: "pem" }));
+    });
+    return exec(`${pack} -e key:${folder}/x25519.pub -e key:${folder}/rsa.pub ${folder}/file1`).then(() => {
+      return execFailure(`${unpack} -o ${folder}/out ${folder}/file1.4b`);
+    }).then(output => {
+      output.should.match(/--identity/);
+      return exec(`${ls} -l --identity ${folder}/x25519.pem ${folder}/file1.4b`);
+    }).then(p => {
+      p.stdout.should.match(/\sfile1\s/);
+      p.stdout.should.match(/key:[0-9a-f]{32}/);
+      return exec(`${unpack} -o ${folder}/out --identity ${folder}/rsa.pem ${folder}/file1.4b`);
+    }).then(() => {
+      fs.readFileSync(`${folder}/out/file1`).toString().should.eql("secrets!\n");
+    });
+  })));
+
+  it("encrypts for a key and a password in the same archive", future(withTempFolder((folder) => {
+    fs.writeFileSync(`${folder}/file1`, "secrets!\n");
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("x25519");
+    fs.writeFileSync(`${folder}/key.pub`, publicKey.export({ type: "spki", format: "pem" }));
+    fs.writeFileSync(`${folder}/key.pem`, privateKey.export({ type: "pkcs8", format: "pem" }));
+    return exec(`${pack} -e key:${folder}/key.pub --password-here MrSparkle ${folder}/file1`).then(() => {
+      return exec(`${ls} -l --identity ${folder}/key.pem ${folder}/file1.4b`);
+    }).then(p => {
+      p.stdout.should.match(/\sfile1\s/);
+      p.stdout.should.match(/key:[0-9a-f]{32} & password/);
+      return exec(`${unpack} -o ${folder}/out --password-here MrSparkle ${folder}/file1.4b`);
+    }).then(() => {
+      fs.readFileSync(`${folder}/out/file1`).toString().should.eql("secrets!\n");
+      return execFailure(`${unpack} -o ${folder}/out2 --password-here NOPE ${folder}/file1.4b`);
+    }).then(output => {
+      output.should.match(/Wrong password/);
+    });
+  })));
+
   describe("preserves file contents", () => {
     it("source, with --snappy", future(withTempFolder((folder) => {
       return exec(`${pack} -q -o ${folder}/src.4b ${sourceFolder} -S`).then(() => {
@@ -0,0 +1,49 @@
+"use strict";
+
+import { matches, parseSecretKeys } from "../../lib/4bottle/gpger";
+
+import "should";
+import "source-map-support/register";
+
+// what `gpg --batch --list-secret-keys --with-colons` says about one key with an encryption subkey.
+const LISTING = [
+  "sec:u:4096:1:0123456789ABCDEF:1400000000:::u:::scESC:::+:::23::0:",
+  "fpr:::::::::AAAABBBBCCCCDDDDEEEEFFFF0123456789ABCDEF:",
+  "grp:::::::::0F0F0F0F0F0F0F0F0F0F0F0F0F0F0F0F0F0F0F0F:",
+  "uid:u::::1400000000::5E5E5E5E5E5E5E5E5E5E5E5E5E5E5E5E5E5E5E5E::Robey Pointer <robey@example.com>::::::::::0:",
+  "ssb:u:4096:1:FEDCBA9876543210:1400000000::::::e:::+:::23:",
+  "fpr:::::::::111122223333444455556666FEDCBA9876543210:",
+  ""
+].join("\n");
+
+describe("Gpger", () => {
+  it("parses secret keys", () => {
+    parseSecretKeys(LISTING).should.eql([
+      {
+        ids: [
+          "0123456789ABCDEF",
+          "AAAABBBBCCCCDDDDEEEEFFFF0123456789ABCDEF",
+          "FEDCBA9876543210",
+          "111122223333444455556666FEDCBA9876543210"
+        ],
+        uids: [ "Robey Pointer <robey@example.com>" ]
+      }
+    ]);
+    parseSecretKeys("").should.eql([]);
+    // a subkey or user id before any key is ignored.
+    parseSecretKeys("uid:u::::::::Nobody <nobody@example.com>:\n").should.eql([]);
+  });
+
+  it("matches a key by id, fingerprint, or user id", () => {
+    const key = parseSecretKeys(LISTING)[0];
+    matches(key, "89ABCDEF").should.eql(true);
+    matches(key, "0x0123456789abcdef").should.eql(true);
+    matches(key, "AAAABBBBCCCCDDDDEEEEFFFF0123456789ABCDEF").should.eql(true);
+    matches(key, "FEDCBA9876543210").should.eql(true);
+    matches(key, "robey@example.com").should.eql(true);
+    matches(key, "<ROBEY@example.com>").should.eql(true);
+    matches(key, "Robey").should.eql(true);
+    matches(key, "12345678").should.eql(false);
+    matches(key, "someone@example.com").should.eql(false);
+  });
+});
@@ -0,0 +1,28 @@
+"use strict";
+
+import { future } from "mocha-sprinkles";
+import { decryptWithPassword, encryptForPassword, newPasswordRecipient } from "../../lib/4bottle/password_recipient";
+
+import "should";
+import "source-map-support/register";
+
+describe("password recipients", () => {
+  it("encrypts and decrypts a key", future(() => {
+    const recipient = newPasswordRecipient();
+    const key = Buffer.from("0123456789abcdef0123456789abcdef");
+    return encryptForPassword(recipient, "MrSparkle", key).then(encrypted => {
+      return decryptWithPassword(recipient, "MrSparkle", encrypted);
+    }).then(decrypted => {
+      decrypted.should.eql(key);
+    });
+  }));
+
+  it("refuses scrypt parameters that ask for too much", future(() => {
+    const recipient = "password:20:8:1:" + Buffer.alloc(16).toString("base64");
+    return decryptWithPassword(recipient, "MrSparkle", Buffer.alloc(64)).then(() => {
+      throw new Error("expected a failure");
+    }, error => {
+      error.message.should.match(/Unsupported password parameters: 20:8:1/);
+    });
+  }));
+});